@@ -5,15 +5,71 @@
 import { AudioUtils } from './utils.js';
 import { WaveformRenderer } from './waveform-renderer.js';
 import { ChunkManager } from './chunk-manager.js';
+import { FileQueue } from './file-queue.js';
 import { AudioPlayer } from './audio-player.js';
 import { HistoryManager } from './history-manager.js';
+import { ZipWriter } from './zip-writer.js';
+import { buildId3Tag, hasId3Metadata } from './metadata/id3.js';
+import { readFileTags } from './metadata/tags.js';
+import { readWavCues } from './metadata/riff.js';
+import { buildLabelFile, parseLabelFile } from './metadata/audacity-labels.js';
+import { buildCueSheet, parseCueSheet } from './metadata/cue-sheet.js';
+import { writeWav, BlobSink, FileStreamSink } from './encoders/wav-writer.js';
+import { writeAiff } from './encoders/aiff-writer.js';
+import { writePcm } from './encoders/pcm-writer.js';
+import { probeAudioFormat, formatAudioFormat, formatSampleRate } from './metadata/audio-format.js';
+import { applyChannelLayout, applyEdges, channelCountForLayout, edgeFrames, matchChannelCount, resampleChannels } from './encoders/pcm-convert.js';
+import { encodeOpus, getOpusSupport } from './encoders/opus.js';
+import { measureLoudness, normalizeLoudness, formatLoudness } from './loudness.js';
+import { expandFileNameTemplate, loadFileNameTemplates, saveFileNameTemplates } from './filename-template.js';
+import { decodeInSegments, decodePcmFile, isPcmContainer } from './file-decoder.js';
+import { config } from './config.js';
 import { toast } from './toast.js';
 
+// WAV exports at least this large are streamed to a file picked by the
+// user when the browser supports it, rather than assembled for download
+const LARGE_EXPORT_BYTES = 256 * 1024 * 1024;
+
+// An encoder worker request fails when the worker has sent nothing
+// (reply or progress) for this long
+const WORKER_STALL_TIMEOUT = 30000;
+
+// Formats written in blocks straight from the edited buffer; the other
+// encoders get their own copy of the region
+const STREAMED_FORMATS = ['wav', 'aiff', 'raw'];
+
+// MP3 exports at least this long are split into segments and encoded on
+// several workers at once, up to this many (each holds its own segment)
+const PARALLEL_MP3_MIN_SECONDS = 60;
+const MAX_MP3_POOL_WORKERS = 8;
+
+// Start of a file read to identify its format before decoding
+const PROBE_BYTES = 1024 * 1024;
+
+// MP3 and FLAC files at least this large are decoded in segments rather
+// than read into memory whole (see file-decoder.js)
+const SEGMENTED_DECODE_BYTES = 64 * 1024 * 1024;
+
+// Files decoded whole are held in memory twice over, encoded and decoded;
+// above this size the user is warned
+const LARGE_DECODE_BYTES = 500 * 1024 * 1024;
+
+// Queued files left with their edits kept in memory (each holds its
+// decoded audio); past this, the longest-left one is decoded afresh when
+// it is reopened
+const MAX_STASHED_FILES = 3;
+
 export class AudioChunkingEditor {
     constructor() {
         this.audioContext = null;
         this.audioBuffer = null;
         this.originalFile = null;
+        // Format read from the file's headers (see probeAudioFormat)
+        this.sourceFormat = null;
+        // Tags embedded in the file (see readFileTags) and its length as loaded
+        this.sourceTags = null;
+        this.sourceDuration = 0;
+        this.coverArt = null;
         this.isInitialized = false;
         this.seekPosition = 0;
         
@@ -69,9 +125,74 @@ export class AudioChunkingEditor {
         this.exportCancel = document.getElementById('exportCancel');
         this.exportConfirm = document.getElementById('exportConfirm');
         this.bitrateSection = document.getElementById('bitrateSection');
+        this.bitrateOptions = document.getElementById('bitrateOptions');
+        this.mp3Mode = document.getElementById('mp3Mode');
+        this.mp3VbrQualityField = document.getElementById('mp3VbrQualityField');
+        this.mp3VbrQuality = document.getElementById('mp3VbrQuality');
+        this.fileNameTemplate = document.getElementById('fileNameTemplate');
+        this.fileNamePreview = document.getElementById('fileNamePreview');
+        this.outputChannels = document.getElementById('outputChannels');
+        this.outputSampleRate = document.getElementById('outputSampleRate');
+        this.loudnessEnabled = document.getElementById('loudnessEnabled');
+        this.loudnessTarget = document.getElementById('loudnessTarget');
+        this.loudnessCeiling = document.getElementById('loudnessCeiling');
+        this.loudnessMeasured = document.getElementById('loudnessMeasured');
+        this.loudnessResult = document.getElementById('loudnessResult');
+        this.edgePreRoll = document.getElementById('edgePreRoll');
+        this.edgePostRoll = document.getElementById('edgePostRoll');
+        this.edgeFade = document.getElementById('edgeFade');
+        this.edgePadTo = document.getElementById('edgePadTo');
+        this.edgePadAt = document.getElementById('edgePadAt');
+        this.scopeSection = document.getElementById('scopeSection');
+        this.wavOptionsSection = document.getElementById('wavOptionsSection');
+        this.wavBitDepth = document.getElementById('wavBitDepth');
+        this.wavDither = document.getElementById('wavDither');
+        this.flacOptionsSection = document.getElementById('flacOptionsSection');
+        this.flacBitDepth = document.getElementById('flacBitDepth');
+        this.flacCompressionLevel = document.getElementById('flacCompressionLevel');
+        this.aiffOptionsSection = document.getElementById('aiffOptionsSection');
+        this.aiffBitDepth = document.getElementById('aiffBitDepth');
+        this.aiffDither = document.getElementById('aiffDither');
+        this.rawOptionsSection = document.getElementById('rawOptionsSection');
+        this.rawBitDepth = document.getElementById('rawBitDepth');
+        this.rawSigned = document.getElementById('rawSigned');
+        this.rawByteOrder = document.getElementById('rawByteOrder');
+        this.rawLayout = document.getElementById('rawLayout');
+        this.rawDither = document.getElementById('rawDither');
+        this.rawFormatNote = document.getElementById('rawFormatNote');
+        this.opusOptionsSection = document.getElementById('opusOptionsSection');
+        this.opusBitrate = document.getElementById('opusBitrate');
+        this.opusContainer = document.getElementById('opusContainer');
+        this.opusFormatOption = document.getElementById('opusFormatOption');
+        this.opusFormatHint = document.getElementById('opusFormatHint');
+        this.mp3MetadataSection = document.getElementById('mp3MetadataSection');
+        this.metadataFields = {
+            title: document.getElementById('metaTitle'),
+            artist: document.getElementById('metaArtist'),
+            album: document.getElementById('metaAlbum'),
+            track: document.getElementById('metaTrack'),
+            year: document.getElementById('metaYear'),
+            comment: document.getElementById('metaComment')
+        };
+        this.id3Version = document.getElementById('id3Version');
+        this.coverArtInput = document.getElementById('coverArtInput');
+        this.coverArtInfo = document.getElementById('coverArtInfo');
+        this.coverArtClear = document.getElementById('coverArtClear');
+        this.chaptersField = document.getElementById('chaptersField');
+        this.chaptersEnabled = document.getElementById('chaptersEnabled');
+        this.chapterList = document.getElementById('chapterList');
+        this.cueSheetSection = document.getElementById('cueSheetSection');
+        this.cueSheetEnabled = document.getElementById('cueSheetEnabled');
+        this.cuePerformer = document.getElementById('cuePerformer');
+        this.cueTitle = document.getElementById('cueTitle');
         
         // Info displays
         this.durationSpan = document.getElementById('duration');
+        this.sourceFormatSpan = document.getElementById('sourceFormat');
+        this.fileInfo = document.getElementById('fileInfo');
+        this.fileInfoSummary = document.getElementById('fileInfoSummary');
+        this.fileInfoToggle = document.getElementById('fileInfoToggle');
+        this.fileInfoList = document.getElementById('fileInfoList');
         this.currentTimeSpan = document.getElementById('currentTime');
         // Removed info elements
         // this.selectionInfo = document.getElementById('selectionInfo');
@@ -87,8 +208,23 @@ export class AudioChunkingEditor {
         this.selectionDurationTime = document.getElementById('selectionDurationTime');
         this.clearSelectionBtn = document.getElementById('clearSelectionBtn');
         this.zeroCrossingSnapToggle = document.getElementById('zeroCrossingSnapToggle');
+        this.importLabelsBtn = document.getElementById('importLabelsBtn');
+        this.exportLabelsBtn = document.getElementById('exportLabelsBtn');
+        this.labelsFileInput = document.getElementById('labelsFileInput');
+        this.insertFileBtn = document.getElementById('insertFileBtn');
+        this.appendFileBtn = document.getElementById('appendFileBtn');
+        this.spliceFileInput = document.getElementById('spliceFileInput');
+        this.fileQueuePanel = document.getElementById('fileQueue');
+        this.fileQueueList = document.getElementById('fileQueueList');
+        this.fileQueueCount = document.getElementById('fileQueueCount');
+        this.fileQueuePrev = document.getElementById('fileQueuePrev');
+        this.fileQueueNext = document.getElementById('fileQueueNext');
+        this.fileQueueAdvance = document.getElementById('fileQueueAdvance');
         this.progress = document.getElementById('progress');
         this.progressBar = document.getElementById('progressBar');
+        this.progressFooter = document.getElementById('progressFooter');
+        this.progressEta = document.getElementById('progressEta');
+        this.progressCancelBtn = document.getElementById('progressCancelBtn');
         
         // Loading overlay elements
         this.waveformLoadingOverlay = document.getElementById('waveformLoadingOverlay');
@@ -99,6 +235,17 @@ export class AudioChunkingEditor {
     initializeComponents() {
         this.waveformRenderer = new WaveformRenderer(this.canvas, []);
         this.chunkManager = new ChunkManager(this.waveform);
+        this.fileQueue = new FileQueue({
+            panel: this.fileQueuePanel,
+            list: this.fileQueueList,
+            count: this.fileQueueCount,
+            prev: this.fileQueuePrev,
+            next: this.fileQueueNext
+        }, (index) => this.openQueueItem(index));
+        // True while a queued file is being opened
+        this.queueLoading = false;
+        // Orders the stashed queue files, oldest first
+        this.queueStashCount = 0;
         this.audioPlayer = null; // Will be initialized with audio context
         this.historyManager = null; // Will be initialized with audio context
     }
@@ -122,7 +269,7 @@ export class AudioChunkingEditor {
             this.uploadArea.classList.remove('dragover');
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFile(files[0]);
+                this.handleFiles(files);
             }
         });
         
@@ -155,6 +302,7 @@ export class AudioChunkingEditor {
         this.loopBtn.addEventListener('click', () => this.toggleLoop());
         this.splitBtn.addEventListener('click', () => this.splitAtPosition());
         this.cropBtn.addEventListener('click', () => this.showExportPopup());
+        this.progressCancelBtn.addEventListener('click', () => this.cancelExport());
         this.fadeInBtn.addEventListener('click', () => this.applyFadeIn());
         this.fadeOutBtn.addEventListener('click', () => this.applyFadeOut());
         this.normalizeBtn.addEventListener('click', () => this.applyNormalize());
@@ -164,6 +312,37 @@ export class AudioChunkingEditor {
         this.zeroCrossingSnapToggle.addEventListener('change', (e) => {
             this.zeroCrossingSnapEnabled = e.target.checked;
         });
+        this.importLabelsBtn.addEventListener('click', () => this.labelsFileInput.click());
+        this.exportLabelsBtn.addEventListener('click', () => this.exportLabels());
+        this.labelsFileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importLabels(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.fileQueuePrev.addEventListener('click', () => this.stepQueue(-1));
+        this.fileQueueNext.addEventListener('click', () => this.stepQueue(1));
+        this.fileInfoToggle.addEventListener('click', () => {
+            const open = this.fileInfoList.style.display === 'none';
+            this.fileInfoList.style.display = open ? '' : 'none';
+            this.fileInfoToggle.textContent = open ? 'hide details' : 'details';
+        });
+        // Insert and append share one file input; the button says where the file goes
+        this.spliceTarget = 'cursor';
+        this.insertFileBtn.addEventListener('click', () => {
+            this.spliceTarget = 'cursor';
+            this.spliceFileInput.click();
+        });
+        this.appendFileBtn.addEventListener('click', () => {
+            this.spliceTarget = 'end';
+            this.spliceFileInput.click();
+        });
+        this.spliceFileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.insertFile(e.target.files[0], this.spliceTarget);
+            }
+            e.target.value = '';
+        });
         
         // Export popup event listeners
         this.exportPopupClose.addEventListener('click', () => this.hideExportPopup());
@@ -175,6 +354,22 @@ export class AudioChunkingEditor {
             }
         });
         
+        // Dither only applies when reducing to integer PCM
+        this.wavBitDepth.addEventListener('change', () => {
+            this.wavDither.disabled = this.wavBitDepth.value === '32f';
+        });
+        
+        // VBR is set by quality; CBR and ABR by bitrate
+        this.mp3Mode.addEventListener('change', () => {
+            const vbr = this.mp3Mode.value === 'vbr';
+            this.mp3VbrQualityField.style.display = vbr ? '' : 'none';
+            this.bitrateOptions.style.display = vbr ? 'none' : '';
+        });
+        
+        // Cover art for the ID3 tag
+        this.coverArtInput.addEventListener('change', (e) => this.handleCoverArtSelect(e.target.files[0]));
+        this.coverArtClear.addEventListener('click', () => this.setCoverArt(null));
+        
         // Format radio button change listener
         document.addEventListener('change', (e) => {
             if (e.target.name === 'format') {
@@ -182,12 +377,49 @@ export class AudioChunkingEditor {
                 this.updateSelectedStyles('format');
             } else if (e.target.name === 'bitrate') {
                 this.updateSelectedStyles('bitrate');
+            } else if (e.target.name === 'scope') {
+                this.updateSelectedStyles('scope');
+                this.updateChapterSections();
+                this.fileNameTemplate.value = this.fileNameTemplates[e.target.value];
+            }
+            if (this.exportPopupOverlay.contains(e.target)) {
+                this.updateFileNamePreview();
+                this.updateLoudnessMeasurement();
+                this.updateRawFormatNote();
             }
         });
         
+        // Filename templates, one per export scope, remembered between sessions
+        this.fileNameTemplates = loadFileNameTemplates();
+        this.fileNameTemplate.addEventListener('input', () => {
+            this.fileNameTemplates[this.getExportScope()] = this.fileNameTemplate.value;
+            this.updateFileNamePreview();
+        });
+        
+        // Format picked for the last export, preselected in the popup
+        this.lastExportFormat = 'wav';
+        
+        // How this browser encodes Opus; undefined until the export popup checks
+        this.opusSupport = undefined;
+        
+        // Loudness of the export range shown in the popup, and of the last
+        // export before and after normalizing (see convertForExport)
+        this.loudnessMeasurement = null;
+        this.loudnessMeasureToken = 0;
+        this.exportLoudness = null;
+        
+        // Export in progress (see beginExport)
+        this.exportController = null;
+        this.etaBaseline = null;
+        
         // Initialize MP3 worker
         this.mp3Worker = null;
         this.mp3WorkerReady = false;
+        this.mp3PoolWorkers = [];
+        
+        // Initialize FLAC worker
+        this.flacWorker = null;
+        this.flacWorkerReady = false;
         
         // Resize
         window.addEventListener('resize', () => this.waveformRenderer.resizeCanvas());
@@ -251,9 +483,156 @@ export class AudioChunkingEditor {
     }
     
     handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.handleFile(file);
+        if (event.target.files.length > 0) {
+            this.handleFiles(event.target.files);
+        }
+        event.target.value = '';
+    }
+
+    /**
+     * Loads dropped or selected files. Several audio files become a queue
+     * that is worked through one at a time. A .cue sheet goes with the
+     * audio file of the same name (or the only one) and splits it into
+     * chunks; picked alone, it is applied to the audio already loaded.
+     * @param {FileList|File[]} files - Files from the input or drop
+     */
+    handleFiles(files) {
+        // The queue can't change under a file that is loading or exporting
+        if (this.queueLoading || this.exportController) {
+            toast(`Wait for the current ${this.queueLoading ? 'file to load' : 'export to finish'} before adding files.`, 'warning');
+            return;
+        }
+
+        const list = Array.from(files);
+        const cueFiles = list.filter(file => /\.cue$/i.test(file.name));
+        const audioFiles = list.filter(file => !cueFiles.includes(file));
+
+        if (audioFiles.length) {
+            const baseName = (file) => file.name.replace(/\.[^.]+$/, '').toLowerCase();
+            this.fileQueue.setFiles(audioFiles.map(file => ({
+                file,
+                cueFile: cueFiles.find(cue => baseName(cue) === baseName(file)) ||
+                    (audioFiles.length === 1 ? cueFiles[0] : null)
+            })));
+            this.openQueueItem(0);
+        } else if (cueFiles.length && this.audioBuffer) {
+            this.importCueSheet(cueFiles[0]);
+        } else if (cueFiles.length) {
+            toast('Load the audio file first, or select it together with its .cue sheet.', 'warning');
+        }
+    }
+
+    /**
+     * Opens a file of the queue. The edits of the file being left are kept
+     * with it (not its undo history), so coming back to a file picks up
+     * where it was left.
+     * @param {number} index - Position in the queue
+     */
+    async openQueueItem(index) {
+        const queue = this.fileQueue;
+        const item = queue.items[index];
+        if (!item || index === queue.currentIndex || this.queueLoading || this.exportController) return;
+
+        this.stashQueueItem();
+        queue.select(index);
+        if (item.state) {
+            this.restoreQueueItem(item);
+            return;
+        }
+
+        this.queueLoading = true;
+        queue.setStatus(index, 'loading');
+        try {
+            const loaded = await this.handleFile(item.file, item.cueFile);
+            queue.setStatus(index, loaded ? 'loaded' : 'failed', loaded ? '' : 'Could not load this file');
+            // Don't leave the previous file on screen as if it were this one
+            if (!loaded && this.originalFile !== item.file) {
+                this.clearExistingAudio();
+            }
+        } finally {
+            this.queueLoading = false;
+        }
+    }
+
+    /**
+     * Keeps the open file's audio and chunks with its queue entry. Only
+     * the current state is kept, and only for the last few files left, so
+     * a long queue doesn't hold every file (and its undo steps) in memory.
+     */
+    stashQueueItem() {
+        const queue = this.fileQueue;
+        const item = queue.current;
+        if (!item || !this.audioBuffer || this.originalFile !== item.file) return;
+
+        if (item.status === 'loaded' && this.historyManager.canUndo()) {
+            queue.setStatus(queue.currentIndex, 'edited');
+        }
+        item.state = {
+            snapshot: this.historyManager.createStateSnapshot(this),
+            sourceFormat: this.sourceFormat,
+            sourceDuration: this.sourceDuration,
+            order: ++this.queueStashCount
+        };
+        this.historyManager.clear();
+
+        const stashed = queue.items.filter(entry => entry.state)
+            .sort((a, b) => a.state.order - b.state.order);
+        stashed.slice(0, Math.max(0, stashed.length - MAX_STASHED_FILES)).forEach(entry => {
+            if (entry.status === 'edited') {
+                toast(`Edits to ${entry.file.name} were discarded to free memory.`, 'warning');
+            }
+            entry.state = null;
+            // Exported files keep their mark; the rest open again from the file
+            if (entry.status !== 'exported') {
+                queue.setStatus(queue.items.indexOf(entry), 'pending');
+            }
+        });
+    }
+
+    /**
+     * Reopens a queued file as it was left
+     * @param {Object} item - Queue entry with a stashed state
+     */
+    restoreQueueItem(item) {
+        this.clearExistingAudio();
+        this.originalFile = item.file;
+        this.loadSourceMetadata(item.file);
+        this.sourceFormat = item.state.sourceFormat;
+        this.sourceDuration = item.state.sourceDuration;
+
+        this.waveformContainer.style.display = 'block';
+        this.showCompactUploadArea();
+        this.restoreState(item.state.snapshot);
+        this.updateMouseEventListeners();
+        this.updateSourceFormat();
+        this.updateFileInfo();
+        this.enableControls();
+        item.state = null;
+        // Undo starts over from the state the file was left in
+        this.historyManager.clear();
+        this.saveCurrentState('Reopen audio file');
+    }
+
+    /**
+     * Steps through the queue
+     * @param {number} step - 1 for the next file, -1 for the previous one
+     */
+    stepQueue(step) {
+        const index = this.fileQueue.currentIndex + step;
+        if (index >= 0 && index < this.fileQueue.items.length) {
+            this.openQueueItem(index);
+        }
+    }
+
+    /**
+     * Marks the open file as exported and, if asked to, moves on to the next one
+     */
+    onQueueItemExported() {
+        const queue = this.fileQueue;
+        if (!queue.current) return;
+        queue.setStatus(queue.currentIndex, 'exported');
+        if (this.fileQueueAdvance.checked && queue.hasNext()) {
+            this.openQueueItem(queue.currentIndex + 1);
         }
     }
     
@@ -265,26 +644,30 @@ export class AudioChunkingEditor {
             }
             const arrayBuffer = await response.arrayBuffer();
             const file = new File([arrayBuffer], 'stereo-test.mp3', { type: 'audio/mpeg' });
-            this.handleFile(file);
+            this.handleFiles([file]);
         } catch (error) {
             console.error('Error loading sample file:', error);
             toast('Error loading sample file. Please try uploading your own audio file.', 'error');
         }
     }
 
-    async handleFile(file) {
-        if (!file.type.startsWith('audio/') && !file.name.match(/\.(wav|mp3|ogg|flac|aac|m4a|wma|webm)$/i)) {
-            toast('Unsupported file type. Please select a WAV, MP3, or OGG audio file.', 'warning');
+    isSupportedAudioFile(file) {
+        return file.type.startsWith('audio/') || /\.(wav|aif|aiff|aifc|mp3|ogg|opus|flac|aac|m4a|wma|webm)$/i.test(file.name);
+    }
+
+    /**
+     * Loads an audio file in place of the current one
+     * @param {File} file - Audio file
+     * @param {File|null} [cueFile] - CUE sheet to split it with
+     * @returns {Promise<boolean>} Whether the file was loaded
+     */
+    async handleFile(file, cueFile = null) {
+        if (!this.isSupportedAudioFile(file)) {
+            toast('Unsupported file type. Please select a WAV, AIFF, MP3, OGG, Opus, FLAC or M4A audio file.', 'warning');
             // Reset upload area to full size for invalid files
             this.uploadArea.classList.remove('compact');
             this.resetUploadText();
-            return;
-        }
-
-        // Warn for very large files (>500MB) that may cause browser memory issues
-        const MAX_FILE_SIZE = 500 * 1024 * 1024;
-        if (file.size > MAX_FILE_SIZE) {
-            toast('This file is very large and may cause performance issues or crash the browser.', 'warning');
+            return false;
         }
         
         // Clear existing waveform and audio when loading new file
@@ -296,6 +679,7 @@ export class AudioChunkingEditor {
         }
         
         this.originalFile = file;
+        this.loadSourceMetadata(file);
         
         // Ensure waveform container is visible before showing progress
         this.waveformContainer.style.display = 'block';
@@ -305,11 +689,10 @@ export class AudioChunkingEditor {
             await this.initializeAudioContext();
             this.updateProgress(10, 'Reading file...');
             
-            // Read file with progress tracking for large files
-            const arrayBuffer = await this.readFileWithProgress(file);
-            this.updateProgress(60, 'Decoding audio data...');
-            
-            this.audioBuffer = await this.decodeAudioDataWithProgress(arrayBuffer);
+            const decoded = await this.decodeFile(file);
+            this.sourceFormat = decoded.format;
+            this.audioBuffer = decoded.audioBuffer;
+            this.sourceDuration = this.audioBuffer.duration;
             this.updateProgress(85, 'Generating waveform...');
             
             // Reset states
@@ -328,6 +711,7 @@ export class AudioChunkingEditor {
             
             // Initialize components with new audio
             this.chunkManager.initializeChunks(this.audioBuffer);
+            await this.applyFileMarkers(file, cueFile);
             this.waveformRenderer.chunks = this.chunkManager.chunks;
             
             // Update mouse event listeners to use scroll container after it's created
@@ -336,17 +720,15 @@ export class AudioChunkingEditor {
             this.waveformContainer.style.display = 'block';
             
             // Make upload area compact when file is loaded
-            this.uploadArea.classList.add('compact');
-            
-            // Update text for compact mode
-            const uploadText = this.uploadArea.querySelector('.upload-text');
-            uploadText.innerHTML = 'Drag & drop another audio file here or <span class="click-to-browse" onclick="document.getElementById(\'fileInput\').click()">click to browse</span>';
+            this.showCompactUploadArea();
             
             requestAnimationFrame(() => {
                 this.waveformRenderer.generateWaveform(this.audioBuffer);
                 this.updateProgress(100, 'Complete!');
                 
                 this.updateDuration();
+                this.updateSourceFormat();
+                this.updateFileInfo();
                 this.updateCurrentTime();
                 this.updateChunkInfo();
                 this.updateDeleteButton();
@@ -360,6 +742,7 @@ export class AudioChunkingEditor {
                 // Reset read timing for next file
                 this.readStartTime = null;
             });
+            return true;
             
         } catch (error) {
             console.error('Error processing audio file:', error);
@@ -368,7 +751,7 @@ export class AudioChunkingEditor {
             let errorMessage = 'Error processing audio file. Please try another file.';
             if (error.name === 'NotSupportedError') {
                 errorMessage = 'This audio format is not supported. Please try a WAV, MP3, or OGG file.';
-            } else if (error.name === 'QuotaExceededError') {
+            } else if (error.name === 'QuotaExceededError' || error instanceof RangeError) {
                 errorMessage = 'File is too large. Please try a smaller audio file.';
             } else if (error.message.includes('Failed to read file')) {
                 errorMessage = 'Failed to read the file. The file may be corrupted or too large.';
@@ -383,6 +766,7 @@ export class AudioChunkingEditor {
             
             // Reset read timing
             this.readStartTime = null;
+            return false;
         }
     }
 
@@ -496,6 +880,51 @@ export class AudioChunkingEditor {
         });
     }
 
+    /**
+     * Splits the new audio into chunks at markers from a CUE sheet loaded
+     * with it or, failing that, stored in the file itself (WAV cue points)
+     * @param {File} file - Loaded file
+     * @param {File|null} cueFile - CUE sheet picked together with the file
+     */
+    async applyFileMarkers(file, cueFile = null) {
+        if (cueFile) {
+            const markers = await this.readCueSheetMarkers(cueFile);
+            if (markers) {
+                const count = this.chunkManager.applyMarkers(markers, this.audioBuffer.duration);
+                toast(`Split into ${count} chunks from ${cueFile.name}.`, 'info');
+                return;
+            }
+        }
+
+        let cueData = null;
+        try {
+            cueData = await readWavCues(file);
+        } catch (error) {
+            console.warn('Could not read cue points from file:', error);
+        }
+        if (!cueData) return;
+
+        const markers = cueData.cues.map(cue => ({ time: cue.position / cueData.sampleRate, label: cue.label }));
+        const count = this.chunkManager.applyMarkers(markers, this.audioBuffer.duration);
+        if (count > 1) {
+            toast(`Split into ${count} chunks at the file's cue points.`, 'info');
+        }
+    }
+
+    /**
+     * Chunk boundaries inside a range, relative to its start, for writing as
+     * file markers
+     * @param {number} start - Range start in seconds
+     * @param {number} end - Range end in seconds
+     * @returns {Array<{time: number, label: string}>}
+     */
+    getMarkersInRange(start, end) {
+        if (this.chunkManager.chunks.length <= 1) return [];
+        return this.chunkManager.chunks
+            .filter(chunk => chunk.start >= start && chunk.start < end)
+            .map(chunk => ({ time: chunk.start - start, label: chunk.title || '' }));
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -517,7 +946,57 @@ export class AudioChunkingEditor {
         return `(${this.formatFileSize(speed)}/s)`;
     }
 
-    async decodeAudioDataWithProgress(arrayBuffer) {
+    /**
+     * Reads and decodes a loaded file at its own sample rate, in the way
+     * that needs the least memory: uncompressed WAV and AIFF in a worker,
+     * large MP3 and FLAC files in segments, and anything else read whole
+     * and decoded in one go. Reports progress from 10% to 85%.
+     * @param {File} file - Audio file
+     * @returns {Promise<{audioBuffer: AudioBuffer, format: Object|null}>}
+     *   The audio and the format read from the file's headers
+     */
+    async decodeFile(file) {
+        const head = new Uint8Array(await file.slice(0, PROBE_BYTES).arrayBuffer());
+        let format = probeAudioFormat(head);
+        const total = this.formatFileSize(file.size);
+
+        if (isPcmContainer(head)) {
+            const audioBuffer = await decodePcmFile(file, (loaded, size) => {
+                this.updateProgress(10 + loaded / size * 75, `Decoding audio data (${this.formatFileSize(loaded)}/${total})...`);
+            });
+            if (audioBuffer) return { audioBuffer, format };
+        } else if (format && file.size >= SEGMENTED_DECODE_BYTES) {
+            this.updateProgress(10, 'Decoding audio data...');
+            const audioBuffer = await decodeInSegments(file, this.getDecodeContext(format.rateUncertain ? null : format.sampleRate), fraction => {
+                this.updateProgress(10 + fraction * 75, `Decoding audio data (${Math.round(fraction * 100)}% of ${total})...`);
+            });
+            if (audioBuffer) return { audioBuffer, format };
+        }
+
+        if (file.size > LARGE_DECODE_BYTES) {
+            toast('This file is very large and may cause performance issues or crash the browser.', 'warning');
+        }
+        const arrayBuffer = await this.readFileWithProgress(file);
+        this.updateProgress(60, 'Decoding audio data...');
+        // MP4 files may keep their headers at the end (read before decoding,
+        // which detaches the buffer)
+        format = probeAudioFormat(new Uint8Array(arrayBuffer));
+        // AAC that may carry SBR decodes at the context's rate rather
+        // than possibly half its real rate
+        const sampleRate = format && !format.rateUncertain ? format.sampleRate : null;
+        const audioBuffer = await this.decodeAudioDataWithProgress(arrayBuffer, sampleRate);
+        return { audioBuffer, format };
+    }
+
+    /**
+     * Decodes a file, simulating progress while the browser works
+     * @param {ArrayBuffer} arrayBuffer - File contents (detached by decoding)
+     * @param {number|null} [sampleRate] - Rate to decode at; the audio
+     *   context's rate if omitted
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decodeAudioDataWithProgress(arrayBuffer, sampleRate = null) {
+        const context = this.getDecodeContext(sampleRate);
         return new Promise((resolve, reject) => {
             // Start decoding with periodic progress updates
             let progressInterval;
@@ -532,7 +1011,7 @@ export class AudioChunkingEditor {
             }, 50);
             
             // Handle the actual decoding
-            this.audioContext.decodeAudioData(arrayBuffer)
+            context.decodeAudioData(arrayBuffer)
                 .then((audioBuffer) => {
                     clearInterval(progressInterval);
                     resolve(audioBuffer);
@@ -544,6 +1023,28 @@ export class AudioChunkingEditor {
         });
     }
 
+    /**
+     * decodeAudioData resamples to the rate of the context it runs on, so
+     * files at another rate than the output device are decoded on an
+     * OfflineAudioContext running at their own rate. Playback resamples
+     * on the fly.
+     * @param {number|null} sampleRate - Rate to decode at
+     * @returns {BaseAudioContext}
+     */
+    getDecodeContext(sampleRate) {
+        if (!sampleRate || sampleRate === this.audioContext.sampleRate) {
+            return this.audioContext;
+        }
+        const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        try {
+            return new OfflineCtx(1, 1, sampleRate);
+        } catch (error) {
+            // Outside the range of rates this browser supports
+            console.warn(`Cannot decode at ${sampleRate} Hz, using ${this.audioContext.sampleRate} Hz:`, error);
+            return this.audioContext;
+        }
+    }
+
     clearExistingAudio() {
         // Stop any current playback
         if (this.audioPlayer && this.audioPlayer.isPlaying) {
@@ -552,6 +1053,9 @@ export class AudioChunkingEditor {
         
         // Clear audio buffer and reset states
         this.audioBuffer = null;
+        this.sourceFormat = null;
+        this.sourceTags = null;
+        this.sourceDuration = 0;
         this.seekPosition = 0;
         this.selection = { start: 0, end: 0 };
         
@@ -582,6 +1086,8 @@ export class AudioChunkingEditor {
         this.updateSelectionClock();
         this.updateDeleteButton();
         this.updateChunkInfo();
+        this.sourceFormatSpan.textContent = '';
+        this.fileInfo.style.display = 'none';
         
         // Disable controls
         this.undoBtn.disabled = true;
@@ -596,6 +1102,10 @@ export class AudioChunkingEditor {
         this.normalizeBtn.disabled = true;
         this.silenceBtn.disabled = true;
         this.deleteBtn.disabled = true;
+        this.importLabelsBtn.disabled = true;
+        this.exportLabelsBtn.disabled = true;
+        this.insertFileBtn.disabled = true;
+        this.appendFileBtn.disabled = true;
         
         // Reset play button
         this.playBtn.textContent = '▷';
@@ -607,9 +1117,17 @@ export class AudioChunkingEditor {
         }
     }
 
+    showCompactUploadArea() {
+        this.uploadArea.classList.add('compact');
+        
+        // Update text for compact mode
+        const uploadText = this.uploadArea.querySelector('.upload-text');
+        uploadText.innerHTML = 'Drag & drop other audio files here or <span class="click-to-browse" onclick="document.getElementById(\'fileInput\').click()">click to browse</span>';
+    }
+
     resetUploadText() {
         const uploadText = this.uploadArea.querySelector('.upload-text');
-        uploadText.innerHTML = 'Drag & drop an audio file here or <span class="click-to-browse" onclick="document.getElementById(\'fileInput\').click()">click to browse</span>';
+        uploadText.innerHTML = 'Drag & drop audio files here or <span class="click-to-browse" onclick="document.getElementById(\'fileInput\').click()">click to browse</span>';
     }
 
     updateMouseEventListeners() {
@@ -1113,6 +1631,16 @@ export class AudioChunkingEditor {
             return;
         }
 
+        // Previous/next file of the queue, also when the open one failed to load
+        if (this.fileQueue.items.length > 1) {
+            const step = { BracketLeft: -1, PageUp: -1, BracketRight: 1, PageDown: 1 }[event.code];
+            if (step && !event.metaKey && !event.ctrlKey && !event.altKey) {
+                this.stepQueue(step);
+                event.preventDefault();
+                return;
+            }
+        }
+
         // Check if audio is loaded
         if (!this.audioBuffer || !this.audioPlayer) {
             return;
@@ -1394,6 +1922,128 @@ export class AudioChunkingEditor {
         this.saveCurrentState(`Split at ${this.seekPosition.toFixed(2)}s`);
     }
 
+    /**
+     * Rebuilds the chunk list from an Audacity label file. Each label
+     * starts a chunk named after it; a region label that ends before the
+     * next one begins also splits at its end.
+     * @param {File} file - Label file (.txt)
+     */
+    async importLabels(file) {
+        if (!this.audioBuffer) return;
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Failed to read label file:', error);
+            toast('Failed to read the label file.', 'error');
+            return;
+        }
+
+        const { labels, errors } = parseLabelFile(text);
+        const duration = this.audioBuffer.duration;
+        const listLines = (lines) => lines.slice(0, 5).join(', ') + (lines.length > 5 ? ', …' : '');
+
+        if (errors.length) {
+            toast(`Skipped ${errors.length} line(s) that could not be parsed as labels (line ${listLines(errors)}).`, 'warning');
+        }
+
+        // Allow a millisecond of rounding in the label times
+        const outOfRange = labels.filter(label => label.end > duration + 0.001);
+        if (outOfRange.length) {
+            toast(`${outOfRange.length} label(s) extend past the end of the audio (${AudioUtils.formatTime(duration)}) and were trimmed or skipped (line ${listLines(outOfRange.map(label => label.line))}).`, 'warning');
+        }
+
+        const usable = labels.filter(label => label.start < duration);
+        if (!usable.length) {
+            toast('No labels in this file fall within the loaded audio.', 'error');
+            return;
+        }
+
+        const starts = usable.map(label => label.start);
+        const markers = usable.map(label => ({ time: label.start, label: label.label }));
+        for (const label of usable) {
+            const endsElsewhere = !starts.some(start => Math.abs(start - label.end) <= 0.001);
+            if (label.end > label.start && label.end < duration && endsElsewhere) {
+                markers.push({ time: label.end });
+            }
+        }
+
+        const count = this.rebuildChunksFromMarkers(markers, `Import ${usable.length} labels`);
+        toast(`Imported ${usable.length} label(s) as ${count} chunks.`, 'info');
+    }
+
+    /**
+     * Rebuilds the chunk list of the loaded audio from a CUE sheet
+     * @param {File} file - CUE sheet
+     */
+    async importCueSheet(file) {
+        const markers = await this.readCueSheetMarkers(file);
+        if (!markers) return;
+
+        const count = this.rebuildChunksFromMarkers(markers, 'Import CUE sheet');
+        toast(`Split into ${count} chunks from ${file.name}.`, 'info');
+    }
+
+    /**
+     * Reads track starts from a CUE sheet, reporting problems via toast
+     * @param {File} file - CUE sheet
+     * @returns {Promise<Array<{time: number, label: string}>|null>} Markers, or null if unusable
+     */
+    async readCueSheetMarkers(file) {
+        let sheet;
+        try {
+            sheet = parseCueSheet(await file.text());
+        } catch (error) {
+            console.error('Failed to read CUE sheet:', error);
+            toast('Failed to read the CUE sheet.', 'error');
+            return null;
+        }
+
+        const duration = this.audioBuffer.duration;
+        const tracks = sheet.tracks.filter(track => track.start < duration);
+        if (!tracks.length) {
+            toast(`${file.name} has no tracks within the loaded audio.`, 'warning');
+            return null;
+        }
+        if (tracks.length < sheet.tracks.length) {
+            toast(`${sheet.tracks.length - tracks.length} CUE track(s) start after the end of the audio and were skipped.`, 'warning');
+        }
+
+        if (sheet.performer && !this.cuePerformer.value) this.cuePerformer.value = sheet.performer;
+        if (sheet.title && !this.cueTitle.value) this.cueTitle.value = sheet.title;
+
+        return tracks.map(track => ({ time: track.start, label: track.title }));
+    }
+
+    /**
+     * Replaces the chunks with ones split at the given markers, as one undo step
+     * @param {Array<{time: number, label?: string}>} markers - Split points
+     * @param {string} action - History entry name
+     * @returns {number} Number of chunks created
+     */
+    rebuildChunksFromMarkers(markers, action) {
+        const count = this.chunkManager.applyMarkers(markers, this.audioBuffer.duration);
+        this.waveformRenderer.chunks = this.chunkManager.chunks;
+        this.updateChunkInfo();
+        this.updateDeleteButton();
+        this.waveformRenderer.drawWaveform(this.audioBuffer, this.seekPosition, this.audioPlayer.getCurrentPlaybackTime());
+
+        this.saveCurrentState(action);
+        return count;
+    }
+
+    /**
+     * Downloads the chunk list as an Audacity label file
+     */
+    exportLabels() {
+        if (!this.audioBuffer) return;
+
+        const blob = new Blob([buildLabelFile(this.chunkManager.chunks)], { type: 'text/plain' });
+        const baseName = this.originalFile ? this.originalFile.name.replace(/\.[^.]+$/, '') : 'audio';
+        AudioUtils.downloadBlob(blob, `${baseName}_labels.txt`);
+    }
+
     delete() {
         if (this.selection.start !== this.selection.end) {
             // Delete selection
@@ -1443,6 +2093,95 @@ export class AudioChunkingEditor {
         this.saveCurrentState(`Delete ${deletedRange}`);
     }
 
+    /**
+     * Decodes another audio file and splices it into the current audio as
+     * a chunk of its own, as one undo step. The file is decoded at the
+     * current sample rate and matched to the current channel count.
+     * @param {File} file - Audio file to add
+     * @param {string} target - 'cursor' (at the playhead) or 'end'
+     */
+    async insertFile(file, target = 'cursor') {
+        if (!this.audioBuffer) return;
+        if (!this.isSupportedAudioFile(file)) {
+            toast('Unsupported file type. Please select a WAV, AIFF, MP3, OGG, Opus, FLAC or M4A audio file.', 'warning');
+            return;
+        }
+
+        if (this.audioPlayer.isPlaying) {
+            this.stop();
+        }
+        this.insertFileBtn.disabled = true;
+        this.appendFileBtn.disabled = true;
+        this.showLoadingProgress(`Adding ${file.name}...`);
+
+        try {
+            const arrayBuffer = await this.readFileWithProgress(file);
+            this.updateProgress(60, 'Decoding audio data...');
+            const decoded = await this.decodeAudioDataWithProgress(arrayBuffer, this.audioBuffer.sampleRate);
+            this.updateProgress(85, 'Inserting audio...');
+
+            const sampleRate = this.audioBuffer.sampleRate;
+            const numberOfChannels = this.audioBuffer.numberOfChannels;
+            const inserted = matchChannelCount(AudioUtils.getChannels(decoded), numberOfChannels);
+
+            // Cut at a sample, snapped like a split
+            const position = target === 'end' ? this.audioBuffer.duration :
+                AudioUtils.snapToZeroCrossing(this.audioBuffer, this.seekPosition, this.zeroCrossingSnapEnabled);
+            const insertAt = Math.min(this.audioBuffer.length, Math.round(position * sampleRate));
+            const time = insertAt / sampleRate;
+
+            const newBuffer = this.audioContext.createBuffer(numberOfChannels, this.audioBuffer.length + decoded.length, sampleRate);
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                const oldData = this.audioBuffer.getChannelData(channel);
+                const newData = newBuffer.getChannelData(channel);
+                newData.set(oldData.subarray(0, insertAt));
+                newData.set(inserted[channel], insertAt);
+                newData.set(oldData.subarray(insertAt), insertAt + decoded.length);
+            }
+            this.audioBuffer = newBuffer;
+
+            const duration = decoded.length / sampleRate;
+            this.chunkManager.insertTimeRange(time, duration, file.name.replace(/\.[^.]+$/, ''));
+            this.waveformRenderer.chunks = this.chunkManager.chunks;
+
+            // The selection would point at different audio now
+            this.selection = { start: 0, end: 0 };
+            this.selectionDiv.style.display = 'none';
+            this.hideResizeHandles();
+            if (this.audioPlayer.pausedAtTime > time) {
+                this.audioPlayer.pausedAtTime += duration;
+            }
+            this.seekPosition = this.audioPlayer.pausedAtTime;
+
+            this.waveformRenderer.generateWaveform(this.audioBuffer);
+            this.updateDuration();
+            this.updateCurrentTime();
+            this.updateChunkInfo();
+            this.updateDeleteButton();
+            this.updateSelectionInfo();
+            this.updateSelectionDuration();
+            this.updateSelectionClock();
+            this.updateProgress(100, 'Complete!');
+
+            const action = target === 'end' ? `Append ${file.name}` : `Insert ${file.name} at ${time.toFixed(2)}s`;
+            this.saveCurrentState(action);
+            toast(`${target === 'end' ? 'Appended' : 'Inserted'} ${file.name} (${AudioUtils.formatTime(duration)}).`, 'info');
+        } catch (error) {
+            console.error('Error inserting audio file:', error);
+            let errorMessage = `Could not add ${file.name}. Please try another file.`;
+            if (error.name === 'NotSupportedError' || error.name === 'EncodingError') {
+                errorMessage = `The format of ${file.name} is not supported.`;
+            } else if (error.name === 'QuotaExceededError' || error instanceof RangeError) {
+                errorMessage = 'Not enough memory to add this file.';
+            }
+            toast(errorMessage, 'error');
+        } finally {
+            this.hideLoadingProgress();
+            this.insertFileBtn.disabled = false;
+            this.appendFileBtn.disabled = false;
+        }
+    }
+
     deleteAudioRange(startTime, endTime) {
         if (!this.audioBuffer) return;
 
@@ -1587,17 +2326,34 @@ export class AudioChunkingEditor {
 
     showExportPopup() {
         this.exportPopupOverlay.style.display = 'flex';
-        // Reset to WAV format by default
-        document.querySelector('input[name="format"][value="wav"]').checked = true;
-        this.onFormatChange('wav');
+        // Start from the format of the last export (WAV the first time), so
+        // a queue of files can be exported the same way one after another
+        let formatInput = document.querySelector(`input[name="format"][value="${this.lastExportFormat}"]`);
+        if (!formatInput || formatInput.disabled) {
+            formatInput = document.querySelector('input[name="format"][value="wav"]');
+        }
+        formatInput.checked = true;
+        this.onFormatChange(formatInput.value);
+        this.outputSampleRate.options[0].textContent = `Same as source (${formatSampleRate(this.audioBuffer.sampleRate)})`;
+        this.updateOpusAvailability();
+        
+        // "All chunks" export only makes sense once the audio has been split
+        document.querySelector('input[name="scope"][value="current"]').checked = true;
+        this.scopeSection.style.display = this.chunkManager.chunks.length > 1 ? 'block' : 'none';
+        this.fileNameTemplate.value = this.fileNameTemplates.current;
+        this.updateFileNamePreview();
+        this.updateLoudnessMeasurement();
+        this.renderChapterList();
+        this.updateChapterSections();
         
         // Update selected styles
         this.updateSelectedStyles('format');
         this.updateSelectedStyles('bitrate');
+        this.updateSelectedStyles('scope');
         
-        // Focus the first radio button for accessibility
+        // Focus the selected format for accessibility
         setTimeout(() => {
-            document.querySelector('input[name="format"][value="wav"]').focus();
+            formatInput.focus();
         }, 100);
         
         // Add escape key listener
@@ -1626,24 +2382,341 @@ export class AudioChunkingEditor {
         } else {
             this.bitrateSection.style.display = 'none';
         }
+        this.wavOptionsSection.style.display = format === 'wav' ? 'block' : 'none';
+        this.flacOptionsSection.style.display = format === 'flac' ? 'block' : 'none';
+        this.aiffOptionsSection.style.display = format === 'aiff' ? 'block' : 'none';
+        this.rawOptionsSection.style.display = format === 'raw' ? 'block' : 'none';
+        this.opusOptionsSection.style.display = format === 'opus' ? 'block' : 'none';
+        
+        // MP3 stops at 48 kHz; Opus always encodes at 48 kHz, whatever the source
+        for (const option of this.outputSampleRate.options) {
+            option.disabled = (format === 'mp3' && parseInt(option.value) > 48000) ||
+                (format === 'opus' && option.value !== '');
+        }
+        if (this.outputSampleRate.selectedOptions[0].disabled) {
+            this.outputSampleRate.value = format === 'opus' ? '' : '48000';
+        }
+        this.mp3MetadataSection.style.display = format === 'mp3' ? 'block' : 'none';
+        this.updateChapterSections();
+        if (format === 'flac') {
+            this.initFlacWorker();
+        }
     }
 
-    updateSelectedStyles(inputName) {
-        // Remove selected class from all options of this type
-        const optionClass = inputName === 'format' ? 'format-option' : 'bitrate-option';
-        document.querySelectorAll(`.${optionClass}`).forEach(option => {
-            option.classList.remove('selected');
-        });
-        
-        // Add selected class to the checked option
-        const checkedInput = document.querySelector(`input[name="${inputName}"]:checked`);
-        if (checkedInput) {
-            checkedInput.closest(`.${optionClass}`).classList.add('selected');
+    /**
+     * Shows the loudness of what would be exported (measured once per range,
+     * channel layout and edit) and the gain needed to reach the target
+     */
+    async updateLoudnessMeasurement() {
+        const enabled = this.loudnessEnabled.checked;
+        this.loudnessTarget.disabled = !enabled;
+        this.loudnessCeiling.disabled = !enabled;
+        if (!enabled || !this.audioBuffer) {
+            this.loudnessMeasured.textContent = '';
+            return;
+        }
+        if (this.getExportScope() === 'chunks') {
+            this.loudnessMeasured.textContent = 'Each chunk is measured and normalized on its own.';
+            return;
+        }
+
+        const { start, end } = this.getExportRange();
+        const layout = this.outputChannels.value;
+        const cached = this.loudnessMeasurement;
+        if (!cached || cached.buffer !== this.audioBuffer || cached.start !== start ||
+            cached.end !== end || cached.layout !== layout) {
+            const token = ++this.loudnessMeasureToken;
+            this.loudnessMeasured.textContent = 'Measuring loudness...';
+            try {
+                const channels = applyChannelLayout(this.getChannelViews(start, end), layout);
+                const measured = await measureLoudness(channels, this.audioBuffer.sampleRate);
+                // A newer measurement was started meanwhile
+                if (token !== this.loudnessMeasureToken) return;
+                this.loudnessMeasurement = { buffer: this.audioBuffer, start, end, layout, ...measured };
+            } catch (error) {
+                console.error('Error measuring loudness:', error);
+                this.loudnessMeasured.textContent = 'Could not measure loudness.';
+                return;
+            }
+        }
+
+        const { integrated, truePeak } = this.loudnessMeasurement;
+        let text = `Measured: ${formatLoudness(integrated)} LUFS, true peak ${formatLoudness(truePeak)} dBTP`;
+        if (integrated !== -Infinity) {
+            const gain = parseFloat(this.loudnessTarget.value) - integrated;
+            text += ` (${gain >= 0 ? '+' : ''}${gain.toFixed(1)} dB to target)`;
+        }
+        this.loudnessMeasured.textContent = text;
+    }
+
+    /**
+     * Spells out what a raw PCM export will contain, since the file itself
+     * won't say
+     */
+    updateRawFormatNote() {
+        if (!this.audioBuffer) return;
+
+        const sampleRate = this.outputSampleRate.value ? parseInt(this.outputSampleRate.value) : this.audioBuffer.sampleRate;
+        const channels = channelCountForLayout(this.audioBuffer.numberOfChannels, this.outputChannels.value);
+        const order = this.rawByteOrder.value === 'big' ? 'big-endian' : 'little-endian';
+        const bitDepth = parseInt(this.rawBitDepth.value);
+        this.rawFormatNote.textContent = `No header: import as ${sampleRate} Hz, ${channels} channel${channels === 1 ? '' : 's'}, ` +
+            `${bitDepth}-bit ${this.rawSigned.value}${bitDepth > 8 ? `, ${order}` : ''}, ${this.rawLayout.value}`;
+    }
+
+    /**
+     * Reports the loudness before and after the export just finished
+     */
+    reportExportLoudness() {
+        const { before, after } = this.exportLoudness;
+        const text = `${formatLoudness(before.integrated)} → ${formatLoudness(after.integrated)} LUFS, ` +
+            `true peak ${formatLoudness(before.truePeak)} → ${formatLoudness(after.truePeak)} dBTP`;
+        this.loudnessResult.textContent = `Last export: ${text}`;
+        toast(`Loudness: ${text}`, 'info');
+    }
+
+    /**
+     * Enables the Opus format if this browser can encode it, noting when
+     * it can only record in real time
+     */
+    async updateOpusAvailability() {
+        if (this.opusSupport === undefined) {
+            this.opusSupport = await getOpusSupport();
+        }
+
+        const input = this.opusFormatOption.querySelector('input');
+        input.disabled = !this.opusSupport;
+        this.opusFormatOption.classList.toggle('unavailable', !this.opusSupport);
+        if (!this.opusSupport) {
+            this.opusFormatHint.textContent = 'Not supported by this browser';
+        } else if (this.opusSupport === 'mediarecorder') {
+            this.opusFormatHint.textContent = 'Small files; encodes in real time in this browser';
+        }
+    }
+
+    /**
+     * Reads the format-specific export settings from the popup
+     * @returns {Object} Export options passed through to the encoders
+     */
+    getExportOptions() {
+        const bitDepth = this.wavBitDepth.value;
+        return {
+            wav: {
+                bitDepth: bitDepth === '32f' ? 32 : parseInt(bitDepth),
+                float: bitDepth === '32f',
+                dither: this.wavDither.checked && bitDepth !== '32f'
+            },
+            flac: {
+                bitDepth: parseInt(this.flacBitDepth.value),
+                compressionLevel: parseInt(this.flacCompressionLevel.value)
+            },
+            mp3: {
+                mode: this.mp3Mode.value,
+                quality: parseInt(this.mp3VbrQuality.value)
+            },
+            aiff: {
+                bitDepth: parseInt(this.aiffBitDepth.value),
+                dither: this.aiffDither.checked
+            },
+            raw: {
+                bitDepth: parseInt(this.rawBitDepth.value),
+                signed: this.rawSigned.value === 'signed',
+                bigEndian: this.rawByteOrder.value === 'big',
+                planar: this.rawLayout.value === 'planar',
+                dither: this.rawDither.checked
+            },
+            opus: {
+                container: this.opusContainer.value
+            },
+            loudness: this.loudnessEnabled.checked ? {
+                target: parseFloat(this.loudnessTarget.value),
+                ceiling: parseFloat(this.loudnessCeiling.value)
+            } : null,
+            edges: {
+                preRoll: this.readEdgeTime(this.edgePreRoll) / 1000,
+                postRoll: this.readEdgeTime(this.edgePostRoll) / 1000,
+                fade: this.readEdgeTime(this.edgeFade) / 1000,
+                padTo: this.readEdgeTime(this.edgePadTo),
+                padAt: this.edgePadAt.value
+            },
+            output: {
+                channels: this.outputChannels.value,
+                sampleRate: this.outputSampleRate.value ? parseInt(this.outputSampleRate.value) : null
+            },
+            id3: {
+                ...this.getMetadata(),
+                chapters: this.canExportChapters() && this.chaptersEnabled.checked ? this.getChapters() : null
+            },
+            fileNameTemplate: this.fileNameTemplate.value,
+            cueSheet: this.canExportChapters() && this.cueSheetEnabled.checked ? {
+                performer: this.cuePerformer.value.trim(),
+                title: this.cueTitle.value.trim()
+            } : null
+        };
+    }
+
+    /**
+     * Reads one of the edge fields, treating blank or negative values as 0
+     * @param {HTMLInputElement} input
+     * @returns {number}
+     */
+    readEdgeTime(input) {
+        return Math.max(0, parseFloat(input.value) || 0);
+    }
+
+    /**
+     * Chapters (ID3 chapters, CUE sheet tracks) describe the whole file, so
+     * they're only offered when the whole file is exported in one piece and
+     * it has been split
+     * @returns {boolean}
+     */
+    canExportChapters() {
+        const scope = document.querySelector('input[name="scope"]:checked');
+        return this.chunkManager.chunks.length > 1 &&
+            this.selection.start === this.selection.end &&
+            this.chunkManager.selectedChunk === null &&
+            (!scope || scope.value === 'current');
+    }
+
+    updateChapterSections() {
+        const display = this.canExportChapters() ? 'block' : 'none';
+        this.chaptersField.style.display = display;
+        this.cueSheetSection.style.display = display;
+    }
+
+    /**
+     * Fills the chapter list with a title field for each chunk
+     */
+    renderChapterList() {
+        this.chapterList.innerHTML = '';
+        this.chunkManager.chunks.forEach((chunk, index) => {
+            const row = document.createElement('div');
+            row.className = 'export-field chapter-row';
+
+            const time = document.createElement('span');
+            time.className = 'chapter-time';
+            time.textContent = `${index + 1}. ${AudioUtils.formatTime(chunk.start)}–${AudioUtils.formatTime(chunk.end)}`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = `Chapter ${index + 1}`;
+            input.value = chunk.title || '';
+            input.addEventListener('input', () => {
+                chunk.title = input.value.trim();
+            });
+
+            row.append(time, input);
+            this.chapterList.appendChild(row);
+        });
+    }
+
+    /**
+     * Builds the chapter list for the ID3 tag from the current chunks
+     * @returns {Array<{title: string, start: number, end: number}>}
+     */
+    getChapters() {
+        return this.chunkManager.chunks.map((chunk, index) => ({
+            title: chunk.title || `Chapter ${index + 1}`,
+            start: chunk.start,
+            end: Math.min(chunk.end, this.audioBuffer.duration)
+        }));
+    }
+
+    /**
+     * Reads the tag fields from the export popup
+     * @returns {Object} {title, artist, album, track, year, comment, cover, version}
+     */
+    getMetadata() {
+        const metadata = { version: parseInt(this.id3Version.value), cover: this.coverArt };
+        for (const [key, input] of Object.entries(this.metadataFields)) {
+            metadata[key] = input.value.trim();
+        }
+        return metadata;
+    }
+
+    /**
+     * Reads the loaded file's tags for the file info panel and prefills the
+     * export tag fields from them
+     * @param {File} file - Originally loaded file
+     */
+    async loadSourceMetadata(file) {
+        for (const input of Object.values(this.metadataFields)) {
+            input.value = '';
+        }
+        this.setCoverArt(null);
+        this.cuePerformer.value = '';
+        this.cueTitle.value = '';
+
+        let fileTags = null;
+        try {
+            fileTags = await readFileTags(file);
+        } catch (error) {
+            console.warn('Could not read tags from file:', error);
+        }
+        // Another file may have been loaded while reading
+        if (this.originalFile !== file) return;
+        this.sourceTags = fileTags;
+        this.updateFileInfo();
+        if (!fileTags) return;
+
+        const metadata = fileTags.tags;
+        for (const [key, input] of Object.entries(this.metadataFields)) {
+            input.value = metadata[key] || '';
+        }
+        if (metadata.cover) {
+            this.setCoverArt(metadata.cover);
+        }
+        if (!this.cuePerformer.value) this.cuePerformer.value = metadata.artist || '';
+        if (!this.cueTitle.value) this.cueTitle.value = metadata.album || metadata.title || '';
+    }
+
+    async handleCoverArtSelect(file) {
+        if (!file) return;
+        if (file.type !== 'image/jpeg' && file.type !== 'image/png') {
+            toast('Cover art must be a JPEG or PNG image.', 'warning');
+            this.coverArtInput.value = '';
+            return;
+        }
+        try {
+            const data = new Uint8Array(await file.arrayBuffer());
+            this.setCoverArt({ mimeType: file.type, data });
+        } catch (error) {
+            console.error('Failed to read cover art:', error);
+            toast('Failed to read the cover image.', 'error');
+        }
+        this.coverArtInput.value = '';
+    }
+
+    setCoverArt(cover) {
+        this.coverArt = cover;
+        if (cover) {
+            const type = cover.mimeType === 'image/png' ? 'PNG' : 'JPEG';
+            this.coverArtInfo.textContent = `${type}, ${this.formatFileSize(cover.data.length)}`;
+            this.coverArtClear.style.display = '';
+        } else {
+            this.coverArtInfo.textContent = 'None';
+            this.coverArtClear.style.display = 'none';
+        }
+    }
+
+    updateSelectedStyles(inputName) {
+        // Remove selected class from all options of this type
+        const optionClass = `${inputName}-option`;
+        document.querySelectorAll(`.${optionClass}`).forEach(option => {
+            option.classList.remove('selected');
+        });
+        
+        // Add selected class to the checked option
+        const checkedInput = document.querySelector(`input[name="${inputName}"]:checked`);
+        if (checkedInput) {
+            checkedInput.closest(`.${optionClass}`).classList.add('selected');
         }
     }
 
     async handleExportConfirm() {
         const format = document.querySelector('input[name="format"]:checked').value;
+        const scope = document.querySelector('input[name="scope"]:checked').value;
+        const options = this.getExportOptions();
         let bitrate = 192; // default
         
         if (format === 'mp3') {
@@ -1655,6 +2728,20 @@ export class AudioChunkingEditor {
                 toast('Please select an MP3 quality setting.', 'warning');
                 return;
             }
+        } else if (format === 'opus') {
+            bitrate = parseInt(this.opusBitrate.value);
+        }
+        saveFileNameTemplates(this.fileNameTemplates);
+        
+        // Large WAV exports go straight to disk; ask where before anything
+        // else so the dialog still counts as opened by the click
+        if (format === 'wav' && scope === 'current') {
+            try {
+                options.saveHandle = await this.pickLargeWavDestination(options);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Save dialog unavailable, falling back to download:', error);
+            }
         }
         
         // Disable export button to prevent double-clicking
@@ -1663,7 +2750,13 @@ export class AudioChunkingEditor {
         
         try {
             this.hideExportPopup();
-            await this.exportAudio(format, bitrate);
+            this.lastExportFormat = format;
+            const exported = scope === 'chunks' ?
+                await this.exportAllChunks(format, bitrate, options) :
+                await this.exportAudio(format, bitrate, options);
+            if (exported) {
+                this.onQueueItemExported();
+            }
         } catch (error) {
             console.error('Export failed:', error);
             toast('Export failed. Please try again or use a different format.', 'error');
@@ -1681,7 +2774,7 @@ export class AudioChunkingEditor {
             this.mp3Worker = new Worker('js/workers/mp3-encoder-worker.js');
 
             // Set up worker message handling
-            this.mp3Worker.onmessage = (e) => this.handleMp3WorkerMessage(e);
+            this.mp3Worker.onmessage = (e) => this.handleEncoderWorkerMessage(e, 'MP3');
             this.mp3Worker.onerror = (error) => {
                 console.error('MP3 Worker error:', error);
                 this.mp3WorkerReady = false;
@@ -1689,12 +2782,12 @@ export class AudioChunkingEditor {
             };
 
             // Initialize the worker
-            await this.sendMp3WorkerMessage('init');
+            await this.sendMp3WorkerMessage('init', { lamejsCdnFallback: config.lamejsCdnFallback });
             this.mp3WorkerReady = true;
             console.log('MP3 encoder worker initialized');
 
         } catch (error) {
-            // Worker failed (common on iOS Safari with CDN importScripts).
+            // Worker failed (e.g. Workers unavailable or blocked).
             // Fall back to main-thread encoding via Mp3Encoder.
             console.warn('MP3 Worker unavailable, falling back to main-thread encoder:', error.message);
             this.mp3Worker = null;
@@ -1712,38 +2805,206 @@ export class AudioChunkingEditor {
         }
     }
 
-    sendMp3WorkerMessage(type, data = {}) {
+    async initFlacWorker() {
+        if (this.flacWorker || this.flacWorkerReady || this.flacMainThreadEncoder) return;
+
+        try {
+            this.flacWorker = new Worker('js/workers/flac-encoder-worker.js');
+
+            // Set up worker message handling
+            this.flacWorker.onmessage = (e) => this.handleEncoderWorkerMessage(e, 'FLAC');
+            this.flacWorker.onerror = (error) => {
+                console.error('FLAC Worker error:', error);
+                this.flacWorkerReady = false;
+                toast('FLAC encoder encountered an error. Try exporting as WAV instead.', 'error');
+            };
+
+            // Initialize the worker
+            await this.sendFlacWorkerMessage('init');
+            this.flacWorkerReady = true;
+            console.log('FLAC encoder worker initialized');
+
+        } catch (error) {
+            // Fall back to main-thread encoding via FlacEncoder.
+            console.warn('FLAC Worker unavailable, falling back to main-thread encoder:', error.message);
+            this.flacWorker = null;
+            this.flacWorkerReady = false;
+            try {
+                const { FlacEncoder } = await import('./encoders/flac.js');
+                this.flacMainThreadEncoder = new FlacEncoder();
+                await this.flacMainThreadEncoder.init();
+                console.log('Main-thread FLAC encoder initialized (fallback)');
+            } catch (fallbackError) {
+                console.error('Main-thread FLAC encoder also failed:', fallbackError);
+                this.flacMainThreadEncoder = null;
+                toast('FLAC encoding is not available. You can still export as WAV.', 'warning');
+            }
+        }
+    }
+
+    /**
+     * Stops the MP3 workers, e.g. to abandon an encode in progress.
+     * The next export starts new ones.
+     */
+    terminateMp3Worker() {
+        if (this.mp3Worker) {
+            this.mp3Worker.terminate();
+            this.mp3Worker = null;
+            this.mp3WorkerReady = false;
+        }
+        this.mp3PoolWorkers.forEach(worker => worker.terminate());
+        this.mp3PoolWorkers = [];
+    }
+
+    getMp3PoolSize() {
+        return Math.min(MAX_MP3_POOL_WORKERS, navigator.hardwareConcurrency || 1);
+    }
+
+    /**
+     * Starts the workers for parallel MP3 encoding, one per core, next to
+     * the main MP3 worker (which plans the split and joins the results)
+     * @returns {Promise<Worker[]>}
+     */
+    async getMp3PoolWorkers() {
+        while (this.mp3PoolWorkers.length < this.getMp3PoolSize()) {
+            const worker = new Worker('js/workers/mp3-encoder-worker.js');
+            worker.onerror = (error) => console.error('MP3 pool worker error:', error);
+            this.mp3PoolWorkers.push(worker);
+            await this.sendWorkerMessage(worker, 'MP3', 'init', { lamejsCdnFallback: config.lamejsCdnFallback });
+        }
+        return this.mp3PoolWorkers;
+    }
+
+    /**
+     * Encodes MP3 in frame-aligned segments on the worker pool and joins
+     * them into one gapless stream (see planMp3Encode in mp3-core.js)
+     * @param {Float32Array[]} audioChannels - Channel data to encode
+     * @param {number} sampleRate - Sample rate of the channel data
+     * @param {Object} mp3Options - {mode, bitrate, quality, mono, sampleRate}
+     * @param {AbortSignal} [signal] - Cancels the encode
+     * @returns {Promise<Uint8Array>} MP3 data
+     */
+    async encodeMp3Parallel(audioChannels, sampleRate, mp3Options, signal = null) {
+        const workers = await this.getMp3PoolWorkers();
+        const { plan } = await this.sendMp3WorkerMessage('plan', {
+            numChannels: audioChannels.length,
+            sampleRate,
+            length: audioChannels[0].length,
+            options: mp3Options,
+            segmentCount: workers.length
+        }, { signal });
+
+        const progress = plan.segments.map(() => 0);
+        const segments = await Promise.all(plan.segments.map((segment, index) => {
+            const channels = audioChannels.map(data => data.slice(segment.sourceStart, segment.sourceEnd));
+            return this.sendWorkerMessage(workers[index], 'MP3', 'encode-segment', { channels, plan, segment }, {
+                signal,
+                transfer: channels.map(data => data.buffer),
+                onProgress: (value) => {
+                    progress[index] = value;
+                    this.updateEncodingProgress(progress.reduce((sum, p) => sum + p, 0) / progress.length);
+                }
+            });
+        }));
+
+        const result = await this.sendMp3WorkerMessage('assemble', {
+            plan,
+            segments: segments.map(({ data, sizes }) => ({ data, sizes }))
+        }, { signal, transfer: segments.map(({ data }) => data.buffer) });
+        return result.data;
+    }
+
+    terminateFlacWorker() {
+        if (this.flacWorker) {
+            this.flacWorker.terminate();
+            this.flacWorker = null;
+            this.flacWorkerReady = false;
+        }
+    }
+
+    sendMp3WorkerMessage(type, data = {}, options = {}) {
+        return this.sendWorkerMessage(this.mp3Worker, 'MP3', type, data, options);
+    }
+
+    sendFlacWorkerMessage(type, data = {}, options = {}) {
+        return this.sendWorkerMessage(this.flacWorker, 'FLAC', type, data, options);
+    }
+
+    /**
+     * Sends a request to an encoder worker and resolves with its reply.
+     * There is no overall time limit: the request fails only if the worker
+     * goes quiet for WORKER_STALL_TIMEOUT, and each progress message for it
+     * restarts that clock.
+     * @param {Worker} worker - Encoder worker
+     * @param {string} label - Encoder name used in error messages
+     * @param {string} type - Message type ('init', 'encode', ...)
+     * @param {Object} data - Message payload
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Rejects with the abort reason when
+     *   aborted; the worker itself keeps running, so callers should terminate it
+     * @param {function(number)} [options.onProgress] - Called with the worker's progress (0-100)
+     * @param {Transferable[]} [options.transfer] - Buffers to move to the worker instead of copying
+     * @returns {Promise<Object>} Reply message data
+     */
+    sendWorkerMessage(worker, label, type, data = {}, { signal = null, onProgress = null, transfer = [] } = {}) {
         return new Promise((resolve, reject) => {
-            if (!this.mp3Worker) {
-                reject(new Error('MP3 worker not initialized'));
+            if (!worker) {
+                reject(new Error(`${label} worker not initialized`));
+                return;
+            }
+            if (signal && signal.aborted) {
+                reject(signal.reason);
                 return;
             }
 
             const id = Math.random().toString(36).substr(2, 9);
-            
-            const timeout = setTimeout(() => {
-                reject(new Error('MP3 worker timeout'));
-            }, 30000); // 30 second timeout
+
+            let stallTimer = null;
+
+            const cleanup = () => {
+                clearTimeout(stallTimer);
+                worker.removeEventListener('message', handleResponse);
+                if (signal) signal.removeEventListener('abort', handleAbort);
+            };
+
+            const watchForStall = () => {
+                clearTimeout(stallTimer);
+                stallTimer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`${label} worker stopped responding`));
+                }, WORKER_STALL_TIMEOUT);
+            };
+
+            const handleAbort = () => {
+                cleanup();
+                reject(signal.reason);
+            };
 
             const handleResponse = (e) => {
-                if (e.data.id === id) {
-                    clearTimeout(timeout);
-                    this.mp3Worker.removeEventListener('message', handleResponse);
-                    
-                    if (e.data.success) {
-                        resolve(e.data);
-                    } else {
-                        reject(new Error(e.data.error || 'MP3 encoding failed'));
-                    }
+                if (e.data.id !== id) return;
+
+                if (e.data.type === 'progress') {
+                    watchForStall();
+                    if (onProgress) onProgress(e.data.progress);
+                    return;
+                }
+
+                cleanup();
+                if (e.data.success) {
+                    resolve(e.data);
+                } else {
+                    reject(new Error(e.data.error || `${label} encoding failed`));
                 }
             };
 
-            this.mp3Worker.addEventListener('message', handleResponse);
-            this.mp3Worker.postMessage({ type, id, ...data });
+            worker.addEventListener('message', handleResponse);
+            if (signal) signal.addEventListener('abort', handleAbort);
+            worker.postMessage({ type, id, ...data }, transfer);
+            watchForStall();
         });
     }
 
-    handleMp3WorkerMessage(e) {
+    handleEncoderWorkerMessage(e, label) {
         const { type } = e.data;
         
         switch (type) {
@@ -1751,18 +3012,54 @@ export class AudioChunkingEditor {
                 this.updateEncodingProgress(e.data.progress);
                 break;
             case 'error':
-                console.error('MP3 encoding error:', e.data.error);
+                console.error(`${label} encoding error:`, e.data.error);
                 this.hideEncodingProgress();
-                toast('MP3 encoding failed. Try exporting as WAV instead.', 'error');
+                toast(`${label} encoding failed. Try exporting as WAV instead.`, 'error');
                 break;
         }
     }
 
+    /**
+     * Sets the part of the overall progress bar that encoder progress maps onto
+     * @param {number} from - Bar position (%) for 0% encoded
+     * @param {number} to - Bar position (%) for 100% encoded
+     */
+    setEncodingProgressSpan(from, to) {
+        this.encodingProgressSpan = { from, to };
+    }
+
     updateEncodingProgress(progress) {
-        // Update progress display (we'll implement this next)
+        const { from, to } = this.encodingProgressSpan || { from: 0, to: 100 };
+        const position = from + (to - from) * progress / 100;
         if (this.progressBar) {
-            this.progressBar.style.width = progress + '%';
+            this.progressBar.style.width = position + '%';
+        }
+        if (this.exportController) {
+            this.updateExportEta(position);
+        }
+    }
+
+    /**
+     * Shows the estimated time left in the export, from the rate the
+     * progress bar has moved since encoding started
+     * @param {number} position - Progress bar position (%)
+     */
+    updateExportEta(position) {
+        const now = performance.now();
+        if (!this.etaBaseline) {
+            this.etaBaseline = { time: now, position, shown: 0 };
+            return;
         }
+
+        const { time, shown } = this.etaBaseline;
+        const elapsed = (now - time) / 1000;
+        const moved = position - this.etaBaseline.position;
+        // Wait for a usable rate, then refresh at most twice a second
+        if (elapsed < 2 || moved <= 0 || now - shown < 500) return;
+
+        this.etaBaseline.shown = now;
+        const remaining = (100 - position) * elapsed / moved;
+        this.progressEta.textContent = `about ${AudioUtils.formatTime(Math.ceil(remaining))} left`;
     }
 
     hideEncodingProgress() {
@@ -1884,131 +3181,601 @@ export class AudioChunkingEditor {
         requestAnimationFrame(() => this.animateProgress());
     }
 
-    async exportAudio(format = 'wav', bitrate = 192) {
-        let start, end;
-        
-        // Determine what to crop: region selection or selected chunk
-        const hasRegionSelection = this.selection.start !== this.selection.end;
-        const hasChunkSelection = this.chunkManager.selectedChunk !== null;
-        
-        if (hasRegionSelection) {
-            start = Math.min(this.selection.start, this.selection.end);
-            end = Math.max(this.selection.start, this.selection.end);
-        } else if (hasChunkSelection) {
-            start = this.chunkManager.selectedChunk.start;
-            end = this.chunkManager.selectedChunk.end;
-        } else {
-            // No selection - download entire audio file
-            start = 0;
-            end = this.audioBuffer.duration;
+    /**
+     * Determines what a single-file export covers: the region selection,
+     * the selected chunk, or the whole file
+     * @returns {{start: number, end: number, partial: boolean}}
+     */
+    getExportRange() {
+        if (this.selection.start !== this.selection.end) {
+            return {
+                start: Math.min(this.selection.start, this.selection.end),
+                end: Math.max(this.selection.start, this.selection.end),
+                partial: true
+            };
         }
-        
-        // Format and bitrate are now passed as parameters
+        if (this.chunkManager.selectedChunk !== null) {
+            const chunk = this.chunkManager.selectedChunk;
+            return { start: chunk.start, end: chunk.end, partial: true, chunk };
+        }
+        return { start: 0, end: this.audioBuffer.duration, partial: false };
+    }
+
+    /**
+     * Works out what an export of a range actually covers once the edge
+     * options are applied: the range widened by the pre-roll and post-roll
+     * (as far as the audio goes), and the silence needed around it to reach
+     * the padded length
+     * @param {Object} range - {start, end} in seconds
+     * @param {Object} edges - Edge options (see getExportOptions)
+     * @returns {Object} The range with start and end widened, plus
+     *   {leadIn, tail, fade} in seconds for applyEdges
+     */
+    getEdgeRange(range, edges) {
+        const start = Math.max(0, range.start - edges.preRoll);
+        const end = Math.min(this.audioBuffer.duration, range.end + edges.postRoll);
+        const silence = Math.max(0, edges.padTo - (end - start));
+        const leadIn = { start: silence, both: silence / 2 }[edges.padAt] || 0;
+        return { ...range, start, end, leadIn, tail: silence - leadIn, fade: edges.fade };
+    }
+
+    getExportScope() {
+        const scope = document.querySelector('input[name="scope"]:checked');
+        return scope ? scope.value : 'current';
+    }
+
+    /**
+     * Generates a download name from a filename template
+     * @param {string} template - Template (see filename-template.js)
+     * @param {Object} range - {start, end, chunk} of the exported audio, chunk being optional
+     * @param {string} format - Export format
+     * @param {number} bitrate - MP3 bitrate in kbps
+     * @param {string} extension - File extension
+     * @param {Object} [mp3] - MP3 options (see getExportOptions)
+     * @returns {string}
+     */
+    getExportFileName(template, range, format, bitrate, extension, mp3 = null) {
+        const chunks = this.chunkManager.chunks;
+        const index = range.chunk ? chunks.indexOf(range.chunk) + 1 : 1;
+
+        let quality = '';
+        if (format === 'mp3') {
+            const mode = mp3 ? mp3.mode : 'cbr';
+            quality = mode === 'vbr' ? `V${mp3.quality}` : `${mode === 'abr' ? 'abr' : ''}${bitrate}kbps`;
+        } else if (format === 'opus') {
+            quality = `${bitrate}kbps`;
+        }
+
+        const name = expandFileNameTemplate(template, {
+            name: this.originalFile ? this.originalFile.name.replace(/\.[^.]+$/, '') : 'audio',
+            start: range.start.toFixed(1),
+            end: range.end.toFixed(1),
+            chunk: range.chunk ? range.chunk.title : '',
+            index: String(index).padStart(Math.max(2, String(chunks.length).length), '0'),
+            format,
+            bitrate: quality
+        });
+        return `${name}.${extension}`;
+    }
+
+    /**
+     * Shows what the filename template currently expands to
+     */
+    updateFileNamePreview() {
+        if (!this.audioBuffer) return;
+
+        const format = document.querySelector('input[name="format"]:checked').value;
+        const bitrateInput = document.querySelector('input[name="bitrate"]:checked');
+        let bitrate = bitrateInput ? parseInt(bitrateInput.value) : 192;
+        let extension = format;
+        if (format === 'opus') {
+            bitrate = parseInt(this.opusBitrate.value);
+            extension = this.opusContainer.value === 'webm' ? 'webm' : 'opus';
+        }
+        const range = this.getExportScope() === 'chunks' ? this.chunkManager.chunks[0] : this.getExportRange();
+        const chunk = this.getExportScope() === 'chunks' ? range : range.chunk;
+        this.fileNamePreview.textContent = this.getExportFileName(this.fileNameTemplate.value, { ...range, chunk },
+            format, bitrate, extension, { mode: this.mp3Mode.value, quality: parseInt(this.mp3VbrQuality.value) });
+    }
+
+    /**
+     * Asks where to save a large WAV export, so it can be streamed to disk
+     * instead of built in memory. Must run while the click that started the
+     * export still counts as a user gesture.
+     * @param {Object} options - Export options (see getExportOptions)
+     * @returns {Promise<FileSystemFileHandle|null>} Handle, or null to use a normal download
+     * @throws {DOMException} AbortError if the user cancels the dialog
+     */
+    async pickLargeWavDestination(options) {
+        if (typeof window.showSaveFilePicker !== 'function') return null;
+
+        const range = this.getExportRange();
+        const covered = this.getEdgeRange(range, options.edges);
+        const sampleRate = options.output.sampleRate || this.audioBuffer.sampleRate;
+        const numberOfChannels = channelCountForLayout(this.audioBuffer.numberOfChannels, options.output.channels);
+        const frames = Math.round((covered.leadIn + covered.end - covered.start + covered.tail) * sampleRate);
+        const estimatedSize = frames * numberOfChannels * (options.wav.bitDepth / 8);
+        if (estimatedSize < LARGE_EXPORT_BYTES) return null;
+
+        return window.showSaveFilePicker({
+            suggestedName: this.getExportFileName(options.fileNameTemplate, range, 'wav', 0, 'wav'),
+            types: [{ description: 'WAV audio', accept: { 'audio/wav': ['.wav'] } }]
+        });
+    }
+
+    /**
+     * Exports the selection, the selected chunk or the whole file as one file
+     * @param {string} format - Export format
+     * @param {number} bitrate - MP3/Opus bitrate in kbps
+     * @param {Object} options - Format-specific options (see getExportOptions)
+     * @returns {Promise<boolean>} Whether the file was saved
+     */
+    async exportAudio(format = 'wav', bitrate = 192, options = {}) {
+        const range = this.getExportRange();
+        const edges = this.getEdgeRange(range, options.edges);
+        const { start, end, leadIn } = edges;
+        const signal = this.beginExport();
         
         try {
-            this.cropBtn.disabled = true;
-            this.progress.style.display = 'block';
-            this.updateProgress(0);
+            const audioChannels = STREAMED_FORMATS.includes(format) ?
+                this.getChannelViews(start, end) : this.extractChannels(start, end);
+            options = { ...options, edgeRange: edges };
             
-            const sampleRate = this.audioBuffer.sampleRate;
-            const channels = this.audioBuffer.numberOfChannels;
-            const startFrame = Math.floor(start * sampleRate);
-            const endFrame = Math.floor(end * sampleRate);
-            const frameCount = endFrame - startFrame;
+            // Keep chunk boundaries as WAV cue points
+            if (format === 'wav') {
+                const cues = this.getMarkersInRange(start, end).map(cue => ({ ...cue, time: cue.time + leadIn }));
+                options = { ...options, wav: { ...options.wav, cues } };
+            }
+            // Chapters and CUE sheet tracks move along with any leading silence
+            if (leadIn && options.id3.chapters) {
+                const chapters = options.id3.chapters.map(chapter => ({
+                    ...chapter, start: chapter.start + leadIn, end: chapter.end + leadIn
+                }));
+                options = { ...options, id3: { ...options.id3, chapters } };
+            }
+            if (options.cueSheet) {
+                options = { ...options, cueSheet: { ...options.cueSheet, offset: leadIn } };
+            }
             
-            // Extract audio data for the selected region
-            const audioChannels = [];
-            for (let channel = 0; channel < channels; channel++) {
-                const channelData = new Float32Array(frameCount);
-                const sourceData = this.audioBuffer.getChannelData(channel);
-                
-                for (let i = 0; i < frameCount; i++) {
-                    channelData[i] = sourceData[startFrame + i] || 0;
+            this.setEncodingProgressSpan(25, 90);
+            
+            let filename;
+            if (format === 'wav' && options.saveHandle) {
+                // Stream to the file picked by the user
+                filename = options.saveHandle.name;
+                const sink = new FileStreamSink(await options.saveHandle.createWritable());
+                try {
+                    const output = await this.convertForExport(audioChannels, this.audioBuffer.sampleRate, options, signal);
+                    const wav = { ...options.wav, edges: edgeFrames(output.channels[0].length, output.sampleRate, edges) };
+                    await writeWav(output.channels, output.sampleRate, wav, sink, (p) => this.updateEncodingProgress(p), signal);
+                    await sink.close();
+                } catch (error) {
+                    await sink.abort();
+                    throw error;
                 }
-                audioChannels.push(channelData);
+                this.updateProgress(100);
+                toast(`Saved ${filename}`, 'info');
+            } else {
+                const encoded = await this.encodeChannels(format, audioChannels, this.audioBuffer.sampleRate, bitrate, options, signal);
+                const blob = new Blob([encoded.data], { type: encoded.mimeType });
+                filename = this.getExportFileName(options.fileNameTemplate, range, format, bitrate, encoded.extension, options.mp3);
+                
+                this.updateProgress(100);
+                
+                AudioUtils.downloadBlob(blob, filename);
+            }
+            
+            if (options.cueSheet) {
+                this.downloadCueSheet(filename, format, options.cueSheet, options.raw);
+            }
+            if (this.exportLoudness) {
+                this.reportExportLoudness();
             }
             
-            let blob, filename, mimeType;
+            console.log(`Exported ${format.toUpperCase()} audio: ${start.toFixed(2)}s to ${end.toFixed(2)}s`);
             
-            if (format === 'mp3') {
-                // MP3 Export
-                this.updateProgress(25);
+            // Hide progress after a short delay
+            await this.finishExport(500);
+            return true;
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Export canceled');
+                toast('Export canceled.', 'info');
+            } else {
+                console.error('Error exporting audio:', error);
+                toast(`Error exporting ${format.toUpperCase()} audio. Please try again.`, 'error');
+            }
+            this.finishExport();
+            return false;
+        }
+    }
 
-                if (!this.mp3WorkerReady && !this.mp3MainThreadEncoder) {
-                    await this.initMp3Worker();
-                }
+    /**
+     * Puts the UI into exporting state: crop button disabled, progress bar
+     * and cancel button shown
+     * @returns {AbortSignal} Aborted when the user cancels the export
+     */
+    beginExport() {
+        this.exportController = new AbortController();
+        this.cropBtn.disabled = true;
+        this.progress.style.display = 'block';
+        this.progressFooter.style.display = 'flex';
+        this.progressEta.textContent = '';
+        this.etaBaseline = null;
+        this.exportLoudness = null;
+        this.updateProgress(0);
+        return this.exportController.signal;
+    }
 
-                let mp3Data;
-                if (this.mp3WorkerReady) {
-                    // Use Web Worker (preferred — non-blocking)
-                    const result = await this.sendMp3WorkerMessage('encode', {
-                        channels: audioChannels,
-                        sampleRate,
-                        bitrate
-                    });
-                    mp3Data = result.data;
-                } else if (this.mp3MainThreadEncoder) {
-                    // Fallback: main-thread encoding (iOS Safari when Worker fails)
-                    mp3Data = await this.mp3MainThreadEncoder.encode(audioChannels, sampleRate, bitrate);
-                } else {
-                    throw new Error('MP3 encoder is not available. Please try WAV export instead.');
-                }
+    /**
+     * Leaves exporting state
+     * @param {number} delay - Milliseconds to keep the finished progress bar visible
+     * @returns {Promise} Resolves once the progress bar is hidden
+     */
+    finishExport(delay = 0) {
+        this.exportController = null;
+        this.progressFooter.style.display = 'none';
 
-                this.updateProgress(90);
+        const hide = () => {
+            this.progress.style.display = 'none';
+            this.updateProgressStatus('');
+            this.cropBtn.disabled = false;
+        };
+        if (!delay) {
+            hide();
+            return Promise.resolve();
+        }
+        return new Promise(resolve => setTimeout(() => {
+            hide();
+            resolve();
+        }, delay));
+    }
 
-                blob = new Blob([mp3Data], { type: 'audio/mpeg' });
-                mimeType = 'audio/mpeg';
-                
-                // Generate filename
-                if (hasRegionSelection || hasChunkSelection) {
-                    filename = `cropped_audio_${start.toFixed(1)}s-${end.toFixed(1)}s_${bitrate}kbps.mp3`;
-                } else {
-                    filename = `audio_export_${new Date().getTime()}_${bitrate}kbps.mp3`;
-                }
-                
-            } else {
-                // WAV Export (existing logic)
-                this.updateProgress(50);
-                
-                const newBuffer = this.audioContext.createBuffer(channels, frameCount, sampleRate);
-                
-                for (let channel = 0; channel < channels; channel++) {
-                    const newData = newBuffer.getChannelData(channel);
-                    newData.set(audioChannels[channel]);
-                }
-                
-                this.updateProgress(75);
+    cancelExport() {
+        if (this.exportController) {
+            this.exportController.abort();
+        }
+    }
+
+    /**
+     * Downloads a CUE sheet with one track per chunk for an exported file
+     * @param {string} audioFileName - Name of the exported audio file
+     * @param {string} format - Export format of that file
+     * @param {Object} cueSheet - {performer, title} for the whole sheet, and
+     *   the offset in seconds of the audio within the file (leading silence)
+     * @param {Object} [raw] - Raw PCM options, for the byte order
+     */
+    downloadCueSheet(audioFileName, format, { performer, title, offset = 0 }, raw = {}) {
+        // Raw audio is BINARY when little-endian, MOTOROLA when big-endian
+        let fileType = { mp3: 'MP3', aiff: 'AIFF' }[format] || 'WAVE';
+        if (format === 'raw') {
+            fileType = raw.bigEndian ? 'MOTOROLA' : 'BINARY';
+        }
+
+        let text;
+        try {
+            text = buildCueSheet({
+                fileName: audioFileName,
+                fileType,
+                performer,
+                title,
+                tracks: this.chunkManager.chunks.map((chunk, index) => ({
+                    start: chunk.start + offset,
+                    title: chunk.title || `Track ${index + 1}`
+                }))
+            });
+        } catch (error) {
+            console.error('Failed to build CUE sheet:', error);
+            toast(`${error.message}. The CUE sheet was not created.`, 'warning');
+            return;
+        }
+
+        const blob = new Blob([text], { type: 'application/x-cue' });
+        AudioUtils.downloadBlob(blob, audioFileName.replace(/\.[^.]+$/, '.cue'));
+    }
+
+    /**
+     * Exports every chunk as its own file, packaged into a single ZIP download
+     * @param {string} format - 'wav', 'mp3' or 'flac'
+     * @param {number} bitrate - MP3 bitrate in kbps
+     * @param {Object} options - Format-specific options (see getExportOptions)
+     * @returns {Promise<boolean>} Whether the ZIP was downloaded
+     */
+    async exportAllChunks(format = 'wav', bitrate = 192, options = {}) {
+        const chunks = this.chunkManager.chunks.filter(chunk => chunk.end > chunk.start);
+        const sampleRate = this.audioBuffer.sampleRate;
+        const signal = this.beginExport();
+        
+        try {
+            const zip = new ZipWriter();
+            const names = new Set();
+            const span = 95 / chunks.length;
+            
+            for (let index = 0; index < chunks.length; index++) {
+                signal.throwIfAborted();
+                const chunk = chunks[index];
+                const from = index * span;
+                this.updateProgress(from, `Exporting chunk ${index + 1}/${chunks.length}...`);
+                this.setEncodingProgressSpan(from, from + span);
                 
-                const wavArrayBuffer = AudioUtils.audioBufferToWav(newBuffer);
-                blob = new Blob([wavArrayBuffer], { type: 'audio/wav' });
-                mimeType = 'audio/wav';
+                const edges = this.getEdgeRange(chunk, options.edges);
+                const audioChannels = STREAMED_FORMATS.includes(format) ?
+                    this.getChannelViews(edges.start, edges.end) : this.extractChannels(edges.start, edges.end);
+                // Each chunk is a track of its own: its title and number take
+                // the place of the file-level ones
+                const number = this.chunkManager.chunks.indexOf(chunk) + 1;
+                const id3 = {
+                    ...options.id3,
+                    title: chunk.title || `Track ${number}`,
+                    track: `${number}/${this.chunkManager.chunks.length}`
+                };
+                const encoded = await this.encodeChannels(format, audioChannels, sampleRate, bitrate, { ...options, id3, edgeRange: edges }, signal);
                 
-                // Generate filename
-                if (hasRegionSelection || hasChunkSelection) {
-                    filename = `cropped_audio_${start.toFixed(1)}s-${end.toFixed(1)}s.wav`;
-                } else {
-                    filename = `audio_export_${new Date().getTime()}.wav`;
-                }
+                const name = this.getExportFileName(options.fileNameTemplate, { start: chunk.start, end: chunk.end, chunk },
+                    format, bitrate, encoded.extension, options.mp3);
+                await zip.addFile(this.getUniqueFileName(name, names), encoded.data);
             }
             
-            this.updateProgress(100);
+            this.updateProgress(97, 'Packaging ZIP...');
+            const blob = zip.toBlob();
+            this.updateProgress(100, 'Complete!');
             
-            AudioUtils.downloadBlob(blob, filename);
+            const baseName = this.originalFile ? this.originalFile.name.replace(/\.[^.]+$/, '') : 'audio';
+            AudioUtils.downloadBlob(blob, `${baseName}_chunks.zip`);
             
-            console.log(`Exported ${format.toUpperCase()} audio: ${start.toFixed(2)}s to ${end.toFixed(2)}s`);
+            if (options.loudness) {
+                this.loudnessResult.textContent = `Last export: ${chunks.length} chunks normalized to ${options.loudness.target} LUFS`;
+            }
             
-            // Hide progress after a short delay
-            setTimeout(() => {
-                this.progress.style.display = 'none';
-                this.cropBtn.disabled = false;
-            }, 500);
+            console.log(`Exported ${chunks.length} chunks as ${format.toUpperCase()} in ZIP`);
+            
+            await this.finishExport(500);
+            return true;
             
         } catch (error) {
-            console.error('Error exporting audio:', error);
-            toast(`Error exporting ${format.toUpperCase()} audio. Please try again.`, 'error');
-            this.progress.style.display = 'none';
-            this.cropBtn.disabled = false;
+            if (error.name === 'AbortError') {
+                console.log('Chunk export canceled');
+                toast('Export canceled.', 'info');
+            } else {
+                console.error('Error exporting chunks:', error);
+                toast(`Error exporting chunks as ${format.toUpperCase()}. Please try again.`, 'error');
+            }
+            this.finishExport();
+            return false;
+        }
+    }
+
+    /**
+     * Makes a name unique among those already used, by numbering repeats
+     * @param {string} name - Filename with extension
+     * @param {Set<string>} used - Names taken so far; the result is added
+     * @returns {string}
+     */
+    getUniqueFileName(name, used) {
+        let unique = name;
+        for (let n = 2; used.has(unique); n++) {
+            unique = name.replace(/(\.[^.]+)?$/, ` (${n})$1`);
+        }
+        used.add(unique);
+        return unique;
+    }
+
+    /**
+     * Copies a time range of the current buffer into standalone channel arrays
+     * @param {number} start - Start time in seconds
+     * @param {number} end - End time in seconds
+     * @returns {Float32Array[]} One array per channel
+     */
+    extractChannels(start, end) {
+        const sampleRate = this.audioBuffer.sampleRate;
+        const startFrame = Math.floor(start * sampleRate);
+        const endFrame = Math.floor(end * sampleRate);
+        const frameCount = endFrame - startFrame;
+        
+        const audioChannels = [];
+        for (let channel = 0; channel < this.audioBuffer.numberOfChannels; channel++) {
+            const channelData = new Float32Array(frameCount);
+            const sourceData = this.audioBuffer.getChannelData(channel);
+            
+            for (let i = 0; i < frameCount; i++) {
+                channelData[i] = sourceData[startFrame + i] || 0;
+            }
+            audioChannels.push(channelData);
+        }
+        return audioChannels;
+    }
+
+    /**
+     * Returns views of a time range of the current buffer without copying.
+     * Only for consumers that read the data synchronously or in place —
+     * posting a view to a worker would copy the whole channel.
+     * @param {number} start - Start time in seconds
+     * @param {number} end - End time in seconds
+     * @returns {Float32Array[]} One view per channel
+     */
+    getChannelViews(start, end) {
+        const sampleRate = this.audioBuffer.sampleRate;
+        const startFrame = Math.floor(start * sampleRate);
+        const endFrame = Math.min(this.audioBuffer.length, Math.floor(end * sampleRate));
+        
+        const views = [];
+        for (let channel = 0; channel < this.audioBuffer.numberOfChannels; channel++) {
+            views.push(this.audioBuffer.getChannelData(channel).subarray(startFrame, endFrame));
+        }
+        return views;
+    }
+
+    /**
+     * Encodes channel data into the requested export format
+     * @param {string} format - 'wav', 'mp3' or 'flac'
+     * @param {Float32Array[]} audioChannels - Channel data to encode
+     * @param {number} sampleRate - Sample rate of the channel data
+     * @param {number} bitrate - MP3 bitrate in kbps
+     * @param {Object} options - Format-specific options (see getExportOptions),
+     *   plus edgeRange (from getEdgeRange): the fades and silence to add
+     *   once the audio is converted
+     * @param {AbortSignal} [signal] - Cancels the encode; a busy worker is terminated
+     * @returns {Promise<{data: Blob|Uint8Array, mimeType: string, extension: string}>}
+     */
+    async encodeChannels(format, audioChannels, sampleRate, bitrate, options = {}, signal = null) {
+        const output = options.output || {};
+        if (format === 'mp3') {
+            if (!this.mp3WorkerReady && !this.mp3MainThreadEncoder) {
+                await this.initMp3Worker();
+            }
+
+            // The MP3 encoder resamples by itself, in the workers
+            ({ channels: audioChannels } = await this.convertForExport(audioChannels, sampleRate, options, signal, false));
+            audioChannels = applyEdges(audioChannels, sampleRate, options.edgeRange);
+            const mp3Options = { ...options.mp3, bitrate, sampleRate: output.sampleRate };
+            let mp3Data;
+            if (this.mp3WorkerReady) {
+                // Use Web Worker (preferred — non-blocking)
+                try {
+                    if (this.getMp3PoolSize() > 1 && audioChannels[0].length >= PARALLEL_MP3_MIN_SECONDS * sampleRate) {
+                        mp3Data = await this.encodeMp3Parallel(audioChannels, sampleRate, mp3Options, signal);
+                    } else {
+                        const result = await this.sendMp3WorkerMessage('encode', {
+                            channels: audioChannels,
+                            sampleRate,
+                            options: mp3Options
+                        }, { signal });
+                        mp3Data = result.data;
+                    }
+                } catch (error) {
+                    // The worker may still be busy with this job; start over with a fresh one
+                    this.terminateMp3Worker();
+                    throw error;
+                }
+            } else if (this.mp3MainThreadEncoder) {
+                // Fallback: main-thread encoding (iOS Safari when Worker fails)
+                mp3Data = await this.mp3MainThreadEncoder.encode(audioChannels, sampleRate, mp3Options);
+                if (signal) signal.throwIfAborted();
+            } else {
+                throw new Error('MP3 encoder is not available. Please try WAV export instead.');
+            }
+
+            if (hasId3Metadata(options.id3)) {
+                const tag = buildId3Tag(options.id3, options.id3.version);
+                const tagged = new Uint8Array(tag.length + mp3Data.length);
+                tagged.set(tag, 0);
+                tagged.set(mp3Data, tag.length);
+                mp3Data = tagged;
+            }
+
+            this.updateEncodingProgress(100);
+            return { data: mp3Data, mimeType: 'audio/mpeg', extension: 'mp3' };
+        }
+
+        ({ channels: audioChannels, sampleRate } = await this.convertForExport(audioChannels, sampleRate, options, signal));
+
+        if (!STREAMED_FORMATS.includes(format)) {
+            audioChannels = applyEdges(audioChannels, sampleRate, options.edgeRange);
+        }
+
+        if (format === 'flac') {
+            if (!this.flacWorkerReady && !this.flacMainThreadEncoder) {
+                await this.initFlacWorker();
+            }
+
+            const { bitDepth = 16, compressionLevel = 5 } = options.flac || {};
+            let flacData;
+            if (this.flacWorkerReady) {
+                try {
+                    const result = await this.sendFlacWorkerMessage('encode', {
+                        channels: audioChannels,
+                        sampleRate,
+                        bitsPerSample: bitDepth,
+                        compressionLevel
+                    }, { signal });
+                    flacData = result.data;
+                } catch (error) {
+                    this.terminateFlacWorker();
+                    throw error;
+                }
+            } else if (this.flacMainThreadEncoder) {
+                flacData = await this.flacMainThreadEncoder.encode(audioChannels, sampleRate, bitDepth, compressionLevel);
+                if (signal) signal.throwIfAborted();
+            } else {
+                throw new Error('FLAC encoder is not available. Please try WAV export instead.');
+            }
+
+            this.updateEncodingProgress(100);
+            return { data: flacData, mimeType: 'audio/flac', extension: 'flac' };
+        }
+
+        if (format === 'opus') {
+            const encoded = await encodeOpus(audioChannels, sampleRate, { ...options.opus, bitrate },
+                (p) => this.updateEncodingProgress(p), signal);
+            this.updateEncodingProgress(100);
+            return encoded;
+        }
+
+        // WAV, AIFF and raw PCM are written in blocks so long exports don't
+        // need one huge buffer; the writers fade and pad as they go
+        const sink = new BlobSink();
+        const onProgress = (p) => this.updateEncodingProgress(p);
+        const edges = edgeFrames(audioChannels.length ? audioChannels[0].length : 0, sampleRate, options.edgeRange);
+        if (format === 'aiff') {
+            await writeAiff(audioChannels, sampleRate, { ...options.aiff, edges }, sink, onProgress, signal);
+            return { data: sink.toBlob('audio/aiff'), mimeType: 'audio/aiff', extension: 'aiff' };
+        }
+        if (format === 'raw') {
+            await writePcm(audioChannels, { ...options.raw, edges }, sink, onProgress, signal);
+            return { data: sink.toBlob('application/octet-stream'), mimeType: 'application/octet-stream', extension: 'raw' };
+        }
+
+        await writeWav(audioChannels, sampleRate, { ...options.wav, edges }, sink, onProgress, signal);
+        return { data: sink.toBlob('audio/wav'), mimeType: 'audio/wav', extension: 'wav' };
+    }
+
+    /**
+     * Applies the export channel layout, loudness normalization and sample
+     * rate. Normalizing and resampling each take part of the current
+     * encoding progress span. The loudness measured before and after is
+     * kept in this.exportLoudness.
+     * @param {Float32Array[]} audioChannels - Channel data
+     * @param {number} sampleRate - Sample rate of the channel data
+     * @param {Object} options - Export options; uses output {channels, sampleRate} and loudness
+     * @param {AbortSignal} [signal] - Cancels the conversion
+     * @param {boolean} [resample] - False to leave the sample rate to the encoder
+     * @returns {Promise<{channels: Float32Array[], sampleRate: number}>}
+     */
+    async convertForExport(audioChannels, sampleRate, options = {}, signal = null, resample = true) {
+        const output = options.output || {};
+        let channels = applyChannelLayout(audioChannels, output.channels);
+
+        // Split off the start of the span for a step, moving the rest on
+        const takeSpan = (share) => {
+            const { from, to } = this.encodingProgressSpan || { from: 0, to: 100 };
+            const split = from + (to - from) * share;
+            this.setEncodingProgressSpan(from, split);
+            return () => this.setEncodingProgressSpan(split, to);
+        };
+
+        if (options.loudness) {
+            const done = takeSpan(0.3);
+            const { channels: normalized, before, after } = await normalizeLoudness(channels, sampleRate, {
+                ...options.loudness,
+                signal,
+                onProgress: (p) => this.updateEncodingProgress(p)
+            });
+            channels = normalized;
+            this.exportLoudness = { before, after };
+            done();
+        }
+
+        if (resample && output.sampleRate && output.sampleRate !== sampleRate) {
+            const done = takeSpan(0.3);
+            channels = await resampleChannels(channels, sampleRate, output.sampleRate, {
+                signal,
+                onProgress: (p) => this.updateEncodingProgress(p)
+            });
+            done();
+            return { channels, sampleRate: output.sampleRate };
         }
+        return { channels, sampleRate };
     }
 
     updateSelectionInfo() {
@@ -2090,6 +3857,76 @@ export class AudioChunkingEditor {
         }
     }
 
+    /**
+     * Shows the loaded file's format: codec, sample rate, bit depth, channels
+     */
+    updateSourceFormat() {
+        if (!this.audioBuffer) return;
+        const buffer = this.audioBuffer;
+        const format = this.sourceFormat ||
+            { codec: null, sampleRate: buffer.sampleRate, numberOfChannels: buffer.numberOfChannels, bitDepth: null };
+        let text = formatAudioFormat(format);
+        // The browser couldn't decode at the file's own rate
+        if (format.sampleRate !== buffer.sampleRate) {
+            text += ` (decoded at ${formatSampleRate(buffer.sampleRate)})`;
+        }
+        this.sourceFormatSpan.textContent = text;
+        this.sourceFormatSpan.title = text;
+    }
+
+    /**
+     * Fills the file info panel: size, duration, bitrate, format and the
+     * file's own tags
+     */
+    updateFileInfo() {
+        const file = this.originalFile;
+        if (!file || !this.audioBuffer) {
+            this.fileInfo.style.display = 'none';
+            return;
+        }
+
+        // Over the whole file, so the average for VBR and exact for PCM
+        const duration = this.sourceDuration;
+        const bitrate = duration > 0 ? `${Math.round(file.size * 8 / duration / 1000)} kbps` : '-';
+        const size = this.formatFileSize(file.size);
+        const rows = [
+            ['File', file.name],
+            ['Size', `${size} (${file.size.toLocaleString()} bytes)`],
+            ['Duration', AudioUtils.formatTimeWithMilliseconds(duration)],
+            ['Format', this.sourceFormat ? formatAudioFormat(this.sourceFormat) : 'unknown'],
+            ['Bitrate', bitrate]
+        ];
+
+        const fileTags = this.sourceTags;
+        rows.push(['Tags', fileTags ? fileTags.formats.join(', ') : 'none']);
+        if (fileTags) {
+            const labels = { title: 'Title', artist: 'Artist', album: 'Album', track: 'Track', year: 'Year', genre: 'Genre', comment: 'Comment' };
+            for (const [key, label] of Object.entries(labels)) {
+                if (fileTags.tags[key]) rows.push([label, fileTags.tags[key]]);
+            }
+            const cover = fileTags.tags.cover;
+            if (cover) {
+                const type = cover.mimeType === 'image/png' ? 'PNG' : 'JPEG';
+                rows.push(['Cover art', `${type}, ${this.formatFileSize(cover.data.length)}`]);
+            }
+            for (const field of fileTags.extra) {
+                rows.push([field.label, field.value]);
+            }
+        }
+
+        this.fileInfoSummary.textContent = [file.name, size, bitrate].join(' · ');
+        this.fileInfoList.innerHTML = '';
+        for (const [label, value] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            detail.title = value;
+            this.fileInfoList.append(term, detail);
+        }
+        this.fileInfo.style.display = 'block';
+    }
+
     updateCurrentTime() {
         if (!this.audioBuffer) return;
         const currentTime = this.audioPlayer.getCurrentPlaybackTime();
@@ -2136,6 +3973,10 @@ export class AudioChunkingEditor {
         this.stopBtn.disabled = false;
         this.loopBtn.disabled = false;
         this.splitBtn.disabled = false;
+        this.importLabelsBtn.disabled = false;
+        this.exportLabelsBtn.disabled = false;
+        this.insertFileBtn.disabled = false;
+        this.appendFileBtn.disabled = false;
         this.updateSelectionInfo();
         this.updateFadeButtons();
         this.updateNormalizeButton();
@@ -2523,11 +4364,9 @@ export class AudioChunkingEditor {
 
     // Cleanup method for when the editor is destroyed
     destroy() {
-        if (this.mp3Worker) {
-            this.mp3Worker.terminate();
-            this.mp3Worker = null;
-            this.mp3WorkerReady = false;
-        }
+        this.cancelExport();
+        this.terminateMp3Worker();
+        this.terminateFlacWorker();
         
         // Clean up popup key handler
         if (this.popupKeyHandler) {
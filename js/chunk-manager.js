@@ -5,6 +5,7 @@
 export class ChunkManager {
     constructor(waveformElement) {
         this.waveform = waveformElement;
+        // Each chunk is {start, end, id} plus an optional user-set title
         this.chunks = [{ start: 0, end: 0, id: 0 }];
         this.selectedChunk = null;
         this.chunkOverlays = [];
@@ -45,6 +46,10 @@ export class ChunkManager {
             end: splitTime,
             id: this.nextChunkId++
         };
+        // The first half keeps the title; the new chunk starts untitled
+        if (originalChunk.title) {
+            leftChunk.title = originalChunk.title;
+        }
         
         const rightChunk = {
             start: splitTime,
@@ -62,6 +67,37 @@ export class ChunkManager {
         return true;
     }
 
+    /**
+     * Replaces the chunks with contiguous ones split at the given markers
+     * @param {Array<{time: number, label?: string}>} markers - Split points in seconds;
+     *   a label names the chunk starting at that marker
+     * @param {number} duration - Total audio duration
+     * @returns {number} Number of chunks created
+     */
+    applyMarkers(markers, duration) {
+        const sorted = markers
+            .filter(marker => marker.time >= 0 && marker.time < duration)
+            .sort((a, b) => a.time - b.time);
+
+        const chunks = [{ start: 0, end: duration, id: this.nextChunkId++ }];
+        for (const marker of sorted) {
+            const current = chunks[chunks.length - 1];
+            // A marker at (or right next to) the chunk start only names it
+            if (marker.time - current.start > 0.001) {
+                current.end = marker.time;
+                chunks.push({ start: marker.time, end: duration, id: this.nextChunkId++ });
+            }
+            if (marker.label) {
+                chunks[chunks.length - 1].title = marker.label;
+            }
+        }
+
+        this.chunks = chunks;
+        this.selectedChunk = null;
+        this.updateChunkOverlays();
+        return chunks.length;
+    }
+
     /**
      * Selects a chunk at the given pixel position
      * @param {number} pixelX - X pixel position
@@ -204,6 +240,43 @@ export class ChunkManager {
         this.updateChunkOverlays();
     }
 
+    /**
+     * Opens a gap in the chunks for inserted audio and fills it with a new chunk.
+     * A chunk the insertion point falls inside is split around the new one.
+     * @param {number} time - Insertion point in seconds
+     * @param {number} duration - Length of the inserted audio
+     * @param {string} [title] - Title for the new chunk
+     * @returns {object} The new chunk
+     */
+    insertTimeRange(time, duration, title = '') {
+        const inserted = { start: time, end: time + duration, id: this.nextChunkId++ };
+        if (title) {
+            inserted.title = title;
+        }
+
+        const chunks = [];
+        for (const chunk of this.chunks) {
+            if (chunk.end <= time) {
+                // Chunk is entirely before the insertion point
+                chunks.push(chunk);
+            } else if (chunk.start >= time) {
+                // Chunk is entirely after the insertion point
+                chunks.push({ ...chunk, start: chunk.start + duration, end: chunk.end + duration });
+            } else {
+                // Insertion point is inside this chunk; the first part keeps the title
+                chunks.push({ ...chunk, end: time });
+                chunks.push({ start: time + duration, end: chunk.end + duration, id: this.nextChunkId++ });
+            }
+        }
+
+        const index = chunks.findIndex(chunk => chunk.start >= inserted.end);
+        chunks.splice(index === -1 ? chunks.length : index, 0, inserted);
+        this.chunks = chunks;
+        this.selectedChunk = null;
+        this.updateChunkOverlays();
+        return inserted;
+    }
+
     /**
      * Gets chunk information for display
      * @returns {object} Chunk information
@@ -0,0 +1,14 @@
+/**
+ * Deployment settings
+ *
+ * Edit these values to adapt the app to where it is hosted.
+ */
+
+export const config = {
+    /**
+     * URL to load lamejs from when the bundled copy in js/vendor/lamejs/
+     * cannot be loaded.  Leave null to never contact a CDN, e.g.
+     * 'https://cdn.jsdelivr.net/npm/lamejs@1.2.1/lame.min.js'
+     */
+    lamejsCdnFallback: null
+};
@@ -0,0 +1,132 @@
+/**
+ * Streaming AIFF writer
+ *
+ * AIFF is big-endian, signed integer PCM: a FORM container with a COMM
+ * chunk (channels, frames, bits, sample rate as an 80-bit float) and an
+ * SSND chunk holding the interleaved samples.  Written block by block to
+ * a sink, like the WAV writer.
+ */
+
+import { readEdgedBlock } from './pcm-convert.js';
+import { describePcm, encodePcmSamples } from './pcm-writer.js';
+
+// Sample frames converted per block
+const BLOCK_FRAMES = 64 * 1024;
+
+// IFF sizes are 32-bit
+const MAX_AIFF_SIZE = 0xFFFFFFFF;
+
+// FORM header, COMM chunk (8 + 18) and SSND chunk header (8 + offset + block size)
+const HEADER_SIZE = 12 + 26 + 16;
+
+/**
+ * Describes the layout of an AIFF file
+ * @param {Object} options - {numberOfChannels, sampleRate, length, bitDepth, dither}
+ * @returns {Object} Layout used by createAiffHeader
+ */
+export function describeAiff({ numberOfChannels, sampleRate, length, bitDepth = 16, dither = false }) {
+    const format = describePcm({ numberOfChannels, length, bitDepth, signed: true, bigEndian: true, dither });
+    const padding = format.dataSize % 2; // IFF chunks are word aligned
+    return {
+        ...format,
+        sampleRate,
+        headerSize: HEADER_SIZE,
+        padding,
+        fileSize: HEADER_SIZE + format.dataSize + padding
+    };
+}
+
+/**
+ * Builds the FORM header, COMM chunk and SSND chunk header
+ * @param {Object} layout - From describeAiff
+ * @returns {Uint8Array} Bytes preceding the sample data
+ */
+export function createAiffHeader(layout) {
+    const bytes = new Uint8Array(HEADER_SIZE);
+    const view = new DataView(bytes.buffer);
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'FORM');
+    view.setUint32(4, layout.fileSize - 8);
+    writeString(8, 'AIFF');
+
+    writeString(12, 'COMM');
+    view.setUint32(16, 18);
+    view.setUint16(20, layout.numberOfChannels);
+    view.setUint32(22, layout.length);              // Sample frames
+    view.setUint16(26, layout.bitDepth);
+    bytes.set(toExtended(layout.sampleRate), 28);
+
+    writeString(38, 'SSND');
+    view.setUint32(42, 8 + layout.dataSize);        // Offset and block size fields, then data
+    view.setUint32(46, 0);                          // Offset
+    view.setUint32(50, 0);                          // Block size
+    return bytes;
+}
+
+/**
+ * Writes a complete AIFF file to a sink, one block at a time
+ * @param {Float32Array[]} channels - Channel data (views into a larger buffer are fine)
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - {bitDepth, dither}; bitDepth is 16 or 24. edges:
+ *   {fade, leadIn, tail} in frames (see edgeFrames) are applied while writing
+ * @param {{write: function(Uint8Array): Promise}} sink - Destination
+ * @param {function(number)} [onProgress] - Called with 0-100
+ * @param {AbortSignal} [signal] - Stops writing (rejecting with an AbortError) when aborted
+ */
+export async function writeAiff(channels, sampleRate, options, sink, onProgress = null, signal = null) {
+    const edges = options.edges || {};
+    const length = (edges.leadIn || 0) + (channels.length ? channels[0].length : 0) + (edges.tail || 0);
+    const layout = describeAiff({ ...options, numberOfChannels: channels.length, sampleRate, length });
+    if (layout.fileSize > MAX_AIFF_SIZE) {
+        throw new Error(`AIFF files are limited to 4 GB (${(layout.fileSize / 1024 / 1024 / 1024).toFixed(1)} GB needed)`);
+    }
+
+    await sink.write(createAiffHeader(layout));
+
+    let lastYield = performance.now();
+    for (let from = 0; from < length; from += BLOCK_FRAMES) {
+        if (signal) signal.throwIfAborted();
+        const to = Math.min(length, from + BLOCK_FRAMES);
+        const view = encodePcmSamples(readEdgedBlock(channels, from, to, edges), 0, to - from, layout);
+        await sink.write(new Uint8Array(view.buffer));
+
+        if (onProgress) onProgress(to / length * 100);
+        // Let the page repaint now and then
+        if (performance.now() - lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = performance.now();
+        }
+    }
+
+    if (layout.padding) {
+        await sink.write(new Uint8Array(1));
+    }
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Encodes a positive integer as an 80-bit IEEE 754 extended float (big-endian)
+ */
+function toExtended(value) {
+    const bytes = new Uint8Array(10);
+    if (!value) return bytes;
+
+    const exponent = Math.floor(Math.log2(value));
+    // 64-bit mantissa with an explicit integer bit; sample rates fit well inside 2^53
+    const mantissa = value / Math.pow(2, exponent) * Math.pow(2, 31);
+    const high = Math.floor(mantissa);
+    const low = Math.round((mantissa - high) * Math.pow(2, 32));
+
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, exponent + 16383);
+    view.setUint32(2, high);
+    view.setUint32(6, low);
+    return bytes;
+}
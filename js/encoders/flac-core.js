@@ -0,0 +1,807 @@
+/**
+ * Core FLAC encoding logic shared between Web Worker and main-thread fallback.
+ *
+ * Like mp3-core.js this is a plain script (not an ES module) so it can be
+ * loaded via importScripts() inside a Web Worker AND via a <script> tag on
+ * the main thread.  It attaches a single helper – encodeFlac – to the
+ * global scope (self / window).
+ *
+ * The encoder is self-contained: fixed and LPC predictors, partitioned
+ * Rice coding and stereo decorrelation, chosen per compression level in
+ * the spirit of the reference encoder.  The STREAMINFO MD5 is left unset
+ * (all zeroes), which the format allows.
+ */
+
+(function (global) {
+    // Compression levels 0-8, modelled on the reference encoder presets
+    var LEVELS = [
+        { blockSize: 1152, stereo: false, maxLpcOrder: 0,  maxPartitionOrder: 3, exhaustive: false },
+        { blockSize: 1152, stereo: true,  maxLpcOrder: 0,  maxPartitionOrder: 3, exhaustive: false },
+        { blockSize: 1152, stereo: true,  maxLpcOrder: 0,  maxPartitionOrder: 3, exhaustive: true  },
+        { blockSize: 4096, stereo: false, maxLpcOrder: 6,  maxPartitionOrder: 4, exhaustive: false },
+        { blockSize: 4096, stereo: true,  maxLpcOrder: 8,  maxPartitionOrder: 4, exhaustive: false },
+        { blockSize: 4096, stereo: true,  maxLpcOrder: 8,  maxPartitionOrder: 5, exhaustive: false },
+        { blockSize: 4096, stereo: true,  maxLpcOrder: 8,  maxPartitionOrder: 6, exhaustive: false },
+        { blockSize: 4096, stereo: true,  maxLpcOrder: 12, maxPartitionOrder: 6, exhaustive: true  },
+        { blockSize: 4096, stereo: true,  maxLpcOrder: 12, maxPartitionOrder: 8, exhaustive: true  }
+    ];
+
+    var CHANNEL_INDEPENDENT = 0;   // + (channels - 1)
+    var CHANNEL_LEFT_SIDE   = 8;
+    var CHANNEL_RIGHT_SIDE  = 9;
+    var CHANNEL_MID_SIDE    = 10;
+
+    var SAMPLE_RATE_CODES = {
+        88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+        24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+    };
+
+    var BLOCK_SIZE_CODES = {
+        192: 1, 576: 2, 1152: 3, 2304: 4, 4608: 5,
+        256: 8, 512: 9, 1024: 10, 2048: 11, 4096: 12, 8192: 13, 16384: 14, 32768: 15
+    };
+
+    var CRC8_TABLE  = buildCrcTable(0x07, 8);
+    var CRC16_TABLE = buildCrcTable(0x8005, 16);
+
+    /**
+     * Encode Float32 audio channels to FLAC.
+     *
+     * @param {Float32Array[]} channels        – array of channel data (1–8 channels)
+     * @param {number}         sampleRate
+     * @param {number}         bitsPerSample   – 16 | 24
+     * @param {number}         compressionLevel – 0 (fastest) … 8 (smallest)
+     * @param {function}       [onProgress]    – optional (progress: 0‑100) => void
+     * @returns {Uint8Array} FLAC encoded data
+     */
+    global.encodeFlac = function encodeFlac(channels, sampleRate, bitsPerSample, compressionLevel, onProgress) {
+        var numChannels = channels.length;
+        var numSamples  = channels[0].length;
+        var level       = LEVELS[Math.max(0, Math.min(8, compressionLevel | 0))];
+
+        if (numChannels < 1 || numChannels > 8) {
+            throw new Error('FLAC supports 1 to 8 channels');
+        }
+        if (bitsPerSample !== 16 && bitsPerSample !== 24) {
+            throw new Error('FLAC export supports 16 or 24 bits per sample');
+        }
+
+        // Convert Float32 [-1,1] → signed integers of the target depth
+        var maxValue = Math.pow(2, bitsPerSample - 1) - 1;
+        var pcm = [];
+        for (var c = 0; c < numChannels; c++) {
+            var ints = new Int32Array(numSamples);
+            var src  = channels[c];
+            for (var i = 0; i < numSamples; i++) {
+                var s = src[i] > 1 ? 1 : (src[i] < -1 ? -1 : src[i]);
+                ints[i] = Math.round(s * maxValue);
+            }
+            pcm.push(ints);
+        }
+
+        var frames       = [];
+        var totalLength  = 0;
+        var minFrameSize = 0;
+        var maxFrameSize = 0;
+        var frameCount   = Math.ceil(numSamples / level.blockSize);
+
+        for (var frameNumber = 0; frameNumber < frameCount; frameNumber++) {
+            var start = frameNumber * level.blockSize;
+            var end   = Math.min(start + level.blockSize, numSamples);
+            var block = [];
+            for (var ch = 0; ch < numChannels; ch++) {
+                block.push(pcm[ch].subarray(start, end));
+            }
+
+            var frame = encodeFrame(block, frameNumber, sampleRate, bitsPerSample, level);
+            frames.push(frame);
+            totalLength += frame.length;
+            minFrameSize = minFrameSize ? Math.min(minFrameSize, frame.length) : frame.length;
+            maxFrameSize = Math.max(maxFrameSize, frame.length);
+
+            if (onProgress && frameNumber % 20 === 0) {
+                onProgress(Math.min(100, Math.round((end / numSamples) * 100)));
+            }
+        }
+
+        var header = writeStreamHeader({
+            minBlockSize: level.blockSize,             // excludes the (shorter) last block
+            maxBlockSize: level.blockSize,
+            minFrameSize: minFrameSize,
+            maxFrameSize: maxFrameSize,
+            sampleRate: sampleRate,
+            channels: numChannels,
+            bitsPerSample: bitsPerSample,
+            totalSamples: numSamples
+        });
+
+        // Combine header and frames into a single Uint8Array
+        var result      = new Uint8Array(header.length + totalLength);
+        var writeOffset = header.length;
+        result.set(header, 0);
+        for (var f = 0; f < frames.length; f++) {
+            result.set(frames[f], writeOffset);
+            writeOffset += frames[f].length;
+        }
+
+        return result;
+    };
+
+    // ---- stream and frame layout -------------------------------------------
+
+    /**
+     * "fLaC" marker followed by a single STREAMINFO metadata block.
+     */
+    function writeStreamHeader(info) {
+        var w = new BitWriter(42);
+        w.writeBits(0x664C, 16);                       // "fL"
+        w.writeBits(0x6143, 16);                       // "aC"
+        w.writeBits(1, 1);                             // last metadata block
+        w.writeBits(0, 7);                             // type: STREAMINFO
+        w.writeBits(34, 24);                           // block length
+        w.writeBits(info.minBlockSize, 16);
+        w.writeBits(info.maxBlockSize, 16);
+        w.writeBits(info.minFrameSize, 24);
+        w.writeBits(info.maxFrameSize, 24);
+        w.writeBits(info.sampleRate, 20);
+        w.writeBits(info.channels - 1, 3);
+        w.writeBits(info.bitsPerSample - 1, 5);
+        w.writeBits(Math.floor(info.totalSamples / 0x100000000) & 0xF, 4);
+        w.writeBits(Math.floor(info.totalSamples / 0x10000) % 0x10000, 16);
+        w.writeBits(info.totalSamples & 0xFFFF, 16);
+        for (var i = 0; i < 16; i++) {
+            w.writeBits(0, 8);                         // MD5 unset
+        }
+        return w.bytes();
+    }
+
+    function encodeFrame(block, frameNumber, sampleRate, bitsPerSample, level) {
+        var blockSize   = block[0].length;
+        var numChannels = block.length;
+        var assignment  = CHANNEL_INDEPENDENT + numChannels - 1;
+        var subframes   = [];
+
+        if (numChannels === 2 && level.stereo) {
+            var left  = block[0];
+            var right = block[1];
+            var mid   = new Int32Array(blockSize);
+            var side  = new Int32Array(blockSize);
+            for (var i = 0; i < blockSize; i++) {
+                mid[i]  = (left[i] + right[i]) >> 1;
+                side[i] = left[i] - right[i];
+            }
+
+            var l = analyzeSubframe(left, bitsPerSample, level);
+            var r = analyzeSubframe(right, bitsPerSample, level);
+            var m = analyzeSubframe(mid, bitsPerSample, level);
+            var s = analyzeSubframe(side, bitsPerSample + 1, level);
+
+            var options = [
+                { assignment: assignment,         subframes: [l, r], bits: l.bits + r.bits },
+                { assignment: CHANNEL_LEFT_SIDE,  subframes: [l, s], bits: l.bits + s.bits },
+                { assignment: CHANNEL_RIGHT_SIDE, subframes: [s, r], bits: s.bits + r.bits },
+                { assignment: CHANNEL_MID_SIDE,   subframes: [m, s], bits: m.bits + s.bits }
+            ];
+            var best = options[0];
+            for (var o = 1; o < options.length; o++) {
+                if (options[o].bits < best.bits) {
+                    best = options[o];
+                }
+            }
+            assignment = best.assignment;
+            subframes  = best.subframes;
+        } else {
+            for (var c = 0; c < numChannels; c++) {
+                subframes.push(analyzeSubframe(block[c], bitsPerSample, level));
+            }
+        }
+
+        // Upper bound: verbatim size of every channel plus headers
+        var capacity = 32 + Math.ceil(numChannels * blockSize * (bitsPerSample + 1) / 8) + numChannels * 8;
+        var w = new BitWriter(capacity);
+
+        // Frame header
+        var blockSizeCode  = BLOCK_SIZE_CODES[blockSize] || (blockSize <= 256 ? 6 : 7);
+        var sampleRateInfo = sampleRateCode(sampleRate);
+        w.writeBits(0xFFF8, 16);                       // sync + fixed-blocksize stream
+        w.writeBits(blockSizeCode, 4);
+        w.writeBits(sampleRateInfo.code, 4);
+        w.writeBits(assignment, 4);
+        w.writeBits(bitsPerSample === 16 ? 4 : 6, 3);
+        w.writeBits(0, 1);
+        writeUtf8Number(w, frameNumber);
+        if (blockSizeCode === 6) {
+            w.writeBits(blockSize - 1, 8);
+        } else if (blockSizeCode === 7) {
+            w.writeBits(blockSize - 1, 16);
+        }
+        if (sampleRateInfo.bits) {
+            w.writeBits(sampleRateInfo.value, sampleRateInfo.bits);
+        }
+        w.writeBits(crc(CRC8_TABLE, 8, w.buffer, 0, w.pos), 8);
+
+        for (var sf = 0; sf < subframes.length; sf++) {
+            writeSubframe(w, subframes[sf]);
+        }
+
+        w.alignToByte();
+        var crc16 = crc(CRC16_TABLE, 16, w.buffer, 0, w.pos);
+        w.writeBits(crc16, 16);
+
+        return w.bytes();
+    }
+
+    function sampleRateCode(rate) {
+        if (SAMPLE_RATE_CODES[rate]) {
+            return { code: SAMPLE_RATE_CODES[rate], bits: 0 };
+        }
+        if (rate % 1000 === 0 && rate / 1000 < 256) {
+            return { code: 12, bits: 8, value: rate / 1000 };
+        }
+        if (rate < 65536) {
+            return { code: 13, bits: 16, value: rate };
+        }
+        if (rate % 10 === 0 && rate / 10 < 65536) {
+            return { code: 14, bits: 16, value: rate / 10 };
+        }
+        return { code: 0, bits: 0 };                   // take it from STREAMINFO
+    }
+
+    function writeUtf8Number(w, value) {
+        if (value < 0x80) {
+            w.writeBits(value, 8);
+            return;
+        }
+        var bytes = [];
+        while (value >= 0x40 >> bytes.length || bytes.length === 0) {
+            bytes.unshift(0x80 | (value & 0x3F));
+            value = Math.floor(value / 64);
+        }
+        var lead = (0xFF00 >> (bytes.length + 1)) & 0xFF;
+        w.writeBits(lead | value, 8);
+        for (var i = 0; i < bytes.length; i++) {
+            w.writeBits(bytes[i], 8);
+        }
+    }
+
+    // ---- subframe analysis ---------------------------------------------------
+
+    /**
+     * Picks the cheapest subframe encoding for one channel of a block.
+     * Returns a description that writeSubframe() serialises.
+     */
+    function analyzeSubframe(samples, bps, level) {
+        var n = samples.length;
+        var constant = true;
+        for (var i = 1; i < n; i++) {
+            if (samples[i] !== samples[0]) {
+                constant = false;
+                break;
+            }
+        }
+        if (constant) {
+            return { type: 'constant', samples: samples, bps: bps, bits: 8 + bps };
+        }
+
+        var best = { type: 'verbatim', samples: samples, bps: bps, bits: 8 + n * bps };
+
+        var fixed = analyzeFixed(samples, bps, level);
+        if (fixed && fixed.bits < best.bits) {
+            best = fixed;
+        }
+
+        if (level.maxLpcOrder > 0 && n > level.maxLpcOrder * 2) {
+            var lpc = analyzeLpc(samples, bps, level);
+            if (lpc && lpc.bits < best.bits) {
+                best = lpc;
+            }
+        }
+
+        return best;
+    }
+
+    function analyzeFixed(samples, bps, level) {
+        var n        = samples.length;
+        var maxOrder = Math.min(4, n - 1);
+        var s0 = 0, s1 = 0, s2 = 0, s3 = 0, s4 = 0;
+
+        // Estimate each order from the sum of absolute residuals (as libFLAC does)
+        for (var i = 4; i < n; i++) {
+            var e0 = samples[i];
+            var e1 = e0 - samples[i - 1];
+            var e2 = e1 - (samples[i - 1] - samples[i - 2]);
+            var e3 = e2 - (samples[i - 1] - 2 * samples[i - 2] + samples[i - 3]);
+            var e4 = e3 - (samples[i - 1] - 3 * samples[i - 2] + 3 * samples[i - 3] - samples[i - 4]);
+            s0 += e0 < 0 ? -e0 : e0;
+            s1 += e1 < 0 ? -e1 : e1;
+            s2 += e2 < 0 ? -e2 : e2;
+            s3 += e3 < 0 ? -e3 : e3;
+            s4 += e4 < 0 ? -e4 : e4;
+        }
+        var sums = [s0, s1, s2, s3, s4];
+
+        var orders = [];
+        if (level.exhaustive) {
+            for (var o = 0; o <= maxOrder; o++) {
+                orders.push(o);
+            }
+        } else {
+            var bestOrder = 0;
+            for (var k = 1; k <= maxOrder; k++) {
+                if (sums[k] < sums[bestOrder]) {
+                    bestOrder = k;
+                }
+            }
+            orders.push(bestOrder);
+        }
+
+        var best = null;
+        for (var j = 0; j < orders.length; j++) {
+            var order    = orders[j];
+            var residual = fixedResidual(samples, order);
+            var rice     = chooseRicePartitioning(residual, order, n, level.maxPartitionOrder);
+            var bits     = 8 + order * bps + rice.bits;
+            if (!best || bits < best.bits) {
+                best = { type: 'fixed', order: order, samples: samples, bps: bps, residual: residual, rice: rice, bits: bits };
+            }
+        }
+        return best;
+    }
+
+    function fixedResidual(samples, order) {
+        var n   = samples.length;
+        var res = new Float64Array(n);
+        var i   = order;
+        switch (order) {
+            case 0:
+                for (; i < n; i++) res[i] = samples[i];
+                break;
+            case 1:
+                for (; i < n; i++) res[i] = samples[i] - samples[i - 1];
+                break;
+            case 2:
+                for (; i < n; i++) res[i] = samples[i] - 2 * samples[i - 1] + samples[i - 2];
+                break;
+            case 3:
+                for (; i < n; i++) res[i] = samples[i] - 3 * samples[i - 1] + 3 * samples[i - 2] - samples[i - 3];
+                break;
+            default:
+                for (; i < n; i++) res[i] = samples[i] - 4 * samples[i - 1] + 6 * samples[i - 2] - 4 * samples[i - 3] + samples[i - 4];
+        }
+        return res;
+    }
+
+    function analyzeLpc(samples, bps, level) {
+        var n         = samples.length;
+        var maxOrder  = level.maxLpcOrder;
+        var precision = qlpPrecision(n);
+
+        // Tukey(0.5) window, then autocorrelation
+        var windowed = new Float64Array(n);
+        var taper    = Math.floor(n * 0.25);
+        for (var i = 0; i < n; i++) {
+            var wv = 1;
+            if (i < taper) {
+                wv = 0.5 - 0.5 * Math.cos(Math.PI * i / taper);
+            } else if (i >= n - taper) {
+                wv = 0.5 - 0.5 * Math.cos(Math.PI * (n - 1 - i) / taper);
+            }
+            windowed[i] = samples[i] * wv;
+        }
+
+        var autoc = new Float64Array(maxOrder + 1);
+        for (var lag = 0; lag <= maxOrder; lag++) {
+            var sum = 0;
+            for (var k = lag; k < n; k++) {
+                sum += windowed[k] * windowed[k - lag];
+            }
+            autoc[lag] = sum;
+        }
+        if (autoc[0] === 0) {
+            return null;
+        }
+
+        var lpc = levinsonDurbin(autoc, maxOrder);
+
+        var orders = [];
+        if (level.exhaustive) {
+            for (var o = 1; o <= lpc.maxOrder; o++) {
+                orders.push(o);
+            }
+        } else {
+            // Pick the order with the lowest estimated size (libFLAC heuristic)
+            var bestOrder = 1;
+            var bestEstimate = Infinity;
+            for (var ord = 1; ord <= lpc.maxOrder; ord++) {
+                var bitsPerResidual = expectedBitsPerResidual(lpc.errors[ord - 1], n - ord);
+                var estimate = ord * (bps + precision) + bitsPerResidual * (n - ord);
+                if (estimate < bestEstimate) {
+                    bestEstimate = estimate;
+                    bestOrder = ord;
+                }
+            }
+            orders.push(bestOrder);
+        }
+
+        var best = null;
+        for (var j = 0; j < orders.length; j++) {
+            var order     = orders[j];
+            var quantized = quantizeCoefficients(lpc.coefficients[order - 1], precision);
+            if (!quantized) {
+                continue;
+            }
+            var residual = lpcResidual(samples, quantized.coefficients, quantized.shift);
+            if (!residual) {
+                continue;
+            }
+            var rice = chooseRicePartitioning(residual, order, n, level.maxPartitionOrder);
+            var bits = 8 + order * bps + 4 + 5 + order * precision + rice.bits;
+            if (!best || bits < best.bits) {
+                best = {
+                    type: 'lpc', order: order, samples: samples, bps: bps,
+                    precision: precision, shift: quantized.shift, coefficients: quantized.coefficients,
+                    residual: residual, rice: rice, bits: bits
+                };
+            }
+        }
+        return best;
+    }
+
+    function qlpPrecision(blockSize) {
+        if (blockSize <= 192)  return 7;
+        if (blockSize <= 384)  return 8;
+        if (blockSize <= 576)  return 9;
+        if (blockSize <= 1152) return 10;
+        if (blockSize <= 2304) return 11;
+        if (blockSize <= 4608) return 12;
+        return 13;
+    }
+
+    /**
+     * Levinson-Durbin recursion: predictor coefficients for every order up
+     * to maxOrder, with the remaining prediction error for each.
+     */
+    function levinsonDurbin(autoc, maxOrder) {
+        var lpc          = new Float64Array(maxOrder);
+        var coefficients = [];
+        var errors       = [];
+        var err          = autoc[0];
+
+        for (var i = 0; i < maxOrder; i++) {
+            var r = -autoc[i + 1];
+            for (var j = 0; j < i; j++) {
+                r -= lpc[j] * autoc[i - j];
+            }
+            r /= err;
+
+            lpc[i] = r;
+            for (j = 0; j < (i >> 1); j++) {
+                var tmp = lpc[j];
+                lpc[j]         += r * lpc[i - 1 - j];
+                lpc[i - 1 - j] += r * tmp;
+            }
+            if (i & 1) {
+                lpc[j] += lpc[j] * r;
+            }
+
+            err *= (1 - r * r);
+
+            var order = new Float64Array(i + 1);
+            for (j = 0; j <= i; j++) {
+                order[j] = -lpc[j];
+            }
+            coefficients.push(order);
+            errors.push(err);
+
+            if (err <= 0) {
+                break;
+            }
+        }
+
+        return { coefficients: coefficients, errors: errors, maxOrder: coefficients.length };
+    }
+
+    function expectedBitsPerResidual(error, count) {
+        if (error <= 0 || count <= 0) {
+            return 0;
+        }
+        var bits = 0.5 * Math.log(0.5 * error / count) / Math.LN2;
+        return bits >= 0 ? bits : 0;
+    }
+
+    function quantizeCoefficients(coefficients, precision) {
+        var qmax = (1 << (precision - 1)) - 1;
+        var qmin = -qmax - 1;
+        var cmax = 0;
+        for (var i = 0; i < coefficients.length; i++) {
+            cmax = Math.max(cmax, Math.abs(coefficients[i]));
+        }
+        if (cmax <= 0 || !isFinite(cmax)) {
+            return null;
+        }
+
+        // Negative shifts are not allowed by the format, so clamp to 0..15
+        var shift = precision - 1 - (Math.floor(Math.log2(cmax)) + 1);
+        shift = Math.max(0, Math.min(15, shift));
+
+        var quantized = new Int32Array(coefficients.length);
+        var error     = 0;
+        var scale     = Math.pow(2, shift);
+        for (var j = 0; j < coefficients.length; j++) {
+            error += coefficients[j] * scale;
+            var q = Math.round(error);
+            q = q > qmax ? qmax : (q < qmin ? qmin : q);
+            error -= q;
+            quantized[j] = q;
+        }
+        return { coefficients: quantized, shift: shift };
+    }
+
+    function lpcResidual(samples, coefficients, shift) {
+        var n       = samples.length;
+        var order   = coefficients.length;
+        var res     = new Float64Array(n);
+        var divisor = Math.pow(2, shift);
+
+        for (var i = order; i < n; i++) {
+            var sum = 0;
+            for (var j = 0; j < order; j++) {
+                sum += coefficients[j] * samples[i - 1 - j];
+            }
+            var value = samples[i] - Math.floor(sum / divisor);
+            // Decoders keep residuals in 32-bit integers
+            if (value > 2147483647 || value < -2147483648) {
+                return null;
+            }
+            res[i] = value;
+        }
+        return res;
+    }
+
+    // ---- residual coding -----------------------------------------------------
+
+    /**
+     * Chooses the partition order and Rice parameters that minimise the
+     * (estimated) size of the residual section.
+     */
+    function chooseRicePartitioning(residual, predictorOrder, blockSize, maxPartitionOrder) {
+        // Largest partition order the block size and predictor order allow
+        var maxOrder = 0;
+        while (maxOrder < maxPartitionOrder &&
+               blockSize % (1 << (maxOrder + 1)) === 0 &&
+               (blockSize >> (maxOrder + 1)) > predictorOrder) {
+            maxOrder++;
+        }
+
+        // Sums of zig-zag encoded residuals per partition at the finest order
+        var partitions = 1 << maxOrder;
+        var sums       = new Float64Array(partitions);
+        var counts     = new Float64Array(partitions);
+        var size       = blockSize >> maxOrder;
+        for (var p = 0; p < partitions; p++) {
+            var start = p === 0 ? predictorOrder : p * size;
+            var end   = (p + 1) * size;
+            var sum   = 0;
+            for (var i = start; i < end; i++) {
+                var r = residual[i];
+                sum += r >= 0 ? 2 * r : -2 * r - 1;
+            }
+            sums[p]   = sum;
+            counts[p] = end - start;
+        }
+
+        var best = null;
+        for (var order = maxOrder; order >= 0; order--) {
+            var count      = 1 << order;
+            var parameters = new Int32Array(count);
+            var bits       = 0;
+            var needsWide  = false;
+
+            for (var q = 0; q < count; q++) {
+                var k = bestRiceParameter(sums[q], counts[q]);
+                parameters[q] = k;
+                bits += riceBits(sums[q], counts[q], k);
+                if (k > 14) {
+                    needsWide = true;
+                }
+            }
+            bits += 2 + 4 + count * (needsWide ? 5 : 4);
+
+            if (!best || bits < best.bits) {
+                best = { order: order, parameters: parameters, wide: needsWide, bits: bits };
+            }
+
+            // Merge neighbouring partitions for the next (coarser) order
+            if (order > 0) {
+                var merged       = new Float64Array(count >> 1);
+                var mergedCounts = new Float64Array(count >> 1);
+                for (var m = 0; m < count >> 1; m++) {
+                    merged[m]       = sums[2 * m] + sums[2 * m + 1];
+                    mergedCounts[m] = counts[2 * m] + counts[2 * m + 1];
+                }
+                sums   = merged;
+                counts = mergedCounts;
+            }
+        }
+        return best;
+    }
+
+    function bestRiceParameter(sum, count) {
+        if (count === 0 || sum === 0) {
+            return 0;
+        }
+        var k = Math.floor(Math.log2(sum / count * Math.LN2));
+        k = Math.max(0, Math.min(30, k));
+        // Check the neighbours of the analytic estimate
+        var best = k;
+        var bestBits = riceBits(sum, count, k);
+        for (var d = -1; d <= 1; d += 2) {
+            var candidate = k + d;
+            if (candidate < 0 || candidate > 30) continue;
+            var bits = riceBits(sum, count, candidate);
+            if (bits < bestBits) {
+                bestBits = bits;
+                best = candidate;
+            }
+        }
+        return best;
+    }
+
+    function riceBits(sum, count, k) {
+        return count * (k + 1) + sum / Math.pow(2, k);
+    }
+
+    function writeSubframe(w, sf) {
+        w.writeBits(0, 1);                              // zero padding bit
+        switch (sf.type) {
+            case 'constant':
+                w.writeBits(0, 6);
+                w.writeBits(0, 1);                      // no wasted bits
+                w.writeSigned(sf.samples[0], sf.bps);
+                return;
+
+            case 'verbatim':
+                w.writeBits(1, 6);
+                w.writeBits(0, 1);
+                for (var i = 0; i < sf.samples.length; i++) {
+                    w.writeSigned(sf.samples[i], sf.bps);
+                }
+                return;
+
+            case 'fixed':
+                w.writeBits(8 | sf.order, 6);
+                w.writeBits(0, 1);
+                for (var j = 0; j < sf.order; j++) {
+                    w.writeSigned(sf.samples[j], sf.bps);
+                }
+                writeResidual(w, sf.residual, sf.order, sf.rice);
+                return;
+
+            case 'lpc':
+                w.writeBits(32 | (sf.order - 1), 6);
+                w.writeBits(0, 1);
+                for (var k = 0; k < sf.order; k++) {
+                    w.writeSigned(sf.samples[k], sf.bps);
+                }
+                w.writeBits(sf.precision - 1, 4);
+                w.writeSigned(sf.shift, 5);
+                for (var c = 0; c < sf.order; c++) {
+                    w.writeSigned(sf.coefficients[c], sf.precision);
+                }
+                writeResidual(w, sf.residual, sf.order, sf.rice);
+                return;
+        }
+    }
+
+    function writeResidual(w, residual, predictorOrder, rice) {
+        var blockSize  = residual.length;
+        var paramBits  = rice.wide ? 5 : 4;
+        var partitions = 1 << rice.order;
+        var size       = blockSize >> rice.order;
+
+        w.writeBits(rice.wide ? 1 : 0, 2);
+        w.writeBits(rice.order, 4);
+
+        for (var p = 0; p < partitions; p++) {
+            var k     = rice.parameters[p];
+            var scale = Math.pow(2, k);
+            var start = p === 0 ? predictorOrder : p * size;
+            var end   = (p + 1) * size;
+            w.writeBits(k, paramBits);
+            for (var i = start; i < end; i++) {
+                var r = residual[i];
+                var u = r >= 0 ? 2 * r : -2 * r - 1;
+                var quotient = Math.floor(u / scale);
+                w.writeUnary(quotient);
+                if (k > 0) {
+                    w.writeBits(u - quotient * scale, k);
+                }
+            }
+        }
+    }
+
+    // ---- bit-level helpers ---------------------------------------------------
+
+    function BitWriter(capacity) {
+        this.buffer   = new Uint8Array(capacity);
+        this.pos      = 0;
+        this.acc      = 0;
+        this.accBits  = 0;
+    }
+
+    BitWriter.prototype.ensure = function (bytes) {
+        if (this.pos + bytes <= this.buffer.length) return;
+        var grown = new Uint8Array(Math.max(this.buffer.length * 2, this.pos + bytes));
+        grown.set(this.buffer.subarray(0, this.pos));
+        this.buffer = grown;
+    };
+
+    /** Writes an unsigned value of up to 32 bits, most significant bit first. */
+    BitWriter.prototype.writeBits = function (value, bits) {
+        if (bits > 24) {
+            var high = bits - 24;
+            this.writeBits(Math.floor(value / 0x1000000), high);
+            this.writeBits(value % 0x1000000, 24);
+            return;
+        }
+        this.ensure(4);
+        this.acc = (this.acc << bits) | value;
+        this.accBits += bits;
+        while (this.accBits >= 8) {
+            this.accBits -= 8;
+            this.buffer[this.pos++] = (this.acc >>> this.accBits) & 0xFF;
+        }
+        this.acc &= (1 << this.accBits) - 1;
+    };
+
+    BitWriter.prototype.writeSigned = function (value, bits) {
+        this.writeBits(value < 0 ? value + Math.pow(2, bits) : value, bits);
+    };
+
+    /** Writes `count` zero bits followed by a one bit. */
+    BitWriter.prototype.writeUnary = function (count) {
+        while (count >= 24) {
+            this.writeBits(0, 24);
+            count -= 24;
+        }
+        this.writeBits(1, count + 1);
+    };
+
+    BitWriter.prototype.alignToByte = function () {
+        if (this.accBits > 0) {
+            this.writeBits(0, 8 - this.accBits);
+        }
+    };
+
+    BitWriter.prototype.bytes = function () {
+        this.alignToByte();
+        return this.buffer.slice(0, this.pos);
+    };
+
+    function buildCrcTable(polynomial, width) {
+        var table  = new Uint16Array(256);
+        var topBit = 1 << (width - 1);
+        var mask   = (1 << width) - 1;
+        for (var i = 0; i < 256; i++) {
+            var c = i << (width - 8);
+            for (var b = 0; b < 8; b++) {
+                c = (c & topBit) ? ((c << 1) ^ polynomial) : (c << 1);
+            }
+            table[i] = c & mask;
+        }
+        return table;
+    }
+
+    function crc(table, width, bytes, start, end) {
+        var c    = 0;
+        var mask = (1 << width) - 1;
+        for (var i = start; i < end; i++) {
+            if (width === 8) {
+                c = table[c ^ bytes[i]];
+            } else {
+                c = ((c << 8) ^ table[((c >> 8) ^ bytes[i]) & 0xFF]) & mask;
+            }
+        }
+        return c;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,51 @@
+/**
+ * FLAC Encoder – main-thread fallback
+ *
+ * Used only when the Web Worker path is unavailable.  The actual encoding
+ * algorithm lives in flac-core.js, shared with the worker.
+ */
+
+import { loadScript } from './load-script.js';
+
+export class FlacEncoder {
+    constructor() {
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize: load the shared encoding core onto the page.
+     */
+    async init() {
+        if (this.initialized) return;
+
+        await loadScript(
+            // Resolve relative to the current module location
+            new URL('./flac-core.js', import.meta.url).href,
+            () => typeof window.encodeFlac === 'function',
+            'flac-core'
+        );
+
+        this.initialized = true;
+    }
+
+    /**
+     * Encode Float32 audio data to FLAC.
+     *
+     * @param {Float32Array[]} channels
+     * @param {number} sampleRate
+     * @param {number} bitsPerSample – 16 | 24
+     * @param {number} compressionLevel – 0 (fastest) … 8 (smallest)
+     * @returns {Promise<Uint8Array>}
+     */
+    async encode(channels, sampleRate, bitsPerSample = 16, compressionLevel = 5) {
+        if (!this.initialized) {
+            await this.init();
+        }
+
+        return window.encodeFlac(channels, sampleRate, bitsPerSample, compressionLevel);
+    }
+
+    isInitialized() {
+        return this.initialized;
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Loads classic (non-module) encoder scripts onto the page.
+ *
+ * The encoder cores attach plain globals so they can be shared with the
+ * Web Workers; the main-thread fallbacks pull them in with a <script> tag.
+ */
+
+/**
+ * Dynamically load a <script> tag and wait for the expected global.
+ * @param {string} src - Script URL
+ * @param {function(): boolean} checkFn - Returns true once the global is available
+ * @param {string} label - Library name used in error messages
+ * @returns {Promise<void>}
+ */
+export function loadScript(src, checkFn, label) {
+    return new Promise((resolve, reject) => {
+        if (checkFn()) {
+            resolve();
+            return;
+        }
+
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => {
+            if (checkFn()) {
+                resolve();
+            } else {
+                reject(new Error(`${label} library not available after load`));
+            }
+        };
+        script.onerror = () => reject(new Error(`Failed to load ${label} library`));
+        document.head.appendChild(script);
+    });
+}
@@ -3,88 +3,777 @@
  *
  * This is a plain script (not an ES module) so it can be loaded via
  * importScripts() inside a Web Worker AND via a <script> tag on the main
- * thread.  It attaches a single helper – encodeMp3 – to the global scope
- * (self / window).
+ * thread.  It attaches encodeMp3 to the global scope (self / window),
+ * along with planMp3Encode, encodeMp3Segment and assembleMp3, the steps
+ * it is made of, for splitting an encode across several workers.
  *
- * Prerequisites: lamejs must already be loaded on `self.lamejs` before
- * calling encodeMp3().
+ * Prerequisites: lamejs must already be loaded on `self.lamejs`, and
+ * resample-core.js for mono, resampling and the lower sample rates low
+ * bitrates need, before calling encodeMp3().
+ *
+ * lamejs only ships LAME's CBR quantization loop, so VBR and ABR are built
+ * on top of it: the audio is encoded at a few CBR bitrates side by side and
+ * each frame is taken from one of them.  This works because lamejs runs
+ * with the bit reservoir disabled, so every frame is self-contained, and
+ * encoders fed the same input make the same block-switching decisions and
+ * produce the same number of frames.  A frame's global gain (its quantizer
+ * step, 1.5 dB per unit) tells how much coarser a lower bitrate had to
+ * quantize it than the highest one; when LAME already reached its masking
+ * target at the lower bitrate the gains are equal.
  */
 
 (function (global) {
+    // Frame header tables, indexed by the two version bits
+    var MPEG1 = 3, MPEG2 = 2, MPEG25 = 0;
+    var BITRATES = {
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        0: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    };
+    var SAMPLE_RATES = {
+        3: [44100, 48000, 32000],
+        2: [22050, 24000, 16000],
+        0: [11025, 12000, 8000]
+    };
+
+    // LAME's encoder delay; decoders add their own 529 samples on top
+    var ENCODER_DELAY = 576;
+
+    // Bitrate of the Xing/LAME tag frame in VBR files, as chosen by LAME
+    var TAG_BITRATES = { 3: 128, 2: 64, 0: 32 };
+    // 'Xing' + flags + frames + bytes + TOC + quality, then the 36-byte LAME extension
+    var TAG_SIZE = 4 + 4 + 4 + 4 + 100 + 4 + 36;
+    var LAME_VERSION = 'LAME3.98r';
+
+    // Encoders run side by side for VBR / ABR, including the lowest bitrate
+    var MAX_CANDIDATES = 4;
+
+    // Frames encoded before and after a segment and then dropped
+    var SEGMENT_PRE_ROLL  = 4;
+    var SEGMENT_POST_ROLL = 2;
+    // Shorter segments aren't worth the extra encoder start-up
+    var MIN_SEGMENT_FRAMES = 400;
+
+    // VBR quality 0 (best) … 9: bitrate range tried for MPEG-1 stereo, and
+    // how many global-gain steps coarser than the highest bitrate a frame
+    // may be quantized
+    var VBR_QUALITY = [
+        { min: 128, max: 320, tolerance: 0 },
+        { min: 112, max: 320, tolerance: 1 },
+        { min: 96,  max: 256, tolerance: 2 },
+        { min: 96,  max: 256, tolerance: 3 },
+        { min: 80,  max: 224, tolerance: 4 },
+        { min: 64,  max: 192, tolerance: 5 },
+        { min: 64,  max: 160, tolerance: 6 },
+        { min: 48,  max: 128, tolerance: 8 },
+        { min: 40,  max: 112, tolerance: 10 },
+        { min: 32,  max: 96,  tolerance: 12 }
+    ];
+
+    // ABR starts here and moves the tolerance by this much per frame of over/underspend
+    var ABR_TOLERANCE = 4;
+    var ABR_FEEDBACK  = 1;
+    var ABR_MAX_TOLERANCE = 64;
+
+    var CRC16_TABLE = buildCrc16Table();
+
+    // Frame headers lamejs produces, by channels:sampleRate:bitrate
+    var probeCache = {};
+
     /**
      * Encode Float32 audio channels to MP3 using lamejs.
      *
      * @param {Float32Array[]} channels  – array of channel data (1 = mono, 2 = stereo)
      * @param {number}         sampleRate
-     * @param {number}         bitrate   – kbps (128 | 192 | 256 | 320)
+     * @param {Object|number}  options   – {mode, bitrate, quality, mono, sampleRate}, or a CBR bitrate:
+     *   mode       'cbr' (default) | 'abr' | 'vbr'
+     *   bitrate    kbps, constant (cbr) or target average (abr)
+     *   quality    VBR quality 0 (best) … 9
+     *   mono       downmix to a single channel first
+     *   sampleRate resample to this rate first (an MP3 rate, e.g. 22050)
      * @param {function}       [onProgress] – optional (progress: 0‑100) => void
-     * @returns {Uint8Array} MP3 encoded data
+     * @returns {Uint8Array} MP3 encoded data, starting with a Xing/Info tag frame
+     */
+    global.encodeMp3 = function encodeMp3(channels, sampleRate, options, onProgress) {
+        var plan = global.planMp3Encode(channels.length, sampleRate, channels[0].length, options, 1);
+        var segment = global.encodeMp3Segment(channels, plan, plan.segments[0], onProgress);
+        return global.assembleMp3([segment], plan);
+    };
+
+    /**
+     * Work out how audio will be encoded: the bitrates to run, the rate
+     * the encoders run at and, for encoding in parallel, how to split it
+     * into segments.
+     *
+     * Segments are whole frames.  Each one is encoded with a few frames of
+     * the neighbouring audio on both sides, which are dropped again, so
+     * the encoder state (MDCT overlap, psychoacoustic history) at the
+     * boundaries is that of an uninterrupted encode.  No bit reservoir
+     * crosses frames, so the kept frames can simply be joined.
+     *
+     * @param {number}        numChannels
+     * @param {number}        sampleRate
+     * @param {number}        length       – samples per channel
+     * @param {Object|number} options      – as for encodeMp3
+     * @param {number}        segmentCount – segments wanted (fewer for short audio)
+     * @returns {Object} Plan for encodeMp3Segment / assembleMp3 (structured-cloneable)
      */
-    global.encodeMp3 = function encodeMp3(channels, sampleRate, bitrate, onProgress) {
+    global.planMp3Encode = function planMp3Encode(numChannels, sampleRate, length, options, segmentCount) {
         if (!global.lamejs) {
             throw new Error('lamejs is not loaded');
         }
+        if (typeof options === 'number') {
+            options = { bitrate: options };
+        }
+        options = options || {};
+        var mode = options.mode || 'cbr';
+        var mono = !!options.mono && numChannels > 1;
+        var channels = mono ? 1 : numChannels;
 
-        var numChannels = channels.length;
-        var numSamples  = channels[0].length;
+        // lamejs resamples by itself when a bitrate calls for a lower rate.
+        // Do that here instead, so encoder frames line up with input samples
+        var rate = options.sampleRate || sampleRate;
+        var bitrates;
+        for (var attempt = 0; attempt < 3; attempt++) {
+            bitrates = mode === 'cbr' ? planCbr(options, channels, rate) : planBitrates(mode, options, channels, rate);
+            if (bitrates.sampleRate === rate) break;
+            rate = bitrates.sampleRate;
+        }
+        if (bitrates.sampleRate !== rate) {
+            throw new Error('lamejs does not keep the ' + rate + ' Hz sample rate');
+        }
 
-        var mp3encoder = new global.lamejs.Mp3Encoder(numChannels, sampleRate, bitrate);
-        var mp3Data    = [];
+        if ((mono || rate !== sampleRate) && typeof global.resampleRange !== 'function') {
+            throw new Error('resample-core is not loaded');
+        }
 
-        // Convert Float32 [-1,1] → Int16 [-32768,32767]
-        var left  = new Int16Array(numSamples);
-        var right = numChannels > 1 ? new Int16Array(numSamples) : null;
+        var plan = {
+            mode:         mode,
+            bitrates:     bitrates.bitrates,
+            target:       bitrates.target,
+            quality:      mode === 'vbr' ? vbrQuality(options).index : null,
+            mono:         mono,
+            numChannels:  channels,
+            sourceRate:   sampleRate,
+            sourceLength: length,
+            sampleRate:   rate,
+            length:       rate === sampleRate ? length : Math.round(length * rate / sampleRate),
+            frameSamples: probeEncoder(channels, rate, bitrates.target).samples,
+            sourceMargin: rate === sampleRate ? 0 : global.resampleMargin(sampleRate, rate)
+        };
+        plan.segments = splitSegments(plan, segmentCount);
+        return plan;
+    };
 
-        for (var i = 0; i < numSamples; i++) {
-            left[i] = Math.max(-32768, Math.min(32767, channels[0][i] * 32767));
-            if (right) {
-                right[i] = Math.max(-32768, Math.min(32767, channels[1][i] * 32767));
-            }
+    /**
+     * Encode one segment of a plan.
+     *
+     * @param {Float32Array[]} channels – source samples [segment.sourceStart, segment.sourceEnd)
+     * @param {Object}         plan     – from planMp3Encode
+     * @param {Object}         segment  – one of plan.segments
+     * @param {function}       [onProgress] – optional (progress: 0‑100) => void
+     * @returns {{data: Uint8Array, sizes: Uint32Array}} The segment's frames and their sizes
+     */
+    global.encodeMp3Segment = function encodeMp3Segment(channels, plan, segment, onProgress) {
+        if (plan.mono && channels.length > 1) {
+            channels = [global.downmixToMono(channels)];
+        }
+
+        // Part of the progress range spent on resampling
+        var prepareShare = 0;
+        if (plan.sampleRate !== plan.sourceRate) {
+            var count = channels.length;
+            prepareShare = 20;
+            channels = channels.map(function (data, c) {
+                return global.resampleRange(data, segment.sourceStart, plan.sourceRate, plan.sampleRate,
+                    segment.encodeStart, segment.encodeEnd, onProgress && function (fraction) {
+                        onProgress(Math.round((c + fraction) / count * prepareShare));
+                    });
+            });
         }
 
-        // Encode in LAME-standard 1152-sample frames
+        var numChannels = plan.numChannels;
+        var numSamples  = segment.encodeEnd - segment.encodeStart;
+
+        var streams = plan.bitrates.map(function (bitrate) {
+            return {
+                encoder: new global.lamejs.Mp3Encoder(numChannels, plan.sampleRate, bitrate),
+                reader:  new FrameReader()
+            };
+        });
+        var selector = new FrameSelector(plan.mode, { quality: plan.quality }, plan.target);
+        var output   = new FrameCollector(segment.keepFrom, segment.keepCount);
+
         var chunkSize = 1152;
-        var offset    = 0;
+        var left  = new Int16Array(chunkSize);
+        var right = numChannels > 1 ? new Int16Array(chunkSize) : null;
+
+        for (var offset = 0; offset < numSamples; offset += chunkSize) {
+            var end    = Math.min(offset + chunkSize, numSamples);
+            var length = end - offset;
+
+            // Convert Float32 [-1,1] → Int16 [-32768,32767]
+            for (var i = 0; i < length; i++) {
+                left[i] = Math.max(-32768, Math.min(32767, channels[0][offset + i] * 32767));
+                if (right) {
+                    right[i] = Math.max(-32768, Math.min(32767, channels[1][offset + i] * 32767));
+                }
+            }
+            var chunkLeft  = left.subarray(0, length);
+            var chunkRight = right ? right.subarray(0, length) : null;
+
+            for (var s = 0; s < streams.length; s++) {
+                var mp3buf = numChannels === 1
+                    ? streams[s].encoder.encodeBuffer(chunkLeft)
+                    : streams[s].encoder.encodeBuffer(chunkLeft, chunkRight);
+                streams[s].reader.push(mp3buf);
+            }
+            selectFrames(streams, selector, output);
+
+            if (onProgress && (offset / chunkSize) % 10 === 9) {
+                onProgress(Math.min(100, Math.round(prepareShare + (end / numSamples) * (100 - prepareShare))));
+            }
+        }
+
+        // Flush remaining data
+        for (var f = 0; f < streams.length; f++) {
+            streams[f].reader.push(streams[f].encoder.flush());
+        }
+        selectFrames(streams, selector, output);
+
+        return output.toSegment();
+    };
+
+    /**
+     * Join encoded segments into a file with a Xing/Info tag frame.
+     *
+     * @param {Array<{data: Uint8Array, sizes: Uint32Array}>} segments – from encodeMp3Segment, in order
+     * @param {Object} plan – from planMp3Encode
+     * @returns {Uint8Array} MP3 encoded data
+     */
+    global.assembleMp3 = function assembleMp3(segments, plan) {
+        var output = new FrameCollector(0, -1);
+        for (var i = 0; i < segments.length; i++) {
+            output.addSegment(segments[i]);
+        }
+        return output.finish({
+            mode: plan.mode,
+            bitrate: plan.mode === 'vbr' ? plan.bitrates[0] : plan.target,
+            quality: plan.quality,
+            sourceSampleRate: plan.sourceRate,
+            numSamples: plan.length
+        });
+    };
+
+    // ---- segments ----------------------------------------------------------
+
+    function splitSegments(plan, count) {
+        var frameSamples = plan.frameSamples;
+        var frames = Math.ceil(plan.length / frameSamples);
+        count = Math.max(1, Math.min(count || 1, Math.floor(frames / MIN_SEGMENT_FRAMES)));
+
+        var bounds = [];
+        for (var k = 0; k <= count; k++) {
+            bounds.push(Math.round(k * frames / count));
+        }
+
+        var ratio = plan.sourceRate / plan.sampleRate;
+        var segments = [];
+        for (var s = 0; s < count; s++) {
+            var last = s === count - 1;
+            var firstFrame = Math.max(0, bounds[s] - SEGMENT_PRE_ROLL);
+            var encodeStart = firstFrame * frameSamples;
+            var encodeEnd = last ? plan.length : Math.min(plan.length, (bounds[s + 1] + SEGMENT_POST_ROLL) * frameSamples);
+
+            segments.push({
+                encodeStart: encodeStart,
+                encodeEnd:   encodeEnd,
+                // Source samples needed, including the resampler's reach
+                sourceStart: Math.max(0, Math.floor(encodeStart * ratio) - plan.sourceMargin),
+                sourceEnd:   Math.min(plan.sourceLength, Math.ceil(encodeEnd * ratio) + plan.sourceMargin),
+                keepFrom:    bounds[s] - firstFrame,
+                keepCount:   last ? -1 : bounds[s + 1] - bounds[s]   // -1: up to the end
+            });
+        }
+        return segments;
+    }
+
+    // ---- bitrate candidates ------------------------------------------------
+
+    function planCbr(options, numChannels, sampleRate) {
+        var bitrate = options.bitrate || 192;
+        return {
+            bitrates:   [bitrate],
+            target:     bitrate,
+            sampleRate: probeEncoder(numChannels, sampleRate, bitrate).sampleRate
+        };
+    }
+
+    /**
+     * Bitrates to encode side by side for VBR / ABR, lowest first, the
+     * bitrate an ABR encode should average and the rate lamejs encodes at
+     */
+    function planBitrates(mode, options, numChannels, sampleRate) {
+        var ladder = bitrateLadder(mode, options, numChannels, sampleRate >= 32000 ? MPEG1 : sampleRate >= 16000 ? MPEG2 : MPEG25);
+
+        // lamejs picks a lower output rate by itself for low bitrates, and
+        // frames can only be mixed if they share one rate: use the rate of
+        // the ladder's main bitrate and drop the bitrates that differ
+        var reference = probeEncoder(numChannels, sampleRate, ladder.main);
+        if (reference.version !== ladder.version) {
+            ladder = bitrateLadder(mode, options, numChannels, reference.version);
+            reference = probeEncoder(numChannels, sampleRate, ladder.main);
+        }
+
+        var matches = function (bitrate) {
+            var probe = probeEncoder(numChannels, sampleRate, bitrate);
+            return probe.sampleRate === reference.sampleRate && probe.bitrate === bitrate;
+        };
+
+        // The lowest bitrate kept at this rate takes silence and other
+        // frames that need few bits
+        var valid = BITRATES[ladder.version];
+        var floor = ladder.main;
+        for (var i = 1; valid[i] < ladder.main; i++) {
+            if (matches(valid[i])) {
+                floor = valid[i];
+                break;
+            }
+        }
+
+        var bitrates = [floor].concat(ladder.bitrates.filter(function (bitrate) {
+            return bitrate > floor && (bitrate === ladder.main || matches(bitrate));
+        }));
+        return { bitrates: bitrates, target: ladder.main, sampleRate: reference.sampleRate };
+    }
+
+    function bitrateLadder(mode, options, numChannels, version) {
+        var valid = BITRATES[version].slice(1);
+
+        if (mode === 'vbr') {
+            // Quality presets are for MPEG-1 stereo; fewer channels and the
+            // half-rate MPEG versions need fewer bits for the same quality
+            var scale = (numChannels === 1 ? 0.5 : 1) * (version === MPEG1 ? 1 : 0.5);
+            var preset = vbrQuality(options).preset;
+            var range = thin(bitratesBetween(valid, preset.min * scale, preset.max * scale), MAX_CANDIDATES - 1);
+            return { version: version, main: range[range.length - 1], bitrates: range };
+        }
+
+        // Half, exactly and twice the target average
+        var target = nearestBitrate(valid, options.bitrate || 128);
+        var bitrates = [nearestBitrate(valid, target / 2), target, nearestBitrate(valid, target * 2)];
+        return {
+            version: version,
+            main: target,
+            bitrates: bitrates.filter(function (bitrate, i) { return bitrates.indexOf(bitrate) === i; })
+        };
+    }
+
+    function vbrQuality(options) {
+        var index = Math.max(0, Math.min(VBR_QUALITY.length - 1, options.quality === undefined ? 4 : options.quality | 0));
+        return { index: index, preset: VBR_QUALITY[index] };
+    }
+
+    /** Encode a few frames of silence to see what lamejs makes of a setting */
+    function probeEncoder(numChannels, sampleRate, bitrate) {
+        var key = numChannels + ':' + sampleRate + ':' + bitrate;
+        if (!probeCache[key]) {
+            probeCache[key] = probeHeader(numChannels, sampleRate, bitrate);
+        }
+        return probeCache[key];
+    }
+
+    function probeHeader(numChannels, sampleRate, bitrate) {
+        var encoder = new global.lamejs.Mp3Encoder(numChannels, sampleRate, bitrate);
+        var silence = new Int16Array(1152 * 3);
+        var reader  = new FrameReader();
+        reader.push(numChannels === 1 ? encoder.encodeBuffer(silence) : encoder.encodeBuffer(silence, silence));
+        reader.push(encoder.flush());
+        if (!reader.frames.length) {
+            throw new Error('lamejs produced no MP3 frames');
+        }
+        return reader.frames[0].header;
+    }
+
+    function bitratesBetween(valid, min, max) {
+        var lowest  = nearestBitrate(valid, min);
+        var highest = nearestBitrate(valid, max);
+        return valid.filter(function (bitrate) { return bitrate >= lowest && bitrate <= highest; });
+    }
 
-        while (offset < numSamples) {
-            var end        = Math.min(offset + chunkSize, numSamples);
-            var chunkLeft  = left.subarray(offset, end);
-            var chunkRight = right ? right.subarray(offset, end) : null;
+    function nearestBitrate(valid, kbps) {
+        return valid.reduce(function (best, bitrate) {
+            return Math.abs(bitrate - kbps) < Math.abs(best - kbps) ? bitrate : best;
+        });
+    }
 
-            var mp3buf;
-            if (numChannels === 1) {
-                mp3buf = mp3encoder.encodeBuffer(chunkLeft);
+    /** Keep at most `count` entries, spread evenly and including both ends */
+    function thin(list, count) {
+        if (list.length <= count) return list;
+        var result = [];
+        for (var i = 0; i < count; i++) {
+            var value = list[Math.round(i * (list.length - 1) / (count - 1))];
+            if (result.indexOf(value) === -1) result.push(value);
+        }
+        return result;
+    }
+
+    // ---- frame selection ---------------------------------------------------
+
+    /** Move frames to the output once every stream has produced them */
+    function selectFrames(streams, selector, output) {
+        for (;;) {
+            var frames = [];
+            for (var s = 0; s < streams.length; s++) {
+                if (!streams[s].reader.frames.length) break;
+                frames.push(streams[s].reader.frames[0]);
+            }
+            if (frames.length < streams.length) return;
+
+            for (var t = 0; t < streams.length; t++) {
+                streams[t].reader.frames.shift();
+            }
+            if (output.wants()) {
+                output.add(frames[selector.choose(frames)]);
             } else {
-                mp3buf = mp3encoder.encodeBuffer(chunkLeft, chunkRight);
+                output.skip();
             }
+        }
+    }
 
-            if (mp3buf.length > 0) {
-                mp3Data.push(mp3buf);
+    /**
+     * Picks one of the candidate frames (lowest bitrate first) for each
+     * frame of the output
+     */
+    function FrameSelector(mode, options, targetBitrate) {
+        this.mode = mode;
+        if (mode === 'vbr') {
+            this.tolerance = vbrQuality(options).preset.tolerance;
+        } else if (mode === 'abr') {
+            this.targetBitrate = targetBitrate;
+            this.targetBytes = 0;
+            this.writtenBytes = 0;
+        }
+    }
+
+    FrameSelector.prototype.choose = function (frames) {
+        if (frames.length === 1) return 0;
+
+        var tolerance = this.tolerance;
+        if (this.mode === 'abr') {
+            // Allow coarser quantization while over budget, finer while under
+            var header = frames[0].header;
+            var frameBytes = this.targetBitrate * 1000 / 8 * header.samples / header.sampleRate;
+            var overspend = (this.writtenBytes - this.targetBytes) / frameBytes;
+            tolerance = Math.max(0, Math.min(ABR_MAX_TOLERANCE, ABR_TOLERANCE + overspend * ABR_FEEDBACK));
+            this.targetBytes += frameBytes;
+        }
+
+        var gains = frames.map(function (frame) { return readGlobalGains(frame.bytes, frame.header); });
+        var best = gains[gains.length - 1];
+        var choice = frames.length - 1;
+        for (var i = 0; i < frames.length - 1; i++) {
+            if (maxGainIncrease(gains[i], best) <= tolerance) {
+                choice = i;
+                break;
             }
+        }
 
-            offset += chunkSize;
+        if (this.mode === 'abr') {
+            this.writtenBytes += frames[choice].bytes.length;
+        }
+        return choice;
+    };
 
-            if (onProgress && offset % (chunkSize * 10) === 0) {
-                onProgress(Math.min(100, Math.round((offset / numSamples) * 100)));
+    /** Largest per-granule step increase of one frame over a reference */
+    function maxGainIncrease(gains, reference) {
+        var increase = 0;
+        for (var i = 0; i < gains.length; i++) {
+            increase = Math.max(increase, gains[i] - reference[i]);
+        }
+        return increase;
+    }
+
+    /**
+     * Global gain per granule and channel, from the frame's side info.
+     * Granules coded with no bits count as maximally coarse, unless the
+     * reference is empty too (digital silence).
+     */
+    function readGlobalGains(bytes, header) {
+        var lsf     = header.version !== MPEG1;
+        var mono    = header.channels === 1;
+        var reader  = new BitReader(bytes, header.protected ? 6 : 4);
+        var gains   = [];
+
+        reader.skip(lsf ? 8 : 9);                                  // main_data_begin
+        reader.skip(lsf ? (mono ? 1 : 2) : (mono ? 5 : 3));        // private bits
+        if (!lsf) reader.skip(4 * header.channels);                // scfsi
+
+        var granules = lsf ? 1 : 2;
+        for (var gr = 0; gr < granules; gr++) {
+            for (var ch = 0; ch < header.channels; ch++) {
+                var part23Length = reader.read(12);
+                reader.skip(9);                                    // big_values
+                var globalGain = reader.read(8);
+                reader.skip(lsf ? 9 : 4);                          // scalefac_compress
+                if (reader.read(1)) {
+                    reader.skip(2 + 1 + 10 + 9);                   // block type, mixed, tables, subblock gains
+                } else {
+                    reader.skip(15 + 4 + 3);                       // tables, region counts
+                }
+                reader.skip(lsf ? 2 : 3);                          // (preflag), scalefac_scale, count1table
+                gains.push(part23Length ? globalGain : 256);
             }
         }
+        return gains;
+    }
 
-        // Flush remaining data
-        var flush = mp3encoder.flush();
-        if (flush.length > 0) {
-            mp3Data.push(flush);
+    function BitReader(bytes, offset) {
+        this.bytes = bytes;
+        this.position = offset * 8;
+    }
+
+    BitReader.prototype.read = function (count) {
+        var value = 0;
+        for (var i = 0; i < count; i++) {
+            var byte = this.bytes[this.position >> 3];
+            value = (value << 1) | ((byte >> (7 - (this.position & 7))) & 1);
+            this.position++;
         }
+        return value;
+    };
+
+    BitReader.prototype.skip = function (count) {
+        this.position += count;
+    };
+
+    // ---- frame parsing -----------------------------------------------------
+
+    /** Splits encoder output into whole MP3 frames */
+    function FrameReader() {
+        this.pending = new Uint8Array(0);
+        this.frames  = [];
+    }
 
-        // Combine all chunks into a single Uint8Array
-        var totalLength  = mp3Data.reduce(function (sum, chunk) { return sum + chunk.length; }, 0);
-        var result       = new Uint8Array(totalLength);
-        var writeOffset  = 0;
+    FrameReader.prototype.push = function (data) {
+        if (!data || !data.length) return;
 
-        for (var j = 0; j < mp3Data.length; j++) {
-            result.set(mp3Data[j], writeOffset);
-            writeOffset += mp3Data[j].length;
+        // lamejs returns Int8Array
+        var bytes  = new Uint8Array(data.buffer, data.byteOffset, data.length);
+        var buffer = new Uint8Array(this.pending.length + bytes.length);
+        buffer.set(this.pending, 0);
+        buffer.set(bytes, this.pending.length);
+
+        var offset = 0;
+        while (offset + 4 <= buffer.length) {
+            var header = parseFrameHeader(buffer, offset);
+            if (!header) {
+                throw new Error('Lost MP3 frame sync at byte ' + offset);
+            }
+            if (offset + header.size > buffer.length) break;
+            this.frames.push({ header: header, bytes: buffer.subarray(offset, offset + header.size) });
+            offset += header.size;
         }
+        this.pending = buffer.slice(offset);
+    };
+
+    function parseFrameHeader(bytes, offset) {
+        if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+        var version      = (bytes[offset + 1] >> 3) & 3;
+        var bitrateIndex = bytes[offset + 2] >> 4;
+        var rateIndex    = (bytes[offset + 2] >> 2) & 3;
+        if (version === 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
 
+        var bitrate    = BITRATES[version][bitrateIndex];
+        var sampleRate = SAMPLE_RATES[version][rateIndex];
+        var padding    = (bytes[offset + 2] >> 1) & 1;
+        var samples    = version === MPEG1 ? 1152 : 576;
+
+        return {
+            version:    version,
+            bitrate:    bitrate,
+            sampleRate: sampleRate,
+            channels:   (bytes[offset + 3] >> 6) === 3 ? 1 : 2,
+            protected:  (bytes[offset + 1] & 1) === 0,
+            samples:    samples,
+            size:       Math.floor(samples / 8 * bitrate * 1000 / sampleRate) + padding
+        };
+    }
+
+    // ---- output and Xing/Info tag ------------------------------------------
+
+    /**
+     * Collects output frames.  Frames before keepFrom and after keepCount
+     * more (unless keepCount is -1) are skipped; see splitSegments.
+     */
+    function FrameCollector(keepFrom, keepCount) {
+        this.keepFrom = keepFrom;
+        this.keepCount = keepCount;
+        this.position = 0;
+        this.parts = [];
+        this.sizes = [];
+        this.totalBytes = 0;
+        this.musicCrc = 0;
+        this.firstFrame = null;
+    }
+
+    FrameCollector.prototype.wants = function () {
+        return this.position >= this.keepFrom &&
+            (this.keepCount < 0 || this.position < this.keepFrom + this.keepCount);
+    };
+
+    FrameCollector.prototype.skip = function () {
+        this.position++;
+    };
+
+    FrameCollector.prototype.add = function (frame) {
+        if (!this.firstFrame) this.firstFrame = frame;
+        this.position++;
+        this.parts.push(frame.bytes);
+        this.sizes.push(frame.bytes.length);
+        this.totalBytes += frame.bytes.length;
+        this.musicCrc = crc16(this.musicCrc, frame.bytes, 0, frame.bytes.length);
+    };
+
+    /** Append the frames of an encoded segment */
+    FrameCollector.prototype.addSegment = function (segment) {
+        var data = segment.data;
+        if (!data.length) return;
+        if (!this.firstFrame) {
+            this.firstFrame = { header: parseFrameHeader(data, 0), bytes: data.subarray(0, segment.sizes[0]) };
+        }
+        this.parts.push(data);
+        for (var i = 0; i < segment.sizes.length; i++) {
+            this.sizes.push(segment.sizes[i]);
+        }
+        this.totalBytes += data.length;
+        this.musicCrc = crc16(this.musicCrc, data, 0, data.length);
+    };
+
+    /** The collected frames, without a tag, for assembleMp3 */
+    FrameCollector.prototype.toSegment = function () {
+        return { data: this.concat(0), sizes: new Uint32Array(this.sizes) };
+    };
+
+    FrameCollector.prototype.concat = function (offset) {
+        var result = new Uint8Array(offset + this.totalBytes);
+        for (var i = 0; i < this.parts.length; i++) {
+            result.set(this.parts[i], offset);
+            offset += this.parts[i].length;
+        }
+        return result;
+    };
+
+    /**
+     * Combines the frames into a file, preceded by a Xing (VBR/ABR) or
+     * Info (CBR) tag frame with the frame count, seek table and LAME
+     * extension, so players show the right duration and trim the encoder
+     * delay and padding
+     */
+    FrameCollector.prototype.finish = function (info) {
+        var tag = this.firstFrame ? this.buildTagFrame(info) : null;
+        var result = this.concat(tag ? tag.length : 0);
+        if (tag) {
+            result.set(tag, 0);
+        }
         return result;
     };
+
+    FrameCollector.prototype.buildTagFrame = function (info) {
+        var first = this.firstFrame;
+        var header = first.header;
+        var lsf = header.version !== MPEG1;
+
+        var tagBitrate = info.mode === 'cbr' ? header.bitrate : TAG_BITRATES[header.version];
+        var frameSize = Math.floor(header.samples / 8 * tagBitrate * 1000 / header.sampleRate);
+        var sideInfoSize = lsf ? (header.channels === 1 ? 9 : 17) : (header.channels === 1 ? 17 : 32);
+        var start = 4 + sideInfoSize;
+        if (frameSize < start + TAG_SIZE) {
+            return null; // Too small to hold the tag (very low CBR bitrates)
+        }
+
+        var bytes = new Uint8Array(frameSize);
+        var view = new DataView(bytes.buffer);
+
+        // Frame header: same stream parameters, no CRC, no padding, no joint stereo extension
+        bytes[0] = 0xFF;
+        bytes[1] = first.bytes[1] | 1;
+        bytes[2] = (BITRATES[header.version].indexOf(tagBitrate) << 4) | (first.bytes[2] & 0x0D);
+        bytes[3] = first.bytes[3] & 0xCF;
+
+        var frameCount = this.sizes.length;
+        var offset = start;
+        writeString(bytes, offset, info.mode === 'cbr' ? 'Info' : 'Xing');
+        view.setUint32(offset + 4, 0x0F);                         // frames, bytes, TOC, quality present
+        view.setUint32(offset + 8, frameCount);
+        view.setUint32(offset + 12, frameSize + this.totalBytes);
+        this.writeSeekTable(bytes, offset + 16);
+        var quality = info.mode === 'vbr' ? 100 - 10 * info.quality - 3 : 57;
+        view.setUint32(offset + 116, quality);
+        offset += 120;
+
+        // LAME extension
+        var padding = Math.max(0, Math.min(0xFFF, frameCount * header.samples - ENCODER_DELAY - info.numSamples));
+        var method = { cbr: 1, abr: 2, vbr: 4 }[info.mode];
+        var stereoMode = header.channels === 1 ? 0 : 1;
+        var inputRate = info.sourceSampleRate;
+        var sourceRate = inputRate <= 32000 ? 0 : inputRate === 44100 ? 1 : inputRate === 48000 ? 2 : 3;
+
+        writeString(bytes, offset, LAME_VERSION);
+        bytes[offset + 9] = method;                               // tag revision 0, VBR method
+        bytes[offset + 10] = 0;                                   // lowpass unknown
+        // peak amplitude and replay gains stay 0 (not computed)
+        bytes[offset + 19] = 0;                                   // encoding flags / ATH type
+        bytes[offset + 20] = Math.min(255, info.bitrate);         // ABR/CBR bitrate or VBR minimum
+        bytes[offset + 21] = ENCODER_DELAY >> 4;
+        bytes[offset + 22] = ((ENCODER_DELAY & 0x0F) << 4) | (padding >> 8);
+        bytes[offset + 23] = padding & 0xFF;
+        // noise shaping 1, stereo mode, non-optimal (reservoir disabled), source rate
+        bytes[offset + 24] = 1 | (stereoMode << 2) | (1 << 5) | (sourceRate << 6);
+        view.setUint32(offset + 28, frameSize + this.totalBytes);  // music length
+        view.setUint16(offset + 32, this.musicCrc);
+        view.setUint16(offset + 34, crc16(0, bytes, 0, offset + 34));
+        return bytes;
+    };
+
+    /** Xing TOC: file position at each percent of the duration, in 1/256ths */
+    FrameCollector.prototype.writeSeekTable = function (bytes, offset) {
+        var frameCount = this.sizes.length;
+        var position = 0;
+        var frame = 0;
+        for (var i = 0; i < 100; i++) {
+            var target = Math.floor(i / 100 * frameCount);
+            while (frame < target) {
+                position += this.sizes[frame++];
+            }
+            bytes[offset + i] = Math.min(255, Math.floor(256 * position / this.totalBytes));
+        }
+    };
+
+    function writeString(bytes, offset, text) {
+        for (var i = 0; i < text.length; i++) {
+            bytes[offset + i] = text.charCodeAt(i);
+        }
+    }
+
+    /** CRC-16 (polynomial 0x8005, reflected) as used by the LAME tag */
+    function buildCrc16Table() {
+        var table = new Uint16Array(256);
+        for (var i = 0; i < 256; i++) {
+            var value = i;
+            for (var bit = 0; bit < 8; bit++) {
+                value = value & 1 ? (value >>> 1) ^ 0xA001 : value >>> 1;
+            }
+            table[i] = value;
+        }
+        return table;
+    }
+
+    function crc16(crc, bytes, start, end) {
+        for (var i = start; i < end; i++) {
+            crc = (crc >>> 8) ^ CRC16_TABLE[(crc ^ bytes[i]) & 0xFF];
+        }
+        return crc;
+    }
 })(typeof self !== 'undefined' ? self : this);
@@ -1,11 +1,13 @@
 /**
  * MP3 Encoder – main-thread fallback
  *
- * Used only when the Web Worker path is unavailable (e.g. iOS Safari
- * blocking importScripts from a CDN).  The actual encoding algorithm
- * lives in mp3-core.js to avoid duplication with the worker.
+ * Used only when the Web Worker path is unavailable.  The actual encoding
+ * algorithm lives in mp3-core.js to avoid duplication with the worker.
  */
 
+import { loadScript } from './load-script.js';
+import { config } from '../config.js';
+
 export class Mp3Encoder {
     constructor() {
         this.initialized = false;
@@ -17,13 +19,25 @@ export class Mp3Encoder {
     async init() {
         if (this.initialized) return;
 
-        await this._loadScript(
-            'https://cdn.jsdelivr.net/npm/lamejs@1.2.1/lame.min.js',
-            () => !!window.lamejs,
-            'lamejs'
+        try {
+            await loadScript(
+                new URL('../vendor/lamejs/lame.min.js', import.meta.url).href,
+                () => !!window.lamejs,
+                'lamejs'
+            );
+        } catch (error) {
+            if (!config.lamejsCdnFallback) throw error;
+            console.warn('Bundled lamejs failed to load, trying CDN fallback:', error.message);
+            await loadScript(config.lamejsCdnFallback, () => !!window.lamejs, 'lamejs');
+        }
+
+        await loadScript(
+            new URL('./resample-core.js', import.meta.url).href,
+            () => typeof window.resampleChannel === 'function',
+            'resample-core'
         );
 
-        await this._loadScript(
+        await loadScript(
             // Resolve relative to the current module location
             new URL('./mp3-core.js', import.meta.url).href,
             () => typeof window.encodeMp3 === 'function',
@@ -38,51 +52,26 @@ export class Mp3Encoder {
      *
      * @param {Float32Array[]} channels
      * @param {number} sampleRate
-     * @param {number} bitrate – kbps (128 | 192 | 256 | 320)
+     * @param {Object|number} options – {mode, bitrate, quality, mono, sampleRate}
+     *   (see mp3-core.js), or a CBR bitrate in kbps
      * @returns {Promise<Uint8Array>}
      */
-    async encode(channels, sampleRate, bitrate = 192) {
+    async encode(channels, sampleRate, options = 192) {
         if (!this.initialized) {
             await this.init();
         }
 
         // Delegate to the shared encoding function.
         // Wrap in a micro-task so the caller can treat it as async.
-        return window.encodeMp3(channels, sampleRate, bitrate);
+        return window.encodeMp3(channels, sampleRate, options);
     }
 
     /** Supported bitrates. */
     getSupportedBitrates() {
-        return [128, 192, 256, 320];
+        return [32, 48, 64, 96, 128, 192, 256, 320];
     }
 
     isInitialized() {
         return this.initialized;
     }
-
-    // ---- internal helpers ------------------------------------------------
-
-    /**
-     * Dynamically load a <script> tag and wait for the expected global.
-     */
-    _loadScript(src, checkFn, label) {
-        return new Promise((resolve, reject) => {
-            if (checkFn()) {
-                resolve();
-                return;
-            }
-
-            const script = document.createElement('script');
-            script.src = src;
-            script.onload = () => {
-                if (checkFn()) {
-                    resolve();
-                } else {
-                    reject(new Error(`${label} library not available after load`));
-                }
-            };
-            script.onerror = () => reject(new Error(`Failed to load ${label} library`));
-            document.head.appendChild(script);
-        });
-    }
 }
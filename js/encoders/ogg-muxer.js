@@ -0,0 +1,230 @@
+/**
+ * Ogg Opus muxer (RFC 7845)
+ *
+ * Wraps Opus packets in Ogg pages: an identification header (OpusHead),
+ * a comment header (OpusTags) and the audio pages.  Granule positions
+ * count every 48 kHz sample decoded so far, starting from zero (so the
+ * encoder's pre-skip is part of the count, not added to it), and the
+ * last page's granule position trims the padding of the final packet.
+ */
+
+// Flush an audio page once it holds this many bytes...
+const PAGE_TARGET_BYTES = 4096;
+// ...or spans this many 48 kHz samples (one second)
+const PAGE_TARGET_SAMPLES = 48000;
+
+// Lacing values per page
+const MAX_SEGMENTS = 255;
+
+const FLAG_FIRST = 0x02;
+const FLAG_LAST = 0x04;
+
+// CRC-32 with polynomial 0x04C11DB7, unreflected, as Ogg uses
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    CRC_TABLE[i] = crc >>> 0;
+}
+
+/**
+ * Builds an OpusHead identification header for mono or stereo
+ * @param {Object} options
+ * @param {number} options.numberOfChannels - 1 or 2
+ * @param {number} options.preSkip - Samples (at 48 kHz) to drop at the start
+ * @param {number} options.inputSampleRate - Sample rate of the original audio, informational
+ * @returns {Uint8Array}
+ */
+export function buildOpusHead({ numberOfChannels, preSkip, inputSampleRate }) {
+    const bytes = new Uint8Array(19);
+    const view = new DataView(bytes.buffer);
+    writeString(bytes, 0, 'OpusHead');
+    bytes[8] = 1;                                   // Version
+    bytes[9] = numberOfChannels;
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true);
+    view.setInt16(16, 0, true);                     // Output gain
+    bytes[18] = 0;                                  // Channel mapping family (mono/stereo)
+    return bytes;
+}
+
+/**
+ * Reads the pre-skip from an OpusHead header
+ * @param {Uint8Array} head
+ * @returns {number|null} Pre-skip in 48 kHz samples, or null if this is not an OpusHead
+ */
+export function readOpusPreSkip(head) {
+    if (!head || head.length < 19 || String.fromCharCode(...head.subarray(0, 8)) !== 'OpusHead') {
+        return null;
+    }
+    return head[10] | (head[11] << 8);
+}
+
+/**
+ * Number of 48 kHz samples an Opus packet decodes to (RFC 6716, 3.1)
+ * @param {Uint8Array} packet
+ * @returns {number}
+ */
+export function opusPacketSamples(packet) {
+    if (!packet.length) return 0;
+
+    const toc = packet[0];
+    const config = toc >> 3;
+    let frameSize;
+    if (config < 12) {
+        // SILK: 10, 20, 40, 60 ms
+        frameSize = [480, 960, 1920, 2880][config & 3];
+    } else if (config < 16) {
+        // Hybrid: 10, 20 ms
+        frameSize = config & 1 ? 960 : 480;
+    } else {
+        // CELT: 2.5, 5, 10, 20 ms
+        frameSize = 120 << (config & 3);
+    }
+
+    let frames;
+    switch (toc & 3) {
+        case 0: frames = 1; break;
+        case 1:
+        case 2: frames = 2; break;
+        default: frames = packet.length > 1 ? packet[1] & 0x3F : 0;
+    }
+    return frames * frameSize;
+}
+
+/**
+ * Assembles an Ogg Opus file
+ * @param {Object} stream
+ * @param {Uint8Array} stream.head - OpusHead header
+ * @param {Uint8Array[]} stream.packets - Opus packets in order
+ * @param {number} stream.length - Samples (at 48 kHz) of audio to play after the pre-skip
+ * @param {string} [stream.vendor] - Vendor string for OpusTags
+ * @returns {Uint8Array[]} File contents, in parts
+ */
+export function muxOggOpus({ head, packets, length, vendor = 'Audio Cropper' }) {
+    const preSkip = readOpusPreSkip(head) || 0;
+    const serial = (Math.random() * 0x100000000) >>> 0;
+    const pages = [];
+    let sequence = 0;
+
+    const writePage = (segments, granule, flags) => {
+        pages.push(buildPage(segments, granule, serial, sequence++, flags));
+    };
+
+    // Each header packet goes on a page of its own
+    writePage(lacePacket(head), 0, FLAG_FIRST);
+    writePage(lacePacket(buildOpusTags(vendor)), 0, 0);
+
+    // Audio pages end on packet boundaries (an Opus packet never needs more
+    // than 255 lacing segments); the final granule position marks where
+    // playback ends
+    const end = preSkip + length;
+    let granule = 0;
+    let pending = [];
+    let pendingBytes = 0;
+    let pendingSamples = 0;
+    const flush = (flags) => {
+        writePage(pending, flags & FLAG_LAST ? Math.min(granule, end) : granule, flags);
+        pending = [];
+        pendingBytes = 0;
+        pendingSamples = 0;
+    };
+
+    packets.forEach((packet, i) => {
+        const segments = lacePacket(packet);
+        const samples = opusPacketSamples(packet);
+        if (pending.length + segments.length > MAX_SEGMENTS) {
+            flush(0);
+        }
+        pending.push(...segments);
+        pendingBytes += packet.length;
+        pendingSamples += samples;
+        granule += samples;
+        if (i === packets.length - 1) {
+            flush(FLAG_LAST);
+        } else if (pendingBytes >= PAGE_TARGET_BYTES || pendingSamples >= PAGE_TARGET_SAMPLES) {
+            flush(0);
+        }
+    });
+    if (!packets.length) {
+        writePage([], 0, FLAG_LAST);
+    }
+    return pages;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function writeString(bytes, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        bytes[offset + i] = string.charCodeAt(i);
+    }
+}
+
+function buildOpusTags(vendor) {
+    const vendorBytes = new TextEncoder().encode(vendor);
+    const bytes = new Uint8Array(8 + 4 + vendorBytes.length + 4);
+    const view = new DataView(bytes.buffer);
+    writeString(bytes, 0, 'OpusTags');
+    view.setUint32(8, vendorBytes.length, true);
+    bytes.set(vendorBytes, 12);
+    view.setUint32(12 + vendorBytes.length, 0, true); // No user comments
+    return bytes;
+}
+
+/**
+ * Splits a packet into lacing segments of up to 255 bytes; a packet that
+ * is a multiple of 255 bytes long ends with an empty segment
+ */
+function lacePacket(packet) {
+    const segments = [];
+    let offset = 0;
+    while (packet.length - offset >= 255) {
+        segments.push(packet.subarray(offset, offset + 255));
+        offset += 255;
+    }
+    segments.push(packet.subarray(offset));
+    return segments;
+}
+
+/**
+ * Builds one Ogg page
+ * @param {Uint8Array[]} segments - Lacing segments
+ * @param {number} granule - Granule position
+ * @param {number} serial - Stream serial number
+ * @param {number} sequence - Page sequence number
+ * @param {number} flags - Header type flags
+ * @returns {Uint8Array}
+ */
+function buildPage(segments, granule, serial, sequence, flags) {
+    const dataSize = segments.reduce((sum, segment) => sum + segment.length, 0);
+    const page = new Uint8Array(27 + segments.length + dataSize);
+    const view = new DataView(page.buffer);
+
+    writeString(page, 0, 'OggS');
+    page[4] = 0;                                    // Version
+    page[5] = flags;
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    page[26] = segments.length;
+
+    let offset = 27;
+    for (const segment of segments) {
+        page[offset++] = segment.length;
+    }
+    for (const segment of segments) {
+        page.set(segment, offset);
+        offset += segment.length;
+    }
+
+    // Checksum over the whole page with the CRC field zeroed
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+        crc = (crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xFF];
+    }
+    view.setUint32(22, crc >>> 0, true);
+    return page;
+}
@@ -0,0 +1,253 @@
+/**
+ * Opus encoding for Ogg (.opus) and WebM (.webm) exports
+ *
+ * Uses the browser's Opus encoder through WebCodecs (AudioEncoder) and
+ * muxes the packets with ogg-muxer.js / webm-muxer.js.  Where WebCodecs
+ * isn't available, the audio is played into a MediaRecorder instead,
+ * which takes as long as the audio lasts and produces whichever of the
+ * two containers the browser records.
+ */
+
+import { resampleChannels } from './pcm-convert.js';
+import { buildOpusHead, readOpusPreSkip, opusPacketSamples, muxOggOpus } from './ogg-muxer.js';
+import { muxWebmOpus } from './webm-muxer.js';
+
+// Opus always runs at 48 kHz
+const OPUS_SAMPLE_RATE = 48000;
+
+// libopus lookahead at 48 kHz, used when the encoder doesn't report its pre-skip
+const DEFAULT_PRE_SKIP = 312;
+
+// Sample frames handed to the encoder at a time, and how many such
+// blocks may wait in its queue
+const BLOCK_FRAMES = 48000;
+const MAX_QUEUED_BLOCKS = 4;
+
+// Bitrates (kbps) up to this are tuned for speech
+const MAX_SPEECH_BITRATE = 48;
+
+const CONTAINERS = {
+    ogg: { mimeType: 'audio/ogg', extension: 'opus' },
+    webm: { mimeType: 'audio/webm', extension: 'webm' }
+};
+
+/**
+ * Checks how (and whether) this browser can encode Opus
+ * @param {number} numberOfChannels - Channels to encode
+ * @returns {Promise<string|null>} 'webcodecs', 'mediarecorder' or null
+ */
+export async function getOpusSupport(numberOfChannels = 2) {
+    if (typeof AudioEncoder === 'function') {
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported({
+                codec: 'opus',
+                sampleRate: OPUS_SAMPLE_RATE,
+                numberOfChannels,
+                bitrate: 96000
+            });
+            if (supported) return 'webcodecs';
+        } catch (error) {
+            console.warn('Opus AudioEncoder check failed:', error);
+        }
+    }
+    if (typeof MediaRecorder === 'function' && Object.keys(CONTAINERS).some(
+        container => MediaRecorder.isTypeSupported(`${CONTAINERS[container].mimeType};codecs=opus`))) {
+        return 'mediarecorder';
+    }
+    return null;
+}
+
+/**
+ * Encodes audio to Opus
+ * @param {Float32Array[]} channels - Channel data (mono or stereo)
+ * @param {number} sampleRate - Sample rate of the channel data
+ * @param {Object} options
+ * @param {number} options.bitrate - Bitrate in kbps
+ * @param {string} options.container - 'ogg' or 'webm'
+ * @param {function(number)} [onProgress] - Called with 0-100
+ * @param {AbortSignal} [signal] - Stops encoding (rejecting with an AbortError) when aborted
+ * @returns {Promise<{data: Blob, mimeType: string, extension: string}>}
+ */
+export async function encodeOpus(channels, sampleRate, { bitrate = 96, container = 'ogg' } = {}, onProgress = null, signal = null) {
+    if (channels.length > 2) {
+        throw new Error('Opus export supports mono and stereo. Choose a mono channel layout for this file.');
+    }
+
+    const support = await getOpusSupport(channels.length);
+    if (support === 'webcodecs') {
+        // Resampling to 48 kHz takes the first part of the progress
+        const share = sampleRate === OPUS_SAMPLE_RATE ? 0 : 30;
+        const input = await resampleChannels(channels, sampleRate, OPUS_SAMPLE_RATE, {
+            signal,
+            onProgress: onProgress ? (p) => onProgress(p * share / 100) : null
+        });
+        const stream = await encodeWithWebCodecs(input, bitrate, (p) => {
+            if (onProgress) onProgress(share + p * (100 - share) / 100);
+        }, signal);
+
+        const head = buildOpusHead({
+            numberOfChannels: input.length,
+            preSkip: readOpusPreSkip(stream.description) || DEFAULT_PRE_SKIP,
+            inputSampleRate: sampleRate
+        });
+        const muxed = { head, packets: stream.packets, length: input[0].length, numberOfChannels: input.length };
+        const { mimeType, extension } = CONTAINERS[container];
+        const parts = container === 'webm' ? muxWebmOpus(muxed) : muxOggOpus(muxed);
+        return { data: new Blob(parts, { type: mimeType }), mimeType, extension };
+    }
+
+    if (support === 'mediarecorder') {
+        return recordOpus(channels, sampleRate, bitrate, container, onProgress, signal);
+    }
+    throw new Error('This browser cannot encode Opus. Please try MP3 export instead.');
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Runs 48 kHz audio through a WebCodecs AudioEncoder
+ * @returns {Promise<{packets: Uint8Array[], description: Uint8Array|null}>}
+ */
+async function encodeWithWebCodecs(channels, bitrate, onProgress, signal) {
+    const numberOfChannels = channels.length;
+    const length = channels[0].length;
+    const packets = [];
+    let description = null;
+    let encodedFrames = 0;
+    let failure = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            const packet = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(packet);
+            packets.push(packet);
+            if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+                description = new Uint8Array(metadata.decoderConfig.description);
+            }
+            encodedFrames += opusPacketSamples(packet);
+            onProgress(Math.min(100, encodedFrames / length * 100));
+        },
+        error: (error) => {
+            failure = error;
+        }
+    });
+
+    try {
+        encoder.configure({
+            codec: 'opus',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels,
+            bitrate: bitrate * 1000,
+            opus: {
+                format: 'opus',
+                signal: bitrate <= MAX_SPEECH_BITRATE ? 'voice' : 'music',
+                application: bitrate <= MAX_SPEECH_BITRATE ? 'voip' : 'audio'
+            }
+        });
+
+        for (let from = 0; from < length; from += BLOCK_FRAMES) {
+            if (signal) signal.throwIfAborted();
+            if (failure) throw failure;
+
+            // AudioData takes planar samples as one buffer, channel after channel
+            const frames = Math.min(BLOCK_FRAMES, length - from);
+            const planar = new Float32Array(frames * numberOfChannels);
+            channels.forEach((data, channel) => {
+                planar.set(data.subarray(from, from + frames), channel * frames);
+            });
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: OPUS_SAMPLE_RATE,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round(from / OPUS_SAMPLE_RATE * 1e6),
+                data: planar
+            });
+            encoder.encode(audioData);
+            audioData.close();
+
+            // Don't run ahead of the encoder
+            while (encoder.encodeQueueSize > MAX_QUEUED_BLOCKS && !failure) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        }
+
+        await encoder.flush();
+        if (failure) throw failure;
+        return { packets, description };
+    } finally {
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+    }
+}
+
+/**
+ * Plays the audio into a MediaRecorder (real time, silently)
+ * @returns {Promise<{data: Blob, mimeType: string, extension: string}>}
+ */
+async function recordOpus(channels, sampleRate, bitrate, container, onProgress, signal) {
+    // Use the requested container if the browser records it, otherwise the other one
+    const preferred = [container, ...Object.keys(CONTAINERS).filter(name => name !== container)];
+    const recorded = preferred.find(name => MediaRecorder.isTypeSupported(`${CONTAINERS[name].mimeType};codecs=opus`));
+    const { mimeType, extension } = CONTAINERS[recorded];
+
+    const context = new AudioContext();
+    try {
+        await context.resume();
+        const buffer = context.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((data, channel) => buffer.copyToChannel(data, channel));
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        const destination = context.createMediaStreamDestination();
+        destination.channelCount = channels.length;
+        source.connect(destination);
+
+        const recorder = new MediaRecorder(destination.stream, {
+            mimeType: `${mimeType};codecs=opus`,
+            audioBitsPerSecond: bitrate * 1000
+        });
+        const parts = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) parts.push(e.data);
+        };
+
+        if (signal) signal.throwIfAborted();
+        await new Promise((resolve, reject) => {
+            const startTime = context.currentTime;
+            const timer = setInterval(() => {
+                if (onProgress) onProgress(Math.min(100, (context.currentTime - startTime) / buffer.duration * 100));
+            }, 250);
+            const onAbort = () => {
+                source.onended = null;
+                source.stop();
+                recorder.onstop = null;
+                recorder.stop();
+                clearInterval(timer);
+                reject(signal.reason);
+            };
+
+            recorder.onstop = () => {
+                clearInterval(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            recorder.onerror = (e) => {
+                clearInterval(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                reject(e.error || new Error('Recording failed'));
+            };
+            source.onended = () => recorder.stop();
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            recorder.start(1000);
+            source.start();
+        });
+
+        if (onProgress) onProgress(100);
+        return { data: new Blob(parts, { type: mimeType }), mimeType, extension };
+    } finally {
+        context.close();
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Channel layout, edge and sample-rate conversion for exports
+ *
+ * Layouts are rearranged directly, as are edge fades and silence
+ * padding (also readable a block at a time, for the streaming writers).
+ * Resampling uses the windowed-sinc converter in resample-core.js
+ * (shared with the MP3 worker), run in blocks so converting a long
+ * recording doesn't freeze the page.
+ */
+
+import { loadScript } from './load-script.js';
+
+// Output samples converted per block
+const BLOCK_SAMPLES = 64 * 1024;
+
+/**
+ * Rearranges channels for an export
+ * @param {Float32Array[]} channels - Source channels
+ * @param {string} layout - 'keep', 'mono' (downmix), 'left', 'right' or
+ *   'stereo' (the mono downmix on both channels)
+ * @returns {Float32Array[]} Output channels; may share data with the source
+ */
+export function applyChannelLayout(channels, layout = 'keep') {
+    switch (layout) {
+        case 'mono':
+            return [downmix(channels)];
+        case 'left':
+            return [channels[0]];
+        case 'right':
+            return [channels[channels.length > 1 ? 1 : 0]];
+        case 'stereo': {
+            const mono = downmix(channels);
+            return [mono, mono];
+        }
+        default:
+            return channels;
+    }
+}
+
+/**
+ * Number of channels applyChannelLayout returns
+ * @param {number} numberOfChannels - Source channel count
+ * @param {string} layout - As for applyChannelLayout
+ * @returns {number}
+ */
+export function channelCountForLayout(numberOfChannels, layout = 'keep') {
+    if (layout === 'stereo') return 2;
+    if (layout === 'mono' || layout === 'left' || layout === 'right') return 1;
+    return numberOfChannels;
+}
+
+/**
+ * Matches audio to another channel count: mono is copied to every channel,
+ * anything mixed down to mono is downmixed, and otherwise channels are
+ * dropped or repeated in order
+ * @param {Float32Array[]} channels - Source channels
+ * @param {number} numberOfChannels - Channel count wanted
+ * @returns {Float32Array[]} Output channels; may share data with the source
+ */
+export function matchChannelCount(channels, numberOfChannels) {
+    if (channels.length === numberOfChannels) return channels;
+    if (numberOfChannels === 1) return [downmix(channels)];
+    return Array.from({ length: numberOfChannels }, (_, channel) => channels[channel % channels.length]);
+}
+
+/**
+ * Fades the ends of the audio in and out and surrounds it with silence
+ * @param {Float32Array[]} channels - Source channels (left untouched)
+ * @param {number} sampleRate - Sample rate of the channels
+ * @param {Object} edges
+ * @param {number} [edges.fade] - Fade length in seconds at each end of the audio
+ * @param {number} [edges.leadIn] - Seconds of silence before the audio
+ * @param {number} [edges.tail] - Seconds of silence after the audio
+ * @returns {Float32Array[]} New channels, or the source when there's nothing to do
+ */
+export function applyEdges(channels, sampleRate, edges = {}) {
+    const length = channels.length ? channels[0].length : 0;
+    const frames = edgeFrames(length, sampleRate, edges);
+    if (!frames.fade && !frames.leadIn && !frames.tail) return channels;
+    return readEdgedBlock(channels, 0, frames.leadIn + length + frames.tail, frames);
+}
+
+/**
+ * Converts edge lengths to frames, for writers that apply them block by
+ * block (see readEdgedBlock)
+ * @param {number} length - Frames of audio
+ * @param {number} sampleRate - Sample rate of the audio
+ * @param {Object} edges - {fade, leadIn, tail} in seconds, as for applyEdges
+ * @returns {{fade: number, leadIn: number, tail: number}} Lengths in frames
+ */
+export function edgeFrames(length, sampleRate, { fade = 0, leadIn = 0, tail = 0 } = {}) {
+    return {
+        // Each fade gets at most half the audio, so short clips fade in and straight out
+        fade: Math.min(Math.round(fade * sampleRate), Math.floor(length / 2)),
+        leadIn: Math.round(leadIn * sampleRate),
+        tail: Math.round(tail * sampleRate)
+    };
+}
+
+/**
+ * Reads frames of the audio as applyEdges would have them, copying only
+ * blocks that reach into a fade or the silence
+ * @param {Float32Array[]} channels - Source channels (left untouched)
+ * @param {number} from - First frame, counting the leading silence
+ * @param {number} to - End frame (exclusive)
+ * @param {{fade: number, leadIn: number}} frames - From edgeFrames
+ * @returns {Float32Array[]} to - from frames per channel; views into the
+ *   source where nothing changes
+ */
+export function readEdgedBlock(channels, from, to, { fade = 0, leadIn = 0 } = {}) {
+    const length = channels.length ? channels[0].length : 0;
+    const start = from - leadIn;
+    const end = to - leadIn;
+    if (start >= fade && end <= length - fade) {
+        return channels.map(data => data.subarray(start, end));
+    }
+
+    const first = Math.max(0, start);
+    const last = Math.min(length, end);
+    return channels.map(data => {
+        const block = new Float32Array(to - from);
+        if (first >= last) return block;
+        block.set(data.subarray(first, last), first - start);
+        for (let i = first; i < Math.min(last, fade); i++) {
+            block[i - start] *= fadeGain(i, fade);
+        }
+        for (let i = Math.max(first, length - fade); i < last; i++) {
+            block[i - start] *= fadeGain(length - 1 - i, fade);
+        }
+        return block;
+    });
+}
+
+/**
+ * Converts channels to another sample rate, yielding to the page between blocks
+ * @param {Float32Array[]} channels - Source channels
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @param {Object} [options]
+ * @param {function(number)} [options.onProgress] - Called with 0-100
+ * @param {AbortSignal} [options.signal] - Stops converting (rejecting with an AbortError) when aborted
+ * @returns {Promise<Float32Array[]>} Resampled channels (the input if the rates match)
+ */
+export async function resampleChannels(channels, fromRate, toRate, { onProgress = null, signal = null } = {}) {
+    if (fromRate === toRate || !channels.length) return channels;
+
+    await loadScript(
+        new URL('./resample-core.js', import.meta.url).href,
+        () => typeof window.resampleRange === 'function',
+        'resample-core'
+    );
+
+    const length = Math.round(channels[0].length * toRate / fromRate);
+    const margin = window.resampleMargin(fromRate, toRate);
+    const ratio = fromRate / toRate;
+    const distinct = new Set(channels).size;
+    const output = [];
+    let converted = 0;
+
+    let lastYield = performance.now();
+    for (let channel = 0; channel < channels.length; channel++) {
+        // A channel used twice (the 'stereo' layout) is converted once
+        const first = channels.indexOf(channels[channel]);
+        if (first < channel) {
+            output.push(output[first]);
+            continue;
+        }
+
+        const source = channels[channel];
+        const result = new Float32Array(length);
+        for (let from = 0; from < length; from += BLOCK_SAMPLES) {
+            if (signal) signal.throwIfAborted();
+            const to = Math.min(length, from + BLOCK_SAMPLES);
+
+            // The source samples this block needs, including the filter's reach
+            const sourceStart = Math.max(0, Math.floor(from * ratio) - margin);
+            const sourceEnd = Math.min(source.length, Math.ceil(to * ratio) + margin);
+            result.set(window.resampleRange(source.subarray(sourceStart, sourceEnd), sourceStart, fromRate, toRate, from, to), from);
+
+            if (onProgress) onProgress((converted * length + to) / (distinct * length) * 100);
+            // Let the page repaint now and then
+            if (performance.now() - lastYield > 50) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = performance.now();
+            }
+        }
+        output.push(result);
+        converted++;
+    }
+    return output;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Gain of a fade at a frame counted from the end it fades from. Raised
+ * cosine: smooth at both ends, so the fade doesn't click itself.
+ */
+function fadeGain(frame, fadeFrames) {
+    return 0.5 - 0.5 * Math.cos(Math.PI * (frame + 0.5) / fadeFrames);
+}
+
+function downmix(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const length = channels[0].length;
+    const mono = new Float32Array(length);
+    const gain = 1 / channels.length;
+    for (const data of channels) {
+        for (let i = 0; i < length; i++) {
+            mono[i] += data[i] * gain;
+        }
+    }
+    return mono;
+}
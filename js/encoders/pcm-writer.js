@@ -0,0 +1,123 @@
+/**
+ * Headerless (raw) PCM writer
+ *
+ * Integer samples of 8, 16, 24 or 32 bits, signed or unsigned (offset
+ * binary), in either byte order, with channels interleaved frame by frame
+ * or stored one after another (planar).  Written block by block to a sink
+ * like the WAV writer; the sample encoder is shared with the AIFF and WAV
+ * writers.
+ */
+
+import { readEdgedBlock } from './pcm-convert.js';
+
+// Sample frames converted per block
+const BLOCK_FRAMES = 64 * 1024;
+
+/**
+ * Describes a raw PCM sample format
+ * @param {Object} options - {numberOfChannels, length, bitDepth, signed,
+ *   bigEndian, planar, dither}
+ * @returns {Object} Format used by encodePcmSamples / writePcm
+ */
+export function describePcm({ numberOfChannels, length, bitDepth = 16, signed = true, bigEndian = false, planar = false, dither = false }) {
+    const bytesPerSample = bitDepth / 8;
+    return {
+        numberOfChannels,
+        length,
+        bitDepth,
+        bytesPerSample,
+        signed,
+        bigEndian,
+        planar,
+        dither,
+        blockAlign: numberOfChannels * bytesPerSample,
+        dataSize: length * numberOfChannels * bytesPerSample
+    };
+}
+
+/**
+ * Converts a range of frames to interleaved integer samples
+ * @param {Float32Array[]} channels - Source channel data; pass a single
+ *   channel to encode it on its own (planar)
+ * @param {number} from - First frame
+ * @param {number} to - End frame (exclusive)
+ * @param {Object} format - From describePcm
+ * @param {DataView} [view] - Destination; a new buffer is allocated if omitted
+ * @param {number} [offset] - Byte offset into the destination
+ * @returns {DataView} The destination view
+ */
+export function encodePcmSamples(channels, from, to, format, view = null, offset = 0) {
+    const { bitDepth, bytesPerSample, signed, bigEndian, dither } = format;
+    if (!view) {
+        view = new DataView(new ArrayBuffer((to - from) * channels.length * bytesPerSample));
+    }
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    // Unsigned samples are offset so that silence sits mid-range
+    const bias = signed ? 0 : maxValue + 1;
+    const littleEndian = !bigEndian;
+
+    for (let i = from; i < to; i++) {
+        for (let channel = 0; channel < channels.length; channel++) {
+            // Convert float32 (-1 to 1) to an integer of the target depth
+            const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+            let value = sample * maxValue;
+            if (dither) {
+                // TPDF dither: sum of two uniform variables, +-1 LSB peak
+                value += Math.random() - Math.random();
+            }
+            value = Math.max(-maxValue - 1, Math.min(maxValue, Math.round(value))) + bias;
+
+            switch (bitDepth) {
+                case 8:
+                    view.setUint8(offset, value & 0xFF);
+                    break;
+                case 16:
+                    view.setUint16(offset, value & 0xFFFF, littleEndian);
+                    break;
+                case 24:
+                    view.setUint8(offset + (bigEndian ? 2 : 0), value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + (bigEndian ? 0 : 2), (value >> 16) & 0xFF);
+                    break;
+                default:
+                    view.setUint32(offset, value >>> 0, littleEndian);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return view;
+}
+
+/**
+ * Writes raw PCM to a sink, one block at a time
+ * @param {Float32Array[]} channels - Channel data (views into a larger buffer are fine)
+ * @param {Object} options - {bitDepth, signed, bigEndian, planar, dither} as for describePcm,
+ *   and edges: {fade, leadIn, tail} in frames (see edgeFrames), applied while writing
+ * @param {{write: function(Uint8Array): Promise}} sink - Destination
+ * @param {function(number)} [onProgress] - Called with 0-100
+ * @param {AbortSignal} [signal] - Stops writing (rejecting with an AbortError) when aborted
+ */
+export async function writePcm(channels, options, sink, onProgress = null, signal = null) {
+    const edges = options.edges || {};
+    const length = (edges.leadIn || 0) + (channels.length ? channels[0].length : 0) + (edges.tail || 0);
+    const format = describePcm({ ...options, numberOfChannels: channels.length, length });
+
+    // Planar data is each channel in turn; interleaved is all channels at once
+    const passes = format.planar ? channels.map(data => [data]) : [channels];
+    let lastYield = performance.now();
+    for (let pass = 0; pass < passes.length; pass++) {
+        for (let from = 0; from < length; from += BLOCK_FRAMES) {
+            if (signal) signal.throwIfAborted();
+            const to = Math.min(length, from + BLOCK_FRAMES);
+            const view = encodePcmSamples(readEdgedBlock(passes[pass], from, to, edges), 0, to - from, format);
+            await sink.write(new Uint8Array(view.buffer));
+
+            if (onProgress) onProgress((pass + to / length) / passes.length * 100);
+            // Let the page repaint now and then
+            if (performance.now() - lastYield > 50) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = performance.now();
+            }
+        }
+    }
+}
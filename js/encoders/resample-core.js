@@ -0,0 +1,136 @@
+/**
+ * Sample-rate conversion shared between Web Workers and the main thread.
+ *
+ * Plain script (not an ES module) for the same reason as mp3-core.js: it
+ * is loaded with importScripts() in workers and a <script> tag on the
+ * page.  It attaches resampleChannel, resampleRange, resampleMargin and
+ * downmixToMono to the global scope.
+ *
+ * The converter is a windowed-sinc interpolator.  It is slower than the
+ * linear interpolation browsers use when an AudioBufferSourceNode plays a
+ * buffer at a different rate, but it low-passes before decimating, so
+ * downsampling doesn't fold high frequencies back into the audible band.
+ */
+
+(function (global) {
+    // Kernel half-width in zero crossings of the sinc
+    var ZERO_CROSSINGS = 12;
+    // Kernel table entries per zero crossing (values in between are interpolated)
+    var TABLE_RESOLUTION = 256;
+    // Passband edge as a fraction of the lower Nyquist frequency
+    var ROLLOFF = 0.94;
+    // Output samples between progress callbacks
+    var PROGRESS_INTERVAL = 65536;
+
+    var kernelTable = null;
+
+    /** Blackman-windowed sinc, sampled from 0 to ZERO_CROSSINGS */
+    function getKernelTable() {
+        if (kernelTable) return kernelTable;
+
+        var size = ZERO_CROSSINGS * TABLE_RESOLUTION;
+        kernelTable = new Float64Array(size + 2);
+        kernelTable[0] = 1;
+        for (var i = 1; i <= size; i++) {
+            var x = i / TABLE_RESOLUTION;
+            var w = 0.42 + 0.5 * Math.cos(Math.PI * x / ZERO_CROSSINGS) + 0.08 * Math.cos(2 * Math.PI * x / ZERO_CROSSINGS);
+            kernelTable[i] = Math.sin(Math.PI * x) / (Math.PI * x) * w;
+        }
+        // kernelTable[size + 1] stays 0 for the interpolation at the very edge
+        return kernelTable;
+    }
+
+    /**
+     * Convert one channel to another sample rate.
+     *
+     * @param {Float32Array} input
+     * @param {number}       fromRate
+     * @param {number}       toRate
+     * @param {function}     [onProgress] – optional (fraction done: 0‑1) => void
+     * @returns {Float32Array} Resampled data (the input itself if the rates match)
+     */
+    global.resampleChannel = function resampleChannel(input, fromRate, toRate, onProgress) {
+        if (fromRate === toRate) return input;
+        var length = Math.round(input.length * toRate / fromRate);
+        return global.resampleRange(input, 0, fromRate, toRate, 0, length, onProgress);
+    };
+
+    /**
+     * Convert part of a channel: output samples [outStart, outEnd) of what
+     * resampleChannel would return for the whole channel, computed from a
+     * slice of it.  The slice must reach resampleMargin() input samples
+     * past both ends of the range (or to the ends of the channel), which
+     * lets a long channel be resampled in pieces with identical results.
+     *
+     * @param {Float32Array} input       – input samples, starting at inputOffset
+     * @param {number}       inputOffset – position of input[0] in the channel
+     * @param {number}       fromRate
+     * @param {number}       toRate
+     * @param {number}       outStart
+     * @param {number}       outEnd
+     * @param {function}     [onProgress] – optional (fraction done: 0‑1) => void
+     * @returns {Float32Array}
+     */
+    global.resampleRange = function resampleRange(input, inputOffset, fromRate, toRate, outStart, outEnd, onProgress) {
+        var table     = getKernelTable();
+        var step      = fromRate / toRate;                  // input samples per output sample
+        var cutoff    = Math.min(1, toRate / fromRate) * ROLLOFF;
+        var halfWidth = ZERO_CROSSINGS / cutoff;            // in input samples
+        var scale     = cutoff * TABLE_RESOLUTION;          // input distance → table index
+        var inLength  = input.length;
+        var output    = new Float32Array(outEnd - outStart);
+
+        for (var i = 0; i < output.length; i++) {
+            var center = (outStart + i) * step - inputOffset;
+            var first  = Math.max(0, Math.ceil(center - halfWidth));
+            var last   = Math.min(inLength - 1, Math.floor(center + halfWidth));
+            var sum    = 0;
+
+            for (var k = first; k <= last; k++) {
+                var position = Math.abs(k - center) * scale;
+                var index    = position | 0;
+                var frac     = position - index;
+                sum += input[k] * (table[index] + (table[index + 1] - table[index]) * frac);
+            }
+            output[i] = sum * cutoff;
+
+            if (onProgress && i % PROGRESS_INTERVAL === PROGRESS_INTERVAL - 1) {
+                onProgress(i / output.length);
+            }
+        }
+        return output;
+    };
+
+    /**
+     * Input samples on either side of an output sample that contribute to it
+     *
+     * @param {number} fromRate
+     * @param {number} toRate
+     * @returns {number}
+     */
+    global.resampleMargin = function resampleMargin(fromRate, toRate) {
+        return Math.ceil(ZERO_CROSSINGS / (Math.min(1, toRate / fromRate) * ROLLOFF)) + 1;
+    };
+
+    /**
+     * Average all channels into one.
+     *
+     * @param {Float32Array[]} channels
+     * @returns {Float32Array}
+     */
+    global.downmixToMono = function downmixToMono(channels) {
+        if (channels.length === 1) return channels[0];
+
+        var length = channels[0].length;
+        var mono   = new Float32Array(length);
+        var gain   = 1 / channels.length;
+
+        for (var c = 0; c < channels.length; c++) {
+            var data = channels[c];
+            for (var i = 0; i < length; i++) {
+                mono[i] += data[i] * gain;
+            }
+        }
+        return mono;
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,274 @@
+/**
+ * Streaming WAV writer
+ *
+ * Writes a WAV file block by block to a sink instead of into one
+ * ArrayBuffer, so peak memory stays at a block (plus whatever the sink
+ * keeps) however long the audio is.  Two sinks are provided: BlobSink,
+ * which assembles a Blob from parts, and FileStreamSink, which writes to
+ * a File System Access writable stream.
+ */
+
+import { buildCueChunks } from '../metadata/riff.js';
+import { readEdgedBlock } from './pcm-convert.js';
+import { encodePcmSamples } from './pcm-writer.js';
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Bytes 2-15 of the KSDATAFORMAT_SUBTYPE_* GUIDs (the first two hold the format tag)
+const KSDATAFORMAT_GUID_TAIL = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71];
+
+// Default speaker positions for WAVE_FORMAT_EXTENSIBLE, by channel count
+const CHANNEL_MASKS = {
+    1: 0x4,     // FC
+    2: 0x3,     // FL FR
+    3: 0x7,     // FL FR FC
+    4: 0x33,    // FL FR BL BR
+    5: 0x37,    // FL FR FC BL BR
+    6: 0x3F,    // 5.1
+    8: 0x63F    // 7.1
+};
+
+// Sample frames converted per block
+const BLOCK_FRAMES = 64 * 1024;
+
+// Classic RIFF sizes are 32-bit
+const MAX_WAV_SIZE = 0xFFFFFFFF;
+
+/**
+ * Describes the layout of a WAV file
+ * @param {Object} options - {numberOfChannels, sampleRate, length, bitDepth, float, cues}
+ *   with cues as [{time, label}] in seconds
+ * @returns {Object} Layout used by createWavHeader / encodeWavSamples
+ */
+export function describeWav({ numberOfChannels, sampleRate, length, bitDepth = 16, float = false, dither = false, cues = [] }) {
+    const isFloat = float && bitDepth === 32;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    // Integer PCM above 16 bits and layouts beyond stereo need WAVE_FORMAT_EXTENSIBLE;
+    // float data additionally requires a fact chunk
+    const extensible = numberOfChannels > 2 || (bitDepth > 16 && !isFloat);
+    const fmtSize = extensible ? 40 : (isFloat ? 18 : 16);
+    const headerSize = 12 + (8 + fmtSize) + (isFloat ? 12 : 0) + 8;
+
+    // Cue points follow the audio data
+    const trailer = cues.length ? buildCueChunks(cues.map(cue => ({
+        position: Math.min(length, Math.round(cue.time * sampleRate)),
+        label: cue.label
+    }))) : null;
+
+    return {
+        numberOfChannels,
+        sampleRate,
+        length,
+        bitDepth,
+        isFloat,
+        // Integer samples are little-endian, and signed except at 8 bits
+        signed: bitDepth > 8,
+        bigEndian: false,
+        dither: dither && !isFloat,
+        bytesPerSample,
+        blockAlign,
+        dataSize,
+        extensible,
+        fmtSize,
+        headerSize,
+        padding: dataSize % 2, // RIFF chunks are word aligned
+        trailer,
+        fileSize: headerSize + dataSize + (dataSize % 2) + (trailer ? trailer.length : 0)
+    };
+}
+
+/**
+ * Builds the RIFF header, fmt (and fact) chunk and data chunk header
+ * @param {Object} layout - From describeWav
+ * @returns {Uint8Array} Bytes preceding the sample data
+ */
+export function createWavHeader(layout) {
+    const bytes = new Uint8Array(layout.headerSize);
+    const view = new DataView(bytes.buffer);
+    const { numberOfChannels, sampleRate, bitDepth, isFloat, extensible, fmtSize, blockAlign } = layout;
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    const formatTag = extensible ? WAVE_FORMAT_EXTENSIBLE : (isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM);
+
+    writeString(0, 'RIFF');                          // ChunkID
+    view.setUint32(4, layout.fileSize - 8, true);   // ChunkSize
+    writeString(8, 'WAVE');                          // Format
+    writeString(12, 'fmt ');                         // Subchunk1ID
+    view.setUint32(16, fmtSize, true);              // Subchunk1Size
+    view.setUint16(20, formatTag, true);            // AudioFormat
+    view.setUint16(22, numberOfChannels, true);     // NumChannels
+    view.setUint32(24, sampleRate, true);           // SampleRate
+    view.setUint32(28, sampleRate * blockAlign, true); // ByteRate
+    view.setUint16(32, blockAlign, true);           // BlockAlign
+    view.setUint16(34, bitDepth, true);             // BitsPerSample
+
+    let offset = 36;
+    if (extensible) {
+        view.setUint16(36, 22, true);                                   // cbSize
+        view.setUint16(38, bitDepth, true);                             // ValidBitsPerSample
+        view.setUint32(40, CHANNEL_MASKS[numberOfChannels] || 0, true); // ChannelMask
+        // SubFormat GUID: {0000000X-0000-0010-8000-00AA00389B71}
+        view.setUint16(44, isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+        KSDATAFORMAT_GUID_TAIL.forEach((byte, i) => view.setUint8(46 + i, byte));
+        offset = 60;
+    } else if (isFloat) {
+        view.setUint16(36, 0, true);                // cbSize
+        offset = 38;
+    }
+
+    if (isFloat) {
+        writeString(offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, layout.length, true); // Sample frames per channel
+        offset += 12;
+    }
+
+    writeString(offset, 'data');                     // Subchunk2ID
+    view.setUint32(offset + 4, layout.dataSize, true); // Subchunk2Size
+    return bytes;
+}
+
+/**
+ * Converts a range of frames to interleaved WAV sample data
+ * @param {Float32Array[]} channels - Source channel data
+ * @param {number} from - First frame
+ * @param {number} to - End frame (exclusive)
+ * @param {Object} layout - From describeWav
+ * @param {DataView} [view] - Destination; a new buffer is allocated if omitted
+ * @param {number} [offset] - Byte offset into the destination
+ * @returns {DataView} The destination view
+ */
+export function encodeWavSamples(channels, from, to, layout, view = null, offset = 0) {
+    if (!layout.isFloat) {
+        return encodePcmSamples(channels, from, to, layout, view, offset);
+    }
+
+    if (!view) {
+        view = new DataView(new ArrayBuffer((to - from) * layout.blockAlign));
+    }
+    for (let i = from; i < to; i++) {
+        for (let channel = 0; channel < layout.numberOfChannels; channel++) {
+            view.setFloat32(offset, channels[channel][i], true);
+            offset += 4;
+        }
+    }
+    return view;
+}
+
+/**
+ * Writes a complete WAV file to a sink, one block at a time
+ * @param {Float32Array[]} channels - Channel data (views into a larger buffer are fine)
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options - {bitDepth, float, dither, cues} as for describeWav,
+ *   and edges: {fade, leadIn, tail} in frames (see edgeFrames), applied while writing
+ * @param {{write: function(Uint8Array): Promise}} sink - Destination
+ * @param {function(number)} [onProgress] - Called with 0-100
+ * @param {AbortSignal} [signal] - Stops writing (rejecting with an AbortError) when aborted
+ */
+export async function writeWav(channels, sampleRate, options, sink, onProgress = null, signal = null) {
+    const edges = options.edges || {};
+    const length = (edges.leadIn || 0) + (channels.length ? channels[0].length : 0) + (edges.tail || 0);
+    const layout = describeWav({ ...options, numberOfChannels: channels.length, sampleRate, length });
+    if (layout.fileSize > MAX_WAV_SIZE) {
+        throw new Error(`WAV files are limited to 4 GB (${(layout.fileSize / 1024 / 1024 / 1024).toFixed(1)} GB needed)`);
+    }
+
+    await sink.write(createWavHeader(layout));
+
+    let lastYield = performance.now();
+    for (let from = 0; from < length; from += BLOCK_FRAMES) {
+        if (signal) signal.throwIfAborted();
+        const to = Math.min(length, from + BLOCK_FRAMES);
+        const view = encodeWavSamples(readEdgedBlock(channels, from, to, edges), 0, to - from, layout);
+        await sink.write(new Uint8Array(view.buffer));
+
+        if (onProgress) onProgress(to / length * 100);
+        // Let the page repaint now and then
+        if (performance.now() - lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = performance.now();
+        }
+    }
+
+    if (layout.padding) {
+        await sink.write(new Uint8Array(1));
+    }
+    if (layout.trailer) {
+        await sink.write(layout.trailer);
+    }
+}
+
+/**
+ * Collects written data into a Blob. Parts are merged into intermediate
+ * Blobs as they accumulate, which lets the browser move them out of the
+ * JavaScript heap (to disk for large files).
+ */
+export class BlobSink {
+    constructor(flushSize = 16 * 1024 * 1024) {
+        this.flushSize = flushSize;
+        this.blobs = [];
+        this.pending = [];
+        this.pendingSize = 0;
+    }
+
+    async write(bytes) {
+        this.pending.push(bytes);
+        this.pendingSize += bytes.length;
+        if (this.pendingSize >= this.flushSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * @param {string} type - MIME type of the Blob
+     * @returns {Blob} Everything written so far
+     */
+    toBlob(type) {
+        this.flush();
+        return new Blob(this.blobs, { type });
+    }
+
+    flush() {
+        if (this.pending.length) {
+            this.blobs.push(new Blob(this.pending));
+            this.pending = [];
+            this.pendingSize = 0;
+        }
+    }
+}
+
+/**
+ * Writes to a File System Access writable stream
+ * (from FileSystemFileHandle.createWritable())
+ */
+export class FileStreamSink {
+    constructor(writable) {
+        this.writable = writable;
+    }
+
+    async write(bytes) {
+        await this.writable.write(bytes);
+    }
+
+    async close() {
+        await this.writable.close();
+    }
+
+    async abort() {
+        try {
+            await this.writable.abort();
+        } catch (error) {
+            console.warn('Failed to abort file write:', error);
+        }
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * WebM muxer for a single Opus audio track
+ *
+ * Writes a complete file in one pass: EBML header, and a Segment with a
+ * SeekHead, Info, Tracks, Clusters of SimpleBlocks and Cues (one cue per
+ * cluster, so players can seek).  Sizes are all known up front because
+ * every packet is in memory.  The encoder's pre-skip goes into CodecDelay
+ * and the padding of the last packet into DiscardPadding.
+ */
+
+import { opusPacketSamples, readOpusPreSkip } from './ogg-muxer.js';
+
+// Start a new cluster after this many milliseconds
+const CLUSTER_DURATION_MS = 5000;
+
+// Decoders should decode this much before a seek target to converge (80 ms)
+const OPUS_SEEK_PRE_ROLL_NS = 80000000;
+
+// Element IDs (with their length marker bits)
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    DiscardPadding: 0x75A2,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+/**
+ * Assembles a WebM file holding one Opus track
+ * @param {Object} stream
+ * @param {Uint8Array} stream.head - OpusHead header (becomes CodecPrivate)
+ * @param {Uint8Array[]} stream.packets - Opus packets in order
+ * @param {number} stream.length - Samples (at 48 kHz) of audio to play after the pre-skip
+ * @param {number} stream.numberOfChannels - Channel count
+ * @returns {Uint8Array[]} File contents, in parts
+ */
+export function muxWebmOpus({ head, packets, length, numberOfChannels }) {
+    const preSkip = readOpusPreSkip(head) || 0;
+    const appName = 'Audio Cropper';
+
+    const info = element(ID.Info, [
+        uintElement(ID.TimecodeScale, 1000000), // Timecodes in milliseconds
+        stringElement(ID.MuxingApp, appName),
+        stringElement(ID.WritingApp, appName),
+        floatElement(ID.Duration, length / 48)
+    ]);
+
+    const tracks = element(ID.Tracks, [
+        element(ID.TrackEntry, [
+            uintElement(ID.TrackNumber, 1),
+            uintElement(ID.TrackUID, 1 + Math.floor(Math.random() * 0xFFFFFFFF)),
+            uintElement(ID.TrackType, 2), // Audio
+            stringElement(ID.CodecID, 'A_OPUS'),
+            element(ID.CodecPrivate, [head]),
+            uintElement(ID.CodecDelay, Math.round(preSkip / 48000 * 1e9)),
+            uintElement(ID.SeekPreRoll, OPUS_SEEK_PRE_ROLL_NS),
+            element(ID.Audio, [
+                floatElement(ID.SamplingFrequency, 48000),
+                uintElement(ID.Channels, numberOfChannels)
+            ])
+        ])
+    ]);
+
+    // Clusters, remembering where each starts (relative to the first cluster)
+    const clusters = [];
+    const cuePoints = [];
+    const encodedSamples = packets.reduce((sum, packet) => sum + opusPacketSamples(packet), 0);
+    const discardSamples = Math.max(0, encodedSamples - preSkip - length);
+    let clusterOffset = 0;
+    let blocks = [];
+    let clusterTime = 0;
+    let samples = 0;
+
+    const closeCluster = () => {
+        const cluster = element(ID.Cluster, [uintElement(ID.Timecode, clusterTime), ...blocks]);
+        cuePoints.push({ time: clusterTime, offset: clusterOffset });
+        clusters.push(cluster);
+        clusterOffset += cluster.length;
+        blocks = [];
+    };
+
+    packets.forEach((packet, i) => {
+        const time = Math.round(samples / 48);
+        if (blocks.length && time - clusterTime >= CLUSTER_DURATION_MS) {
+            closeCluster();
+        }
+        if (!blocks.length) {
+            clusterTime = time;
+        }
+
+        const isLast = i === packets.length - 1;
+        if (isLast && discardSamples) {
+            blocks.push(element(ID.BlockGroup, [
+                blockElement(ID.Block, packet, time - clusterTime, 0),
+                intElement(ID.DiscardPadding, Math.round(discardSamples / 48000 * 1e9))
+            ]));
+        } else {
+            blocks.push(blockElement(ID.SimpleBlock, packet, time - clusterTime, 0x80)); // Keyframe
+        }
+        samples += opusPacketSamples(packet);
+    });
+    if (blocks.length) {
+        closeCluster();
+    }
+
+    // The SeekHead is written with fixed-size positions, so its own size
+    // doesn't depend on where things end up
+    const seekHeadSize = buildSeekHead(0, 0, 0).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + info.length;
+    const clustersPosition = tracksPosition + tracks.length;
+    const cuesPosition = clustersPosition + clusterOffset;
+
+    const cues = element(ID.Cues, cuePoints.map(point => element(ID.CuePoint, [
+        uintElement(ID.CueTime, point.time),
+        element(ID.CueTrackPositions, [
+            uintElement(ID.CueTrack, 1),
+            uintElement(ID.CueClusterPosition, clustersPosition + point.offset)
+        ])
+    ])));
+
+    const seekHead = buildSeekHead(infoPosition, tracksPosition, cuesPosition);
+    const segmentSize = cuesPosition + cues.length;
+
+    const ebmlHeader = element(ID.EBML, [
+        uintElement(ID.EBMLVersion, 1),
+        uintElement(ID.EBMLReadVersion, 1),
+        uintElement(ID.EBMLMaxIDLength, 4),
+        uintElement(ID.EBMLMaxSizeLength, 8),
+        stringElement(ID.DocType, 'webm'),
+        uintElement(ID.DocTypeVersion, 4),
+        uintElement(ID.DocTypeReadVersion, 2)
+    ]);
+
+    return [
+        ebmlHeader,
+        concat([encodeId(ID.Segment), encodeSize(segmentSize, 8)]),
+        seekHead,
+        info,
+        tracks,
+        ...clusters,
+        cues
+    ];
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function buildSeekHead(infoPosition, tracksPosition, cuesPosition) {
+    const seek = (id, position) => element(ID.Seek, [
+        element(ID.SeekID, [encodeId(id)]),
+        uintElement(ID.SeekPosition, position, 8)
+    ]);
+    return element(ID.SeekHead, [
+        seek(ID.Info, infoPosition),
+        seek(ID.Tracks, tracksPosition),
+        seek(ID.Cues, cuesPosition)
+    ]);
+}
+
+function concat(parts) {
+    const size = parts.reduce((sum, part) => sum + part.length, 0);
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value & 0xFF);
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Encodes an element data size as an EBML variable-length integer
+ * @param {number} size
+ * @param {number} [width] - Byte count; the smallest that fits if omitted
+ */
+function encodeSize(size, width = 0) {
+    if (!width) {
+        width = 1;
+        // All-ones values are reserved (unknown size)
+        while (size >= Math.pow(2, 7 * width) - 1) width++;
+    }
+    const bytes = new Uint8Array(width);
+    let value = size;
+    for (let i = width - 1; i >= 0; i--) {
+        bytes[i] = value & 0xFF;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (width - 1);
+    return bytes;
+}
+
+function element(id, children) {
+    const data = concat(children);
+    return concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+function uintElement(id, value, width = 0) {
+    if (!width) {
+        width = 1;
+        while (value >= Math.pow(2, 8 * width)) width++;
+    }
+    const bytes = new Uint8Array(width);
+    for (let i = width - 1; i >= 0; i--) {
+        bytes[i] = value & 0xFF;
+        value = Math.floor(value / 256);
+    }
+    return element(id, [bytes]);
+}
+
+function intElement(id, value) {
+    // Eight bytes, two's complement; values here stay well inside 2^53
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigInt64(0, BigInt(value));
+    return element(id, [bytes]);
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+/**
+ * Builds a (Simple)Block for track 1
+ * @param {number} id - ID.SimpleBlock or ID.Block
+ * @param {Uint8Array} packet - Frame data
+ * @param {number} timecode - Relative to the cluster timecode, in milliseconds
+ * @param {number} flags - Keyframe flag for SimpleBlock, 0 for Block
+ */
+function blockElement(id, packet, timecode, flags) {
+    const header = new Uint8Array(4);
+    header[0] = 0x81;                               // Track number 1, as a vint
+    new DataView(header.buffer).setInt16(1, timecode);
+    header[3] = flags;
+    return element(id, [header, packet]);
+}
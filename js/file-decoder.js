@@ -0,0 +1,416 @@
+/**
+ * Decoding of large files without holding them in memory whole
+ *
+ * Uncompressed WAV (also RF64/BW64) and AIFF files are parsed in a worker
+ * and copied block by block into the result.  MP3 and FLAC files are cut
+ * at frame boundaries into segments of a few megabytes that the browser
+ * decodes one at a time.  FLAC frames stand on their own; MP3 frames
+ * borrow bits from the ones before them, so each MP3 segment starts a few
+ * frames early and the samples of those frames are dropped again.  Other
+ * formats have no boundaries that are safe to cut at and are left to the
+ * caller to decode whole.
+ */
+
+import { readMpegHeader } from './metadata/audio-format.js';
+import { ascii, dataView, id3v2Size, readBytes } from './metadata/binary.js';
+
+// Encoded bytes handed to decodeAudioData at a time
+const SEGMENT_BYTES = 8 * 1024 * 1024;
+
+// Bytes read at a time while walking MP3 frames or looking for a FLAC frame
+const SCAN_BYTES = 4 * 1024 * 1024;
+const FLAC_SEARCH_BYTES = 64 * 1024;
+
+// Frames decoded ahead of each MP3 segment: enough for the bit reservoir
+// (up to 511 bytes back) and the overlap of the synthesis filter bank
+const MP3_WARMUP_FRAMES = 4;
+
+// Delay of the MP3 decoder itself, trimmed along with the encoder delay
+// from a LAME tag (as LAME and FFmpeg do for gapless playback)
+const MP3_DECODER_DELAY = 529;
+
+// Share of the progress spent walking the MP3 frames before decoding
+const MP3_SCAN_SHARE = 0.1;
+
+/**
+ * Tells whether a file starts like a WAV or AIFF file
+ * @param {Uint8Array} bytes - Start of the file (12 bytes or more)
+ * @returns {boolean}
+ */
+export function isPcmContainer(bytes) {
+    const id = ascii(bytes, 0, 4);
+    const type = ascii(bytes, 8, 4);
+    return ((id === 'RIFF' || id === 'RF64' || id === 'BW64') && type === 'WAVE') ||
+        (id === 'FORM' && (type === 'AIFF' || type === 'AIFC'));
+}
+
+/**
+ * Decodes an uncompressed WAV or AIFF file in a worker
+ * @param {File} file - Audio file
+ * @param {function(number, number)} [onProgress] - Called with the bytes
+ *   read so far and the total
+ * @returns {Promise<AudioBuffer|null>} null if the file's encoding needs
+ *   the browser's own decoder (e.g. A-law, or not PCM at all)
+ */
+export function decodePcmFile(file, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('js/workers/pcm-decoder-worker.js');
+        let audioBuffer = null;
+
+        const finish = (callback, value) => {
+            worker.terminate();
+            callback(value);
+        };
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            try {
+                switch (message.type) {
+                    case 'format':
+                        if (!message.length) {
+                            finish(resolve, null);
+                            break;
+                        }
+                        audioBuffer = new AudioBuffer({
+                            length: message.length,
+                            numberOfChannels: message.numberOfChannels,
+                            sampleRate: message.sampleRate
+                        });
+                        worker.postMessage({ type: 'next' });
+                        break;
+
+                    case 'block':
+                        message.channels.forEach((data, channel) => {
+                            audioBuffer.copyToChannel(data, channel, message.position);
+                        });
+                        if (onProgress) onProgress(message.loaded, message.total);
+                        // One block in flight at a time keeps memory use flat
+                        worker.postMessage({ type: 'next' });
+                        break;
+
+                    case 'done':
+                        finish(resolve, audioBuffer);
+                        break;
+
+                    case 'unsupported':
+                        finish(resolve, null);
+                        break;
+
+                    default:
+                        finish(reject, new Error(message.error || 'PCM decoding failed'));
+                }
+            } catch (error) {
+                // e.g. no memory for an AudioBuffer this long
+                finish(reject, error);
+            }
+        };
+        worker.onerror = (error) => {
+            finish(reject, new Error(`PCM decoder worker failed: ${error.message || 'Unknown error'}`));
+        };
+
+        worker.postMessage({ type: 'decode', file });
+    });
+}
+
+/**
+ * Decodes an MP3 or FLAC file a segment at a time, straight into the result
+ * @param {File} file - Audio file
+ * @param {BaseAudioContext} context - Decodes the segments, at its own rate
+ * @param {function(number)} [onProgress] - Called with 0-1
+ * @returns {Promise<AudioBuffer|null>} null if the file is neither MP3 nor
+ *   FLAC, or can't be split (e.g. a FLAC stream of unknown length)
+ */
+export async function decodeInSegments(file, context, onProgress = null) {
+    const start = await skipId3v2(file);
+    const magic = await readBytes(file, start, 4);
+
+    let plan = null;
+    if (ascii(magic, 0, 4) === 'fLaC') {
+        plan = await planFlacSegments(file, start);
+    } else if (readMpegHeader(magic, 0)) {
+        plan = await planMp3Segments(file, start, onProgress ? fraction => onProgress(fraction * MP3_SCAN_SHARE) : null);
+    }
+    if (!plan || !plan.segments.length) return null;
+
+    const scanShare = plan.header ? 0 : MP3_SCAN_SHARE;
+    const totalBytes = plan.segments[plan.segments.length - 1].end - plan.segments[0].start;
+    let target = null;
+    // Negative while samples at the very start are still to be dropped
+    let position = -plan.skip;
+
+    for (const segment of plan.segments) {
+        let bytes = await readBytes(file, segment.start, segment.end - segment.start);
+        if (plan.header) {
+            const withHeader = new Uint8Array(plan.header.length + bytes.length);
+            withHeader.set(plan.header);
+            withHeader.set(bytes, plan.header.length);
+            bytes = withHeader;
+        }
+        const decoded = await context.decodeAudioData(bytes.buffer);
+        bytes = null;
+
+        if (!target) {
+            target = new AudioBuffer({
+                length: plan.length,
+                numberOfChannels: decoded.numberOfChannels,
+                sampleRate: decoded.sampleRate
+            });
+        }
+
+        // Whatever the warm-up frames decoded to comes first
+        let from = segment.keep === null ? 0 : Math.max(0, decoded.length - segment.keep);
+        if (position < 0) {
+            const skip = Math.min(-position, decoded.length - from);
+            from += skip;
+            position += skip;
+        }
+        const count = Math.min(decoded.length - from, target.length - position);
+        if (count > 0) {
+            for (let channel = 0; channel < target.numberOfChannels; channel++) {
+                const data = decoded.getChannelData(Math.min(channel, decoded.numberOfChannels - 1));
+                target.copyToChannel(data.subarray(from, from + count), channel, position);
+            }
+        }
+        position += decoded.length - from;
+
+        if (onProgress) {
+            const done = (segment.end - plan.segments[0].start) / totalBytes;
+            onProgress(scanShare + done * (1 - scanShare));
+        }
+    }
+    return target;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Walks every MP3 frame (reading only the headers' blocks), counting
+ * samples and closing a segment every SEGMENT_BYTES
+ */
+async function planMp3Segments(file, start, onProgress) {
+    const segments = [];
+    const recent = [];                                      // Starts of the last few frames
+    let first = null;
+    let frames = 0;
+    let skip = 0;
+    let trim = 0;
+    let segmentStart = start;
+    let warmupStart = start;
+    let segmentFrames = 0;
+    let end = start;
+
+    let offset = start;
+    let lastYield = performance.now();
+    scan: while (offset + 4 <= file.size) {
+        const block = await readBytes(file, offset, SCAN_BYTES);
+        let pos = 0;
+        while (pos + 4 <= block.length) {
+            const frame = readMpegHeader(block, pos);
+            const matches = frame && (!first || (frame.samples === first.samples && frame.format.sampleRate === first.format.sampleRate));
+            if (!matches) {
+                // Trailing tags, or damage: look for the next frame
+                if (!first || offset + pos - end > SCAN_BYTES) break scan;
+                pos++;
+                continue;
+            }
+
+            const frameStart = offset + pos;
+            if (!first) {
+                first = frame;
+                // A Xing/Info/VBRI frame carries no audio, only the stream's length
+                // and (in a LAME tag) the encoder delay and padding
+                const tag = readVbrHeader(await readBytes(file, frameStart, frame.length));
+                if (tag) {
+                    skip = tag.delay === null ? 0 : tag.delay + MP3_DECODER_DELAY;
+                    trim = tag.delay === null ? 0 : tag.delay + tag.padding;
+                    pos += frame.length;
+                    segmentStart = warmupStart = end = offset + pos;
+                    continue;
+                }
+            }
+
+            if (frameStart - segmentStart >= SEGMENT_BYTES) {
+                segments.push({ start: warmupStart, end: frameStart, keep: warmupStart === segmentStart ? null : segmentFrames * first.samples });
+                segmentStart = frameStart;
+                warmupStart = recent[0];
+                segmentFrames = 0;
+            }
+            recent.push(frameStart);
+            if (recent.length > MP3_WARMUP_FRAMES) recent.shift();
+
+            frames++;
+            segmentFrames++;
+            pos += frame.length;
+            end = Math.min(file.size, offset + pos);
+        }
+        offset += pos;
+
+        if (onProgress) onProgress(Math.min(1, offset / file.size));
+        // Let the page repaint now and then
+        if (performance.now() - lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = performance.now();
+        }
+    }
+
+    if (!frames) return null;
+    segments.push({ start: warmupStart, end, keep: warmupStart === segmentStart ? null : segmentFrames * first.samples });
+    return { header: null, segments, skip, length: Math.max(1, frames * first.samples - trim) };
+}
+
+/**
+ * Reads a Xing/Info or VBRI header from the first frame of an MP3
+ * @returns {{delay: number|null, padding: number}|null} null if the frame
+ *   holds audio
+ */
+function readVbrHeader(frame) {
+    const version = (frame[1] >> 3) & 0x03;
+    const mono = (frame[3] >> 6) === 3;
+    // The header follows the side information
+    const sideInfo = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const at = 4 + sideInfo;
+
+    const id = ascii(frame, at, 4);
+    if (ascii(frame, 36, 4) === 'VBRI') return { delay: null, padding: 0 };
+    if (id !== 'Xing' && id !== 'Info') return null;
+
+    const flags = dataView(frame).getUint32(at + 4);
+    let lame = at + 8;
+    if (flags & 0x01) lame += 4;                            // Frame count
+    if (flags & 0x02) lame += 4;                            // Byte count
+    if (flags & 0x04) lame += 100;                          // Seek table
+    if (flags & 0x08) lame += 4;                            // Quality
+    const encoder = ascii(frame, lame, 4);
+    if ((encoder !== 'LAME' && encoder !== 'Lavf' && encoder !== 'Lavc') || lame + 24 > frame.length) {
+        return { delay: null, padding: 0 };
+    }
+    // 12 bits of delay and 12 of padding, 21 bytes into the LAME tag
+    return {
+        delay: (frame[lame + 21] << 4) | (frame[lame + 22] >> 4),
+        padding: ((frame[lame + 22] & 0x0F) << 8) | frame[lame + 23]
+    };
+}
+
+/**
+ * Reads the FLAC stream info and finds a frame boundary every SEGMENT_BYTES.
+ * Each segment is decoded behind a copy of the stream info, with the
+ * length and checksum cleared since they describe the whole file.
+ */
+async function planFlacSegments(file, start) {
+    let offset = start + 4;
+    let streamInfo = null;
+    for (let last = false; !last;) {
+        if (offset + 4 > file.size) return null;
+        const header = await readBytes(file, offset, 4);
+        last = (header[0] & 0x80) !== 0;
+        const size = (header[1] << 16) | (header[2] << 8) | header[3];
+        if ((header[0] & 0x7F) === 0 && size >= 34) {
+            streamInfo = await readBytes(file, offset + 4, 34);
+        }
+        offset += 4 + size;
+    }
+    if (!streamInfo) return null;
+
+    // 36 bits of total samples, zero when the encoder didn't know
+    const length = (streamInfo[13] & 0x0F) * 0x100000000 + dataView(streamInfo).getUint32(14);
+    if (!length) return null;
+    const numberOfChannels = ((streamInfo[12] >> 1) & 0x07) + 1;
+
+    const header = new Uint8Array(8 + 34);
+    header.set([0x66, 0x4C, 0x61, 0x43, 0x80, 0, 0, 34]); // "fLaC", last block: STREAMINFO
+    header.set(streamInfo, 8);
+    header[8 + 13] &= 0xF0;
+    header.fill(0, 8 + 14);
+
+    const boundaries = [offset];
+    for (let target = offset + SEGMENT_BYTES; target < file.size; target = boundaries[boundaries.length - 1] + SEGMENT_BYTES) {
+        const boundary = await findFlacFrame(file, target, numberOfChannels);
+        if (boundary === null) break;
+        boundaries.push(boundary);
+    }
+
+    const segments = boundaries.map((boundary, i) => ({
+        start: boundary,
+        end: i + 1 < boundaries.length ? boundaries[i + 1] : file.size,
+        keep: null
+    }));
+    return { header, segments, skip: 0, length };
+}
+
+/**
+ * Finds the first FLAC frame header at or after an offset
+ * @returns {Promise<number|null>} Its offset, or null if there is none
+ */
+async function findFlacFrame(file, from, numberOfChannels) {
+    for (let offset = from; offset < file.size; offset += FLAC_SEARCH_BYTES) {
+        // Overlap the windows so a header across the edge is still seen
+        const bytes = await readBytes(file, offset, FLAC_SEARCH_BYTES + 16);
+        const end = Math.min(bytes.length - 1, FLAC_SEARCH_BYTES);
+        for (let i = 0; i < end; i++) {
+            if (bytes[i] === 0xFF && (bytes[i + 1] & 0xFE) === 0xF8 && isFlacFrameHeader(bytes, i, numberOfChannels)) {
+                return offset + i;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks a FLAC frame header candidate: valid fields, the stream's channel
+ * count and a matching CRC-8, so sync-like bytes in audio data aren't
+ * taken for a frame
+ */
+function isFlacFrameHeader(bytes, offset, numberOfChannels) {
+    if (offset + 6 > bytes.length) return false;
+    const blockCode = bytes[offset + 2] >> 4;
+    const rateCode = bytes[offset + 2] & 0x0F;
+    const channelCode = bytes[offset + 3] >> 4;
+    const sizeCode = (bytes[offset + 3] >> 1) & 0x07;
+    if (blockCode === 0 || rateCode === 15 || channelCode > 10 || sizeCode === 3 || (bytes[offset + 3] & 0x01)) {
+        return false;
+    }
+    if ((channelCode < 8 ? channelCode + 1 : 2) !== numberOfChannels) return false;
+
+    // Frame or sample number, UTF-8 coded
+    let end = offset + 4;
+    const lead = bytes[end];
+    let numberLength = 1;
+    if (lead >= 0x80) {
+        if (lead === 0xFF || (lead & 0xC0) === 0x80) return false;
+        while (lead & (0x80 >> numberLength)) numberLength++;
+    }
+    for (let i = 1; i < numberLength; i++) {
+        if ((bytes[end + i] & 0xC0) !== 0x80) return false;
+    }
+    end += numberLength;
+    if (blockCode === 6) end += 1;
+    if (blockCode === 7) end += 2;
+    if (rateCode === 12) end += 1;
+    if (rateCode === 13 || rateCode === 14) end += 2;
+    if (end >= bytes.length) return false;
+
+    return crc8(bytes, offset, end) === bytes[end];
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Skips any ID3v2 tags at the start of the file
+ * @returns {Promise<number>} Offset of the first byte after them
+ */
+async function skipId3v2(file) {
+    let offset = 0;
+    for (let size; (size = id3v2Size(await readBytes(file, offset, 10)));) {
+        offset += size;
+    }
+    return offset;
+}
@@ -0,0 +1,122 @@
+/**
+ * Queue of files dropped or picked together, opened one at a time
+ */
+
+// Shown next to each file in the list
+const STATUS_LABELS = {
+    pending: 'waiting',
+    loading: 'loading…',
+    loaded: 'open',
+    edited: 'edited',
+    exported: 'exported',
+    failed: 'failed'
+};
+
+export class FileQueue {
+    /**
+     * @param {Object} elements - {panel, list, count, prev, next}; the panel
+     *   is only shown while more than one file is queued
+     * @param {function(number)} onSelect - Called with the index of a file
+     *   the user clicks in the list
+     */
+    constructor(elements, onSelect) {
+        this.elements = elements;
+        this.onSelect = onSelect;
+        // Each item is {file, cueFile, status, state, error}; state holds the
+        // edits of a file that has been opened and left (see the editor)
+        this.items = [];
+        this.currentIndex = -1;
+    }
+
+    /**
+     * Replaces the queue with new files, none of them open yet
+     * @param {Array<{file: File, cueFile: File|null}>} entries
+     */
+    setFiles(entries) {
+        this.items = entries.map(({ file, cueFile }) => ({
+            file,
+            cueFile: cueFile || null,
+            status: 'pending',
+            state: null,
+            error: ''
+        }));
+        this.currentIndex = -1;
+        this.render();
+    }
+
+    get current() {
+        return this.items[this.currentIndex] || null;
+    }
+
+    /**
+     * Marks a file as the open one
+     * @param {number} index
+     */
+    select(index) {
+        this.currentIndex = index;
+        this.render();
+    }
+
+    /**
+     * @param {number} index
+     * @param {string} status - One of the STATUS_LABELS keys
+     * @param {string} [error] - Why the file failed, shown as a tooltip
+     */
+    setStatus(index, status, error = '') {
+        const item = this.items[index];
+        if (!item) return;
+        item.status = status;
+        item.error = error;
+        this.render();
+    }
+
+    hasPrevious() {
+        return this.currentIndex > 0;
+    }
+
+    hasNext() {
+        return this.currentIndex >= 0 && this.currentIndex < this.items.length - 1;
+    }
+
+    /**
+     * Redraws the list, counter and previous/next buttons
+     */
+    render() {
+        const { panel, list, count, prev, next } = this.elements;
+        panel.style.display = this.items.length > 1 ? 'block' : 'none';
+        count.textContent = this.currentIndex >= 0 ? `${this.currentIndex + 1}/${this.items.length}` : `${this.items.length}`;
+        prev.disabled = !this.hasPrevious();
+        next.disabled = !this.hasNext();
+
+        list.innerHTML = '';
+        this.items.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = `file-queue-item status-${item.status}`;
+            if (index === this.currentIndex) {
+                row.classList.add('current');
+            }
+            row.title = item.error || item.file.name;
+
+            const name = document.createElement('span');
+            name.className = 'file-queue-name';
+            name.textContent = item.file.name;
+            const status = document.createElement('span');
+            status.className = 'file-queue-status';
+            status.textContent = STATUS_LABELS[item.status];
+
+            row.append(name, status);
+            row.addEventListener('click', () => this.onSelect(index));
+            list.appendChild(row);
+        });
+
+        // Keep the open file in view in long queues (without scrolling the page)
+        const current = list.children[this.currentIndex];
+        if (current) {
+            if (current.offsetTop < list.scrollTop) {
+                list.scrollTop = current.offsetTop;
+            } else if (current.offsetTop + current.offsetHeight > list.scrollTop + list.clientHeight) {
+                list.scrollTop = current.offsetTop + current.offsetHeight - list.clientHeight;
+            }
+        }
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Export filename templates
+ *
+ * A template is plain text with {token} placeholders, for example
+ * "{name}_{start}s-{end}s".  A token without a value (such as {bitrate}
+ * for a WAV export) is dropped together with the separator in front of
+ * it.  The file extension is added separately.
+ */
+
+export const FILENAME_TOKENS = ['name', 'start', 'end', 'chunk', 'index', 'format', 'bitrate'];
+
+// One template for single-file exports and one for the files inside a chunk ZIP
+export const DEFAULT_FILENAME_TEMPLATES = {
+    current: '{name}_{start}s-{end}s_{bitrate}',
+    chunks: 'chunk_{index}_{start}s-{end}s'
+};
+
+const STORAGE_KEY = 'audioCropper.fileNameTemplates';
+
+/**
+ * Fills in a filename template
+ * @param {string} template - Template text
+ * @param {Object} values - Token values by name; empty or missing values drop the token
+ * @returns {string} A filename without extension, safe to use on common file systems
+ */
+export function expandFileNameTemplate(template, values) {
+    const expanded = template.replace(/([ _.-]?)\{(\w+)\}/g, (match, separator, token) => {
+        if (!FILENAME_TOKENS.includes(token)) return match;
+        const value = values[token];
+        return value === undefined || value === null || value === '' ? '' : separator + value;
+    });
+
+    const name = expanded
+        .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_')
+        .replace(/^[ _.-]+|[ _.-]+$/g, '');
+    return name || 'audio';
+}
+
+/**
+ * Reads the templates used last, falling back to the defaults
+ * @returns {{current: string, chunks: string}}
+ */
+export function loadFileNameTemplates() {
+    try {
+        return { ...DEFAULT_FILENAME_TEMPLATES, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    } catch (error) {
+        console.warn('Could not read saved filename templates:', error);
+        return { ...DEFAULT_FILENAME_TEMPLATES };
+    }
+}
+
+/**
+ * Remembers the templates for the next session
+ * @param {{current: string, chunks: string}} templates
+ */
+export function saveFileNameTemplates(templates) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+    } catch (error) {
+        // Storage can be full or disabled (private browsing); not worth interrupting the export
+        console.warn('Could not save filename templates:', error);
+    }
+}
@@ -0,0 +1,447 @@
+/**
+ * Loudness measurement and normalization (ITU-R BS.1770-4 / EBU R128)
+ *
+ * Integrated loudness is the K-weighted mean square of 400 ms blocks
+ * (75% overlap) that pass an absolute gate at -70 LUFS and a relative
+ * gate 10 LU below the ungated level.  True peak is estimated by 4x
+ * oversampling (2x at 96 kHz and up).  Normalizing applies one gain to
+ * reach the target and then a look-ahead limiter that holds the true
+ * peak under a ceiling.
+ */
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Gating blocks are four 100 ms steps
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = 4;
+
+// True-peak interpolation: taps per phase, centered between two samples
+const INTERPOLATION_TAPS = 12;
+
+// Samples per block when scanning for peaks
+const SCAN_BLOCK = 1024;
+
+// Limiter timing
+const LIMITER_LOOKAHEAD_SECONDS = 0.005;
+const LIMITER_RELEASE_SECONDS = 0.1;
+
+// Limit again with more gain while the result is this many LU short of the target
+const LIMITER_PASSES = 3;
+const LIMITER_TOLERANCE = 0.1;
+
+/**
+ * Measures integrated loudness and true peak
+ * @param {Float32Array[]} channels - Channel data (5.1 in L R C LFE Ls Rs order)
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} [options]
+ * @param {function(number)} [options.onProgress] - Called with 0-100
+ * @param {AbortSignal} [options.signal] - Stops measuring (rejecting with an AbortError) when aborted
+ * @returns {Promise<{integrated: number, truePeak: number}>} LUFS (-Infinity for
+ *   silence) and dBTP
+ */
+export async function measureLoudness(channels, sampleRate, { onProgress = null, signal = null } = {}) {
+    const length = channels.length ? channels[0].length : 0;
+    const step = Math.max(1, Math.round(STEP_SECONDS * sampleRate));
+    const steps = new Float64Array(Math.floor(length / step));
+    const weights = channelWeights(channels.length);
+    const filter = kWeightingCoefficients(sampleRate);
+    const yielder = createYielder(signal);
+
+    // K-weighted energy per 100 ms step, summed over channels with their weights
+    for (let channel = 0; channel < channels.length; channel++) {
+        if (!weights[channel]) continue;
+        const data = channels[channel];
+        const state = new Float64Array(6);
+        for (let s = 0; s < steps.length; s++) {
+            steps[s] += weights[channel] * filterEnergy(data, s * step, (s + 1) * step, filter, state);
+            if (s % 100 === 99) {
+                if (onProgress) onProgress((channel + s / steps.length) / channels.length * 50);
+                await yielder();
+            }
+        }
+    }
+
+    const integrated = gatedLoudness(steps, step, channels, weights, filter);
+    const truePeak = await measureTruePeak(channels, sampleRate, yielder,
+        onProgress ? (p) => onProgress(50 + p / 2) : null);
+    if (onProgress) onProgress(100);
+    return { integrated, truePeak: toDecibels(truePeak) };
+}
+
+/**
+ * Brings audio to a loudness target with a true-peak ceiling
+ * @param {Float32Array[]} channels - Channel data; not modified
+ * @param {number} sampleRate - Sample rate
+ * @param {Object} options
+ * @param {number} options.target - Integrated loudness target in LUFS
+ * @param {number} options.ceiling - True-peak ceiling in dBTP
+ * @param {function(number)} [options.onProgress] - Called with 0-100
+ * @param {AbortSignal} [options.signal] - Stops processing (rejecting with an AbortError) when aborted
+ * @returns {Promise<{channels: Float32Array[], before: Object, after: Object, gain: number}>}
+ *   Normalized channels, measurements from measureLoudness and the gain applied in dB
+ */
+export async function normalizeLoudness(channels, sampleRate, { target, ceiling, onProgress = null, signal = null }) {
+    const progress = (from, to) => onProgress ? (p) => onProgress(from + (to - from) * p / 100) : null;
+
+    const before = await measureLoudness(channels, sampleRate, { onProgress: progress(0, 40), signal });
+    if (before.integrated === -Infinity) {
+        // Silence has no loudness to adjust
+        if (onProgress) onProgress(100);
+        return { channels, before, after: before, gain: 0 };
+    }
+
+    let gain = target - before.integrated;
+    const limit = fromDecibels(ceiling);
+    if (fromDecibels(before.truePeak + gain) <= limit) {
+        const output = await scaleChannels(channels, fromDecibels(gain), createYielder(signal), progress(40, 80));
+        const after = await measureLoudness(output, sampleRate, { onProgress: progress(80, 100), signal });
+        return { channels: output, before, after, gain };
+    }
+
+    // Limiting takes some loudness away; make that up with more gain and
+    // limit again, a couple of times at most
+    let output;
+    let after;
+    for (let pass = 0; pass < LIMITER_PASSES; pass++) {
+        const span = 60 / LIMITER_PASSES;
+        const from = 40 + pass * span;
+        output = await limitChannels(channels, sampleRate, fromDecibels(gain), limit, createYielder(signal),
+            progress(from, from + span * 0.6));
+        after = await measureLoudness(output, sampleRate, { onProgress: progress(from + span * 0.6, from + span), signal });
+        if (target - after.integrated < LIMITER_TOLERANCE) break;
+        gain += target - after.integrated;
+    }
+    if (onProgress) onProgress(100);
+    return { channels: output, before, after, gain };
+}
+
+/**
+ * Formats a loudness value for display
+ * @param {number} value - LUFS or dBTP
+ * @returns {string}
+ */
+export function formatLoudness(value) {
+    return value === -Infinity ? '-∞' : value.toFixed(1);
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function toDecibels(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+function fromDecibels(value) {
+    return Math.pow(10, value / 20);
+}
+
+/**
+ * Returns a function that throws if the signal is aborted and lets the
+ * page repaint now and then
+ */
+function createYielder(signal) {
+    let lastYield = performance.now();
+    return async () => {
+        if (signal) signal.throwIfAborted();
+        if (performance.now() - lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            lastYield = performance.now();
+        }
+    };
+}
+
+/**
+ * BS.1770 channel weights: surround channels count 1.41, LFE not at all
+ */
+function channelWeights(numberOfChannels) {
+    if (numberOfChannels === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    if (numberOfChannels === 5) return [1, 1, 1, 1.41, 1.41];
+    return new Array(numberOfChannels).fill(1);
+}
+
+/**
+ * K-weighting (high shelf followed by high pass) for any sample rate,
+ * as two cascaded biquads. The analog prototypes are those of the
+ * 48 kHz coefficients in BS.1770.
+ * @returns {Float64Array} b0 b1 b2 a1 a2 of the shelf, then of the high pass
+ */
+function kWeightingCoefficients(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = [
+        (Vh + Vb * K / Q + K * K) / a0,
+        2 * (K * K - Vh) / a0,
+        (Vh - Vb * K / Q + K * K) / a0,
+        2 * (K * K - 1) / a0,
+        (1 - K / Q + K * K) / a0
+    ];
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = [1, -2, 1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0];
+    return new Float64Array([...shelf, ...highPass]);
+}
+
+/**
+ * Runs samples [from, to) through the K-weighting filter
+ * @param {Float64Array} state - Filter memory, carried between calls
+ * @returns {number} Sum of squares of the filtered samples
+ */
+function filterEnergy(data, from, to, f, state) {
+    let [x1, x2, y1, y2, z1, z2] = state;
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+        const x = data[i];
+        const y = f[0] * x + f[1] * x1 + f[2] * x2 - f[3] * y1 - f[4] * y2;
+        x2 = x1; x1 = x;
+        const z = f[5] * y + f[6] * y1 + f[7] * y2 - f[8] * z1 - f[9] * z2;
+        y2 = y1; y1 = y;
+        z2 = z1; z1 = z;
+        sum += z * z;
+    }
+    state.set([x1, x2, y1, y2, z1, z2]);
+    return sum;
+}
+
+/**
+ * Applies the two gates to the per-step energies
+ * @returns {number} Integrated loudness in LUFS
+ */
+function gatedLoudness(steps, step, channels, weights, filter) {
+    const blockSize = step * STEPS_PER_BLOCK;
+    const blockCount = steps.length - STEPS_PER_BLOCK + 1;
+    const toLoudness = (power) => power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+
+    if (blockCount < 1) {
+        // Shorter than one gating block: measure the whole clip as one block
+        const length = channels.length ? channels[0].length : 0;
+        if (!length) return -Infinity;
+        let energy = 0;
+        channels.forEach((data, channel) => {
+            if (weights[channel]) {
+                energy += weights[channel] * filterEnergy(data, 0, length, filter, new Float64Array(6));
+            }
+        });
+        const loudness = toLoudness(energy / length);
+        return loudness > ABSOLUTE_GATE ? loudness : -Infinity;
+    }
+
+    const powers = new Float64Array(blockCount);
+    let energy = 0;
+    for (let s = 0; s < steps.length; s++) {
+        energy += steps[s];
+        if (s >= STEPS_PER_BLOCK) energy -= steps[s - STEPS_PER_BLOCK];
+        if (s >= STEPS_PER_BLOCK - 1) powers[s - STEPS_PER_BLOCK + 1] = Math.max(0, energy) / blockSize;
+    }
+
+    const gatedMean = (threshold) => {
+        let sum = 0;
+        let count = 0;
+        for (const power of powers) {
+            if (toLoudness(power) > threshold) {
+                sum += power;
+                count++;
+            }
+        }
+        return count ? sum / count : 0;
+    };
+
+    const ungated = gatedMean(ABSOLUTE_GATE);
+    if (!ungated) return -Infinity;
+    return toLoudness(gatedMean(Math.max(ABSOLUTE_GATE, toLoudness(ungated) + RELATIVE_GATE)));
+}
+
+/**
+ * Interpolation phases for true-peak measurement: for each fractional
+ * position between two samples, windowed-sinc taps over the surrounding
+ * INTERPOLATION_TAPS samples
+ */
+function interpolationPhases(sampleRate) {
+    const factor = sampleRate < 96000 ? 4 : (sampleRate < 192000 ? 2 : 1);
+    const half = INTERPOLATION_TAPS / 2;
+    const phases = [];
+    for (let p = 1; p < factor; p++) {
+        const taps = new Float64Array(INTERPOLATION_TAPS);
+        for (let k = 0; k < INTERPOLATION_TAPS; k++) {
+            const t = p / factor - (k - half + 1);
+            const window = 0.5 * (1 + Math.cos(Math.PI * t / half));
+            taps[k] = Math.sin(Math.PI * t) / (Math.PI * t) * window;
+        }
+        phases.push(taps);
+    }
+    // No interpolated value can exceed the largest nearby sample by more than this
+    const bound = Math.max(1, ...phases.map(taps => taps.reduce((sum, tap) => sum + Math.abs(tap), 0)));
+    return { phases, bound };
+}
+
+/**
+ * Largest magnitude at sample n or between n and n + 1
+ */
+function peakAt(data, n, phases) {
+    let peak = Math.abs(data[n]);
+    const first = n - INTERPOLATION_TAPS / 2 + 1;
+    const interior = first >= 0 && first + INTERPOLATION_TAPS <= data.length;
+    for (const taps of phases) {
+        let value = 0;
+        for (let k = 0; k < INTERPOLATION_TAPS; k++) {
+            if (interior || (first + k >= 0 && first + k < data.length)) {
+                value += data[first + k] * taps[k];
+            }
+        }
+        peak = Math.max(peak, Math.abs(value));
+    }
+    return peak;
+}
+
+/**
+ * Largest sample magnitude over [from, to) in any channel, widened by
+ * the interpolation filter's reach
+ */
+function rangeMax(channels, from, to) {
+    const half = INTERPOLATION_TAPS / 2;
+    let max = 0;
+    for (const data of channels) {
+        const end = Math.min(data.length, to + half);
+        for (let i = Math.max(0, from - half); i < end; i++) {
+            const value = Math.abs(data[i]);
+            if (value > max) max = value;
+        }
+    }
+    return max;
+}
+
+/**
+ * Finds the true peak, skipping blocks whose samples are too small to
+ * hold anything above the peak found so far
+ * @returns {Promise<number>} Linear true peak
+ */
+async function measureTruePeak(channels, sampleRate, yielder, onProgress) {
+    const length = channels.length ? channels[0].length : 0;
+    const { phases, bound } = interpolationPhases(sampleRate);
+
+    // Loudest blocks first, so they set a high bar early
+    const blocks = [];
+    for (let from = 0; from < length; from += SCAN_BLOCK) {
+        blocks.push({ from, max: rangeMax(channels, from, Math.min(length, from + SCAN_BLOCK)) });
+    }
+    blocks.sort((a, b) => b.max - a.max);
+
+    let peak = 0;
+    for (let b = 0; b < blocks.length; b++) {
+        const { from, max } = blocks[b];
+        if (max * bound <= peak) break;
+        const to = Math.min(length, from + SCAN_BLOCK);
+        for (const data of channels) {
+            for (let n = from; n < to; n++) {
+                const value = peakAt(data, n, phases);
+                if (value > peak) peak = value;
+            }
+        }
+        if (b % 64 === 63) {
+            if (onProgress) onProgress(b / blocks.length * 100);
+            await yielder();
+        }
+    }
+    return peak;
+}
+
+/**
+ * Multiplies every channel by one gain
+ */
+async function scaleChannels(channels, gain, yielder, onProgress) {
+    const output = [];
+    for (let channel = 0; channel < channels.length; channel++) {
+        const data = channels[channel];
+        const result = new Float32Array(data.length);
+        for (let from = 0; from < data.length; from += 65536) {
+            const to = Math.min(data.length, from + 65536);
+            for (let i = from; i < to; i++) {
+                result[i] = data[i] * gain;
+            }
+            if (onProgress) onProgress((channel + to / data.length) / channels.length * 100);
+            await yielder();
+        }
+        output.push(result);
+    }
+    return output;
+}
+
+/**
+ * Applies a gain and a look-ahead true-peak limiter, linked across channels.
+ *
+ * For each sample the gain needed to stay under the ceiling is found; the
+ * gain curve is the minimum of that over the look-ahead window, recovering
+ * exponentially after a peak, then averaged over the window so it ramps
+ * down smoothly before the peak instead of jumping.
+ */
+async function limitChannels(channels, sampleRate, gain, ceiling, yielder, onProgress) {
+    const length = channels[0].length;
+    const { phases, bound } = interpolationPhases(sampleRate);
+    const lookahead = Math.max(1, Math.round(LIMITER_LOOKAHEAD_SECONDS * sampleRate));
+    const release = 1 - Math.exp(-1 / (LIMITER_RELEASE_SECONDS * sampleRate));
+    const output = channels.map(() => new Float32Array(length));
+
+    // Sliding minimum of the required gain over lookahead + 1 samples (a
+    // monotonic queue in a ring buffer), and the running sum for the average
+    const queueSize = lookahead + 2;
+    const queueIndex = new Float64Array(queueSize);
+    const queueValue = new Float32Array(queueSize);
+    let head = 0;
+    let tail = 0;
+    const recent = new Float32Array(lookahead).fill(1);
+    let sum = lookahead;
+    let smoothed = 1;
+
+    const required = new Float32Array(SCAN_BLOCK);
+    const total = length + lookahead - 1;
+    for (let from = 0; from < total; from += SCAN_BLOCK) {
+        const to = Math.min(total, from + SCAN_BLOCK);
+
+        // Gain each sample of this block needs
+        required.fill(1);
+        if (from < length && rangeMax(channels, from, Math.min(length, to)) * gain * bound > ceiling) {
+            for (let n = from; n < Math.min(length, to); n++) {
+                let peak = 0;
+                for (const data of channels) {
+                    peak = Math.max(peak, peakAt(data, n, phases));
+                }
+                peak *= gain;
+                if (peak > ceiling) required[n - from] = ceiling / peak;
+            }
+        }
+
+        for (let n = from; n < to; n++) {
+            const value = required[n - from];
+            while (tail !== head && queueValue[(tail + queueSize - 1) % queueSize] >= value) {
+                tail = (tail + queueSize - 1) % queueSize;
+            }
+            queueIndex[tail] = n;
+            queueValue[tail] = value;
+            tail = (tail + 1) % queueSize;
+            while (queueIndex[head] < n - lookahead) {
+                head = (head + 1) % queueSize;
+            }
+
+            smoothed = Math.min(queueValue[head], smoothed + (1 - smoothed) * release);
+            sum += smoothed - recent[n % lookahead];
+            recent[n % lookahead] = smoothed;
+
+            // The averaged gain applies to the sample a window behind
+            const k = n - lookahead + 1;
+            if (k >= 0) {
+                const g = gain * Math.min(1, sum / lookahead);
+                for (let channel = 0; channel < channels.length; channel++) {
+                    output[channel][k] = channels[channel][k] * g;
+                }
+            }
+        }
+
+        if (onProgress) onProgress(to / total * 100);
+        await yielder();
+    }
+    return output;
+}
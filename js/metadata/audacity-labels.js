@@ -0,0 +1,65 @@
+/**
+ * Audacity label track files
+ *
+ * Audacity exports labels as plain text, one label per line:
+ * `start<TAB>end<TAB>text`, with times in seconds.  Lines starting with a
+ * backslash carry the frequency range of spectral labels and are skipped.
+ */
+
+/**
+ * Builds a label file with one region label per chunk
+ * @param {Array<{start: number, end: number, title?: string}>} chunks - Chunks in order
+ * @returns {string} Label file contents
+ */
+export function buildLabelFile(chunks) {
+    return chunks
+        .map(chunk => `${chunk.start.toFixed(6)}\t${chunk.end.toFixed(6)}\t${sanitizeLabel(chunk.title || '')}`)
+        .join('\n') + '\n';
+}
+
+/**
+ * Parses a label file
+ * @param {string} text - Label file contents
+ * @returns {{labels: Array<{start: number, end: number, label: string, line: number}>, errors: number[]}}
+ *   Labels sorted by start time, and the 1-based numbers of lines that failed to parse
+ */
+export function parseLabelFile(text) {
+    const labels = [];
+    const errors = [];
+
+    text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/^\uFEFF/, '');
+        if (!line.trim() || line.startsWith('\\')) return;
+
+        const [startText, endText, ...rest] = line.split('\t');
+        const start = parseTime(startText);
+        // Point labels written by hand sometimes omit the end time
+        const end = endText === undefined ? start : parseTime(endText);
+
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < start) {
+            errors.push(index + 1);
+            return;
+        }
+        labels.push({ start, end, label: rest.join('\t').trim(), line: index + 1 });
+    });
+
+    labels.sort((a, b) => a.start - b.start);
+    return { labels, errors };
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Parses a time in seconds, accepting a decimal comma as written by
+ * Audacity in some locales
+ */
+function parseTime(text) {
+    if (text === undefined) return NaN;
+    const value = text.trim().replace(',', '.');
+    return /^\d+(\.\d*)?$|^\.\d+$/.test(value) ? parseFloat(value) : NaN;
+}
+
+function sanitizeLabel(label) {
+    // Tabs and newlines would break the line format
+    return label.replace(/[\t\r\n]+/g, ' ');
+}
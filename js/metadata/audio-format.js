@@ -0,0 +1,604 @@
+/**
+ * Audio format probing
+ *
+ * Reads the sample rate, channel count and (for PCM and lossless codecs)
+ * bit depth from a file's own headers, without decoding anything: WAV
+ * (also RF64/BW64), AIFF/AIFC, FLAC, Ogg (Vorbis, Opus, FLAC), MP4/M4A
+ * (AAC, ALAC, FLAC, Opus), WebM/Matroska, MP3 and ADTS AAC.  The browser
+ * decodes to whatever rate it is asked for, so this is how the editor
+ * knows which rate the file was actually recorded at.
+ */
+
+import { ascii, dataView, fourCC, listBoxes, listRiffChunks, readExtended, skipId3v2 } from './binary.js';
+
+/**
+ * @typedef {Object} AudioFormat
+ * @property {string} codec - e.g. 'PCM', 'FLAC', 'MP3', 'AAC', 'Opus'
+ * @property {number} sampleRate - Rate the audio decodes at, in Hz
+ * @property {number} numberOfChannels - Channel count
+ * @property {number|null} bitDepth - Bits per sample; null for lossy codecs
+ * @property {boolean} float - Floating-point samples
+ * @property {boolean} [rateUncertain] - sampleRate is the AAC core rate of
+ *   a stream that may carry SBR and then decode at twice the rate, so it
+ *   isn't a rate to decode at
+ */
+
+// How far into the file to look for the first MP3/AAC frame (past any tags)
+const MAX_FRAME_SEARCH = 256 * 1024;
+
+// Opus always decodes at 48 kHz, whatever rate it was encoded from
+const OPUS_SAMPLE_RATE = 48000;
+
+const WAV_CODECS = { 0x0001: 'PCM', 0x0003: 'PCM', 0x0006: 'A-law', 0x0007: 'µ-law', 0x0055: 'MP3' };
+
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+// Bitrates (kbps) by MPEG-1 layer and for MPEG-2/2.5, for bitrate indices 1-14
+const MPEG1_BITRATES = {
+    1: [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+};
+const MPEG2_BITRATES = {
+    1: [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const MATROSKA_CODECS = {
+    A_OPUS: 'Opus',
+    A_VORBIS: 'Vorbis',
+    A_FLAC: 'FLAC',
+    A_ALAC: 'ALAC',
+    'A_MPEG/L3': 'MP3',
+    'A_PCM/INT/LIT': 'PCM',
+    'A_PCM/INT/BIG': 'PCM',
+    'A_PCM/FLOAT/IEEE': 'PCM'
+};
+
+/**
+ * Works out the format of an audio file from its headers
+ * @param {Uint8Array} bytes - The file, or at least its beginning (MP4 files
+ *   may keep their headers at the end)
+ * @returns {AudioFormat|null} null if the format isn't recognised
+ */
+export function probeAudioFormat(bytes) {
+    const probes = [probeWav, probeAiff, probeFlac, probeOgg, probeMp4, probeMatroska, probeMpegFrames];
+    for (const probe of probes) {
+        let format = null;
+        try {
+            format = probe(bytes);
+        } catch (error) {
+            // Truncated or corrupt headers read past the end; try the next format
+            if (!(error instanceof RangeError)) throw error;
+        }
+        if (format && format.sampleRate > 0 && format.numberOfChannels > 0) {
+            return format;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describes a format for display, e.g. "FLAC · 44.1 kHz · 24-bit · stereo"
+ * @param {AudioFormat} format
+ * @returns {string}
+ */
+export function formatAudioFormat(format) {
+    const parts = [];
+    if (format.codec) parts.push(format.codec);
+    parts.push(formatSampleRate(format.sampleRate) + (format.rateUncertain ? ' core' : ''));
+    if (format.bitDepth) parts.push(`${format.bitDepth}-bit${format.float ? ' float' : ''}`);
+    parts.push(format.numberOfChannels === 1 ? 'mono' :
+        format.numberOfChannels === 2 ? 'stereo' : `${format.numberOfChannels} channels`);
+    return parts.join(' · ');
+}
+
+/**
+ * Formats a sample rate in kHz, e.g. "44.1 kHz"
+ * @param {number} sampleRate - In Hz
+ * @returns {string}
+ */
+export function formatSampleRate(sampleRate) {
+    return `${parseFloat((sampleRate / 1000).toFixed(3))} kHz`;
+}
+
+/**
+ * Reads an MP3 (or MP2/MP1) frame header
+ * @param {Uint8Array} bytes - Data holding the header
+ * @param {number} offset - Where the header starts
+ * @returns {{length: number, samples: number, format: AudioFormat}|null}
+ *   Frame length in bytes and samples per channel, or null if no header
+ */
+export function readMpegHeader(bytes, offset) {
+    if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+    const version = (bytes[offset + 1] >> 3) & 0x03;    // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+    const layer = 4 - ((bytes[offset + 1] >> 1) & 0x03); // 4 is reserved
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+    const sampleRate = MPEG_SAMPLE_RATES[rateIndex] / (version === 3 ? 1 : version === 2 ? 2 : 4);
+    const bitrate = (version === 3 ? MPEG1_BITRATES : MPEG2_BITRATES)[layer][bitrateIndex - 1] * 1000;
+    const padding = (bytes[offset + 2] >> 1) & 0x01;
+    let length;
+    if (layer === 1) {
+        length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    } else {
+        // MPEG-2/2.5 layer III frames hold half as many samples
+        const factor = layer === 3 && version !== 3 ? 72 : 144;
+        length = Math.floor(factor * bitrate / sampleRate) + padding;
+    }
+    return {
+        length,
+        samples: layer === 1 ? 384 : layer === 3 && version !== 3 ? 576 : 1152,
+        format: {
+            codec: `MP${layer}`,
+            sampleRate,
+            numberOfChannels: (bytes[offset + 3] >> 6) === 3 ? 1 : 2,
+            bitDepth: null,
+            float: false
+        }
+    };
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function probeWav(bytes) {
+    const chunks = listRiffChunks(bytes);
+    if (!chunks) return null;
+
+    const view = dataView(bytes);
+    for (const { id, start: body, size } of chunks) {
+        if (id === 'fmt ') {
+            let formatTag = view.getUint16(body, true);
+            let bitDepth = view.getUint16(body + 14, true);
+            // WAVE_FORMAT_EXTENSIBLE: valid bits, then the real format in the sub-format GUID
+            if (formatTag === 0xFFFE && size >= 40) {
+                bitDepth = view.getUint16(body + 18, true) || bitDepth;
+                formatTag = view.getUint16(body + 24, true);
+            }
+            const pcm = formatTag === 0x0001 || formatTag === 0x0003;
+            return {
+                codec: WAV_CODECS[formatTag] || `WAV 0x${formatTag.toString(16).padStart(4, '0')}`,
+                sampleRate: view.getUint32(body + 4, true),
+                numberOfChannels: view.getUint16(body + 2, true),
+                bitDepth: pcm ? bitDepth : null,
+                float: formatTag === 0x0003
+            };
+        }
+        // The format always comes before the samples
+        if (id === 'data') break;
+    }
+    return null;
+}
+
+function probeAiff(bytes) {
+    const type = fourCC(bytes, 8);
+    if (fourCC(bytes, 0) !== 'FORM' || (type !== 'AIFF' && type !== 'AIFC')) return null;
+
+    const view = dataView(bytes);
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4);
+        const body = offset + 8;
+        if (fourCC(bytes, offset) === 'COMM') {
+            let codec = 'PCM';
+            let bitDepth = view.getUint16(body + 6);
+            let float = false;
+            // AIFC names its compression after the sample rate
+            if (type === 'AIFC' && size >= 22) {
+                const compression = fourCC(bytes, body + 18).toLowerCase();
+                if (compression === 'fl32' || compression === 'fl64') {
+                    float = true;
+                    bitDepth = compression === 'fl32' ? 32 : 64;
+                } else if (compression === 'ulaw' || compression === 'alaw') {
+                    codec = compression === 'ulaw' ? 'µ-law' : 'A-law';
+                    bitDepth = null;
+                } else if (compression !== 'none' && compression !== 'twos' && compression !== 'sowt' && compression !== 'raw ') {
+                    codec = compression.trim().toUpperCase();
+                    bitDepth = null;
+                }
+            }
+            return {
+                codec,
+                sampleRate: Math.round(readExtended(view, body + 8)),
+                numberOfChannels: view.getUint16(body),
+                bitDepth,
+                float
+            };
+        }
+        offset = body + size + (size % 2);
+    }
+    return null;
+}
+
+function probeFlac(bytes) {
+    const offset = skipId3v2(bytes);
+    if (fourCC(bytes, offset) !== 'fLaC') return null;
+    // STREAMINFO is always the first metadata block
+    return readStreamInfo(bytes, offset + 8);
+}
+
+function probeOgg(bytes) {
+    if (fourCC(bytes, 0) !== 'OggS') return null;
+
+    // The first page holds just the codec's identification header
+    const segments = bytes[26];
+    const packet = 27 + segments;
+    const view = dataView(bytes);
+
+    if (bytes[packet] === 0x01 && ascii(bytes, packet + 1, 6) === 'vorbis') {
+        return {
+            codec: 'Vorbis',
+            sampleRate: view.getUint32(packet + 12, true),
+            numberOfChannels: bytes[packet + 11],
+            bitDepth: null,
+            float: false
+        };
+    }
+    if (ascii(bytes, packet, 8) === 'OpusHead') {
+        return { codec: 'Opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: bytes[packet + 9], bitDepth: null, float: false };
+    }
+    if (bytes[packet] === 0x7F && ascii(bytes, packet + 1, 4) === 'FLAC') {
+        // Mapping header (9 bytes), then the native 'fLaC' signature and STREAMINFO
+        return readStreamInfo(bytes, packet + 17);
+    }
+    return null;
+}
+
+function probeMp4(bytes) {
+    if (fourCC(bytes, 4) !== 'ftyp') return null;
+
+    const moov = findBox(bytes, 0, bytes.length, 'moov');
+    if (!moov) return null;
+
+    for (const trak of listBoxes(bytes, moov.start, moov.end)) {
+        if (trak.type !== 'trak') continue;
+        const mdia = findBox(bytes, trak.start, trak.end, 'mdia');
+        const hdlr = mdia && findBox(bytes, mdia.start, mdia.end, 'hdlr');
+        // Handler type follows version/flags and pre_defined
+        if (!hdlr || fourCC(bytes, hdlr.start + 8) !== 'soun') continue;
+
+        const stsd = findPath(bytes, mdia, ['minf', 'stbl', 'stsd']);
+        if (!stsd) continue;
+        // Version/flags and entry count, then the first sample entry
+        const [entry] = listBoxes(bytes, stsd.start + 8, stsd.end);
+        if (entry) return readSampleEntry(bytes, entry);
+    }
+    return null;
+}
+
+/**
+ * Reads an MP4 audio sample entry (mp4a, alac, fLaC, Opus, ...)
+ */
+function readSampleEntry(bytes, entry) {
+    const view = dataView(bytes);
+    // Reserved and data reference index, then the QuickTime version
+    const version = view.getUint16(entry.start + 8);
+    const format = {
+        codec: entry.type.trim().toUpperCase(),
+        numberOfChannels: view.getUint16(entry.start + 16),
+        bitDepth: null,
+        float: false,
+        // 16.16 fixed point, so rates over 65535 Hz don't fit here
+        sampleRate: view.getUint32(entry.start + 24) / 65536
+    };
+    const children = entry.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+
+    if (entry.type === 'mp4a') {
+        format.codec = 'AAC';
+        const esds = findBox(bytes, children, entry.end, 'esds');
+        const config = esds && readEsds(bytes, esds.start + 4, esds.end);
+        if (config && config.objectType === 0x40 && config.specificInfo) {
+            const specific = readAudioSpecificConfig(config.specificInfo);
+            // With implicit SBR the config only has the core rate; the
+            // sample entry then usually has the output rate
+            Object.assign(format, specific, { sampleRate: Math.max(format.sampleRate, specific.sampleRate) });
+            if (format.rateUncertain) format.rateUncertain = format.sampleRate <= 24000;
+        } else if (config && (config.objectType === 0x69 || config.objectType === 0x6B)) {
+            format.codec = 'MP3';
+        }
+    } else if (entry.type === 'alac') {
+        const cookie = findBox(bytes, children, entry.end, 'alac');
+        if (cookie) {
+            // Version/flags, then ALACSpecificConfig
+            format.codec = 'ALAC';
+            format.bitDepth = bytes[cookie.start + 9];
+            format.numberOfChannels = bytes[cookie.start + 13];
+            format.sampleRate = view.getUint32(cookie.start + 24);
+        }
+    } else if (entry.type === 'fLaC') {
+        const dfla = findBox(bytes, children, entry.end, 'dfLa');
+        // Version/flags, then FLAC metadata blocks starting with STREAMINFO
+        if (dfla) return readStreamInfo(bytes, dfla.start + 8);
+    } else if (entry.type === 'Opus') {
+        format.codec = 'Opus';
+        format.sampleRate = OPUS_SAMPLE_RATE;
+    } else if (entry.type === 'lpcm' || entry.type === 'sowt' || entry.type === 'twos') {
+        format.codec = 'PCM';
+        format.bitDepth = view.getUint16(entry.start + 18);
+    }
+    return format;
+}
+
+/**
+ * Finds the decoder config in an MPEG-4 elementary stream descriptor
+ * @returns {{objectType: number, specificInfo: Uint8Array|null}|null}
+ */
+function readEsds(bytes, start, end) {
+    let offset = start;
+    let objectType = null;
+    while (offset < end) {
+        const tag = bytes[offset++];
+        // Descriptor lengths are up to four 7-bit groups
+        let length = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = bytes[offset++];
+            length = (length << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) break;
+        }
+        if (tag === 0x03) {
+            // ES_Descriptor: ES id, then flags saying which optional fields follow
+            const flags = bytes[offset + 2];
+            offset += 3;
+            if (flags & 0x80) offset += 2;
+            if (flags & 0x40) offset += 1 + bytes[offset];
+            if (flags & 0x20) offset += 2;
+        } else if (tag === 0x04) {
+            // DecoderConfigDescriptor; the specific info descriptor follows its 13 bytes
+            objectType = bytes[offset];
+            offset += 13;
+        } else if (tag === 0x05) {
+            return { objectType, specificInfo: bytes.subarray(offset, offset + length) };
+        } else {
+            offset += length;
+        }
+    }
+    return objectType === null ? null : { objectType, specificInfo: null };
+}
+
+/**
+ * Reads the sample rate and channels from an AAC AudioSpecificConfig.
+ * HE-AAC (SBR) decodes at its extension rate, not the core rate, whether
+ * it is signalled up front or in a sync extension after an LC config.
+ * An LC config without either may still carry implicit SBR, which is
+ * flagged as with ADTS.
+ */
+function readAudioSpecificConfig(bytes) {
+    const bits = new BitReader(bytes);
+    const readObjectType = () => {
+        const type = bits.read(5);
+        return type === 31 ? 32 + bits.read(6) : type;
+    };
+    const readRate = () => {
+        const index = bits.read(4);
+        return index === 15 ? bits.read(24) : AAC_SAMPLE_RATES[index];
+    };
+
+    const objectType = readObjectType();
+    let sampleRate = readRate();
+    const channelConfig = bits.read(4);
+    let parametricStereo = objectType === 29;
+    let sbr = objectType === 5 || objectType === 29;
+    // SBR (5) and parametric stereo (29) carry the output rate next
+    if (sbr) {
+        sampleRate = readRate();
+    } else if (objectType === 2 && channelConfig > 0) {
+        // GASpecificConfig: frame length, core coder delay (if any) and
+        // extension flags, then possibly the sync extension 0x2B7 naming
+        // SBR, and after it 0x548 for parametric stereo
+        bits.read(1);
+        if (bits.read(1)) bits.read(14);
+        bits.read(1);
+        if (bits.remaining() >= 16 && bits.read(11) === 0x2B7 &&
+            readObjectType() === 5 && bits.read(1) && bits.remaining() >= 4) {
+            sbr = true;
+            sampleRate = readRate();
+            parametricStereo = bits.remaining() >= 12 && bits.read(11) === 0x548 && bits.read(1) === 1;
+        }
+    }
+    const format = { sampleRate };
+    if (objectType === 2 && !sbr && sampleRate <= 24000) {
+        format.rateUncertain = true;
+    }
+    // Config 7 is 7.1; 0 means a program config element we don't parse
+    if (channelConfig > 0) {
+        format.numberOfChannels = channelConfig === 7 ? 8 : channelConfig;
+    }
+    // Parametric stereo turns a mono core into stereo
+    if (parametricStereo && format.numberOfChannels === 1) {
+        format.numberOfChannels = 2;
+    }
+    return format;
+}
+
+function probeMatroska(bytes) {
+    if (dataView(bytes).getUint32(0) !== 0x1A45DFA3) return null;
+
+    // Containers descended into; everything else is skipped by size
+    const SEGMENT = 0x18538067;
+    const TRACKS = 0x1654AE6B;
+    const TRACK_ENTRY = 0xAE;
+    const AUDIO = 0xE1;
+    const CLUSTER = 0x1F43B675;
+
+    let track = null;
+    const walk = (start, end) => {
+        let offset = start;
+        while (offset < end) {
+            const id = readVint(bytes, offset, true);
+            const size = readVint(bytes, id.next, false);
+            const body = size.next;
+            // Unknown sizes (live streams) run to the end of the parent
+            const bodyEnd = size.value === null ? end : Math.min(end, body + size.value);
+
+            if (id.value === CLUSTER) {
+                // Tracks always come before the first cluster
+                return true;
+            }
+            if (id.value === SEGMENT || id.value === TRACKS || id.value === AUDIO) {
+                if (walk(body, bodyEnd)) return true;
+            } else if (id.value === TRACK_ENTRY) {
+                track = { channels: 1 };
+                walk(body, bodyEnd);
+                if (track.type === 2) return true;
+                track = null;
+            } else if (track) {
+                readTrackField(bytes, id.value, body, bodyEnd, track);
+            }
+            offset = bodyEnd;
+        }
+        return false;
+    };
+    walk(0, bytes.length);
+
+    if (!track || track.type !== 2) return null;
+    const codec = MATROSKA_CODECS[track.codecId] ||
+        (track.codecId && track.codecId.startsWith('A_AAC') ? 'AAC' : track.codecId || null);
+    const lossless = codec === 'PCM' || codec === 'FLAC' || codec === 'ALAC';
+    return {
+        codec,
+        sampleRate: codec === 'Opus' ? OPUS_SAMPLE_RATE : Math.round(track.outputRate || track.rate || 0),
+        numberOfChannels: track.channels,
+        bitDepth: lossless && track.bitDepth ? track.bitDepth : null,
+        float: track.codecId === 'A_PCM/FLOAT/IEEE'
+    };
+}
+
+function readTrackField(bytes, id, start, end, track) {
+    const view = dataView(bytes);
+    const readUint = () => {
+        let value = 0;
+        for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+        return value;
+    };
+    const readFloat = () => end - start === 4 ? view.getFloat32(start) : view.getFloat64(start);
+
+    switch (id) {
+        case 0x83: track.type = readUint(); break;
+        case 0x86: track.codecId = ascii(bytes, start, end - start); break;
+        case 0xB5: track.rate = readFloat(); break;
+        case 0x78B5: track.outputRate = readFloat(); break; // SBR output rate
+        case 0x9F: track.channels = readUint(); break;
+        case 0x6264: track.bitDepth = readUint(); break;
+    }
+}
+
+/**
+ * Reads an EBML variable-length integer
+ * @param {boolean} keepMarker - IDs keep their length marker bits; sizes don't
+ * @returns {{value: number|null, next: number}} value is null for an unknown size
+ */
+function readVint(bytes, offset, keepMarker) {
+    const first = bytes[offset];
+    if (first === undefined || first === 0) throw new RangeError('Invalid EBML variable-length integer');
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        const byte = bytes[offset + i];
+        if (byte === undefined) throw new RangeError('Truncated EBML variable-length integer');
+        value = value * 256 + byte;
+        allOnes = allOnes && byte === 0xFF;
+    }
+    return { value: !keepMarker && allOnes ? null : value, next: offset + length };
+}
+
+/**
+ * Finds the first MP3 (or MP2/MP1) or ADTS AAC frame, checking that another
+ * frame follows it so stray sync bytes in tags or junk aren't mistaken for one
+ */
+function probeMpegFrames(bytes) {
+    const start = skipId3v2(bytes);
+    const end = Math.min(bytes.length - 4, start + MAX_FRAME_SEARCH);
+    for (let offset = start; offset < end; offset++) {
+        if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) continue;
+        const frame = readMpegHeader(bytes, offset) || readAdtsHeader(bytes, offset);
+        if (!frame) continue;
+
+        const next = offset + frame.length;
+        if (next + 4 > bytes.length) return frame.format;
+        const following = readMpegHeader(bytes, next) || readAdtsHeader(bytes, next);
+        if (following && following.format.sampleRate === frame.format.sampleRate) return frame.format;
+    }
+    return null;
+}
+
+function readAdtsHeader(bytes, offset) {
+    // ADTS has the layer bits zeroed
+    if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xF6) !== 0xF0) return null;
+    const rateIndex = (bytes[offset + 2] >> 2) & 0x0F;
+    const channelConfig = ((bytes[offset + 2] & 0x01) << 2) | (bytes[offset + 3] >> 6);
+    const length = ((bytes[offset + 3] & 0x03) << 11) | (bytes[offset + 4] << 3) | (bytes[offset + 5] >> 5);
+    if (rateIndex >= AAC_SAMPLE_RATES.length || !channelConfig || length < 7) return null;
+    const sampleRate = AAC_SAMPLE_RATES[rateIndex];
+    return {
+        length,
+        format: {
+            codec: 'AAC',
+            sampleRate,
+            numberOfChannels: channelConfig === 7 ? 8 : channelConfig,
+            bitDepth: null,
+            float: false,
+            // ADTS headers only give the core rate; HE-AAC at these rates
+            // (its usual ones) has SBR double it without saying so
+            rateUncertain: sampleRate <= 24000
+        }
+    };
+}
+
+/**
+ * Reads a FLAC STREAMINFO block
+ * @param {number} offset - Start of the block's data (after its 4-byte header)
+ */
+function readStreamInfo(bytes, offset) {
+    // Min/max block size (2+2) and frame size (3+3), then 20 bits of rate,
+    // 3 of channels - 1 and 5 of bits per sample - 1
+    const b = offset + 10;
+    return {
+        codec: 'FLAC',
+        sampleRate: (bytes[b] << 12) | (bytes[b + 1] << 4) | (bytes[b + 2] >> 4),
+        numberOfChannels: ((bytes[b + 2] >> 1) & 0x07) + 1,
+        bitDepth: (((bytes[b + 2] & 0x01) << 4) | (bytes[b + 3] >> 4)) + 1,
+        float: false
+    };
+}
+
+function findBox(bytes, start, end, type) {
+    return listBoxes(bytes, start, end).find(box => box.type === type) || null;
+}
+
+function findPath(bytes, box, path) {
+    for (const type of path) {
+        box = findBox(bytes, box.start, box.end, type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    read(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const byte = this.bytes[this.position >> 3];
+            if (byte === undefined) throw new RangeError('Read past the end of the config');
+            value = value * 2 + ((byte >> (7 - (this.position & 7))) & 1);
+            this.position++;
+        }
+        return value;
+    }
+
+    remaining() {
+        return this.bytes.length * 8 - this.position;
+    }
+}
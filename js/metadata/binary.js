@@ -0,0 +1,199 @@
+/**
+ * Helpers for reading binary file formats
+ *
+ * Shared by the format probe, the tag readers and the segmented decoder:
+ * reading byte ranges of a File, text and numbers out of headers, ID3v2
+ * sizes, MP4 boxes and RIFF chunks.  The PCM decoder worker is a classic
+ * script and keeps copies of the few it needs.
+ */
+
+/**
+ * Reads a range of a file
+ * @param {Blob} file
+ * @param {number} offset - First byte
+ * @param {number} length - Bytes wanted; fewer come back at the end of the file
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readBytes(file, offset, length) {
+    return new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {DataView} A view of the same bytes
+ */
+export function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Reads single-byte text, e.g. a chunk id or magic number
+ * @returns {string} '' if the bytes run out first
+ */
+export function ascii(bytes, offset, length) {
+    if (offset < 0 || offset + length > bytes.length) return '';
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+export function fourCC(bytes, offset) {
+    return ascii(bytes, offset, 4);
+}
+
+/**
+ * Decodes tag text, which is UTF-8 from most tools but may be a legacy
+ * single-byte code page from older ones; stops at the first null
+ */
+export function decodeText(bytes) {
+    const nul = bytes.indexOf(0);
+    const text = nul === -1 ? bytes : bytes.subarray(0, nul);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(text).trim();
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(text).trim();
+    }
+}
+
+/**
+ * Reads a 28-bit ID3v2 "synchsafe" integer (7 bits in each of 4 bytes)
+ */
+export function readSynchsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7F) << 21) | ((bytes[offset + 1] & 0x7F) << 14) |
+        ((bytes[offset + 2] & 0x7F) << 7) | (bytes[offset + 3] & 0x7F);
+}
+
+/**
+ * Reads an 80-bit IEEE 754 extended float (big-endian), as AIFF stores its rate
+ */
+export function readExtended(view, offset) {
+    const exponent = view.getUint16(offset) & 0x7FFF;
+    const mantissa = view.getUint32(offset + 2) * 0x100000000 + view.getUint32(offset + 6);
+    if (!exponent && !mantissa) return 0;
+    return mantissa * Math.pow(2, exponent - 16383 - 63);
+}
+
+/**
+ * Size of an ID3v2 tag, header and footer included
+ * @param {Uint8Array} bytes - Data holding the 10-byte tag header
+ * @param {number} [offset] - Where the header would start
+ * @returns {number} 0 if there is no tag there
+ */
+export function id3v2Size(bytes, offset = 0) {
+    if (offset + 10 > bytes.length || ascii(bytes, offset, 3) !== 'ID3') return 0;
+    // The footer repeats the header, if the flags say there is one
+    return 10 + readSynchsafe(bytes, offset + 6) + (bytes[offset + 5] & 0x10 ? 10 : 0);
+}
+
+/**
+ * Skips any ID3v2 tags at the start of the data
+ * @returns {number} Offset of the first byte after them
+ */
+export function skipId3v2(bytes) {
+    let offset = 0;
+    for (let size; (size = id3v2Size(bytes, offset));) {
+        offset += size;
+    }
+    return offset;
+}
+
+/**
+ * Lists the boxes (atoms) between two offsets of an MP4 file in memory
+ * @returns {Array<{type: string, start: number, end: number}>} start is the box's body
+ */
+export function listBoxes(bytes, start, end) {
+    const view = dataView(bytes);
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        const type = fourCC(bytes, offset + 4);
+        let body = offset + 8;
+        if (size === 1) {
+            // 64-bit size follows the type
+            size = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+            body += 8;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < body - offset) break;
+        boxes.push({ type, start: body, end: Math.min(end, offset + size) });
+        offset += size;
+    }
+    return boxes;
+}
+
+/**
+ * Lists the chunks of a WAV file (also RF64/BW64) held in memory, as far
+ * as the data goes
+ * @param {Uint8Array} bytes - The file, or at least its beginning
+ * @returns {Array<{id: string, start: number, size: number}>|null} start is
+ *   the chunk's body; null if the data isn't a WAV file
+ */
+export function listRiffChunks(bytes) {
+    if (!isRiffWave(bytes)) return null;
+
+    const chunks = [];
+    let dataSize64 = null;
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const chunk = readRiffChunk(bytes.subarray(offset, offset + 8), offset + 8, dataSize64);
+        if (!chunk) break;
+        if (chunk.id === 'ds64') dataSize64 = readDs64DataSize(bytes.subarray(chunk.start, chunk.start + 16));
+        chunks.push(chunk);
+        offset = chunk.start + chunk.size + (chunk.size % 2);
+    }
+    return chunks;
+}
+
+/**
+ * Walks the chunks of a WAV file (also RF64/BW64), reading only their
+ * headers from disk
+ * @param {Blob} file
+ * @param {number} start - Offset of the RIFF header
+ * @param {function(string, number, number): (Promise<boolean|void>|boolean|void)} visit -
+ *   Called with each chunk's id, body offset and size; returning true
+ *   stops the walk
+ * @returns {Promise<boolean>} false if the file isn't a WAV file
+ */
+export async function walkRiffChunks(file, start, visit) {
+    if (!isRiffWave(await readBytes(file, start, 12))) return false;
+
+    let dataSize64 = null;
+    let offset = start + 12;
+    while (offset + 8 <= file.size) {
+        const chunk = readRiffChunk(await readBytes(file, offset, 8), offset + 8, dataSize64);
+        if (!chunk) break;
+        if (chunk.id === 'ds64') dataSize64 = readDs64DataSize(await readBytes(file, chunk.start, 16));
+        if (await visit(chunk.id, chunk.start, chunk.size)) break;
+        offset = chunk.start + chunk.size + (chunk.size % 2);
+    }
+    return true;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function isRiffWave(header) {
+    const id = fourCC(header, 0);
+    return (id === 'RIFF' || id === 'RF64' || id === 'BW64') && fourCC(header, 8) === 'WAVE';
+}
+
+/**
+ * Reads a chunk header; RF64 files keep the data chunk's real size in
+ * their ds64 chunk
+ * @returns {{id: string, start: number, size: number}|null} null where a
+ *   bad size in a previous chunk leaves us reading audio, not chunk ids
+ */
+function readRiffChunk(header, start, dataSize64) {
+    const id = fourCC(header, 0);
+    if (!/^[\x20-\x7E]{4}$/.test(id)) return null;
+    let size = dataView(header).getUint32(4, true);
+    if (id === 'data' && size === 0xFFFFFFFF && dataSize64 !== null) {
+        size = dataSize64;
+    }
+    return { id, start, size };
+}
+
+function readDs64DataSize(body) {
+    if (body.length < 16) return null;
+    const view = dataView(body);
+    return view.getUint32(8, true) + view.getUint32(12, true) * 0x100000000;
+}
@@ -0,0 +1,117 @@
+/**
+ * CUE sheet reading and writing
+ *
+ * A CUE sheet lists the tracks inside a single audio file.  Times use
+ * mm:ss:ff, where ff counts CD frames (75 per second).  Only the parts
+ * needed to describe chunk boundaries are handled: PERFORMER/TITLE at the
+ * disc and track level, FILE, TRACK and INDEX 01.
+ */
+
+const FRAMES_PER_SECOND = 75;
+
+// The CUE format numbers tracks 01-99
+const MAX_TRACKS = 99;
+
+/**
+ * Builds a CUE sheet for one audio file
+ * @param {Object} sheet - {fileName, fileType, performer, title, tracks}
+ *   where fileType is a CUE file type (WAVE, MP3, AIFF, ...) and tracks is an
+ *   array of {start, title?, performer?} with start in seconds
+ * @returns {string} CUE sheet text
+ */
+export function buildCueSheet({ fileName, fileType = 'WAVE', performer = '', title = '', tracks }) {
+    if (tracks.length > MAX_TRACKS) {
+        throw new Error(`CUE sheets can hold at most ${MAX_TRACKS} tracks (${tracks.length} chunks)`);
+    }
+
+    const lines = [];
+    if (performer) lines.push(`PERFORMER ${quote(performer)}`);
+    if (title) lines.push(`TITLE ${quote(title)}`);
+    lines.push(`FILE ${quote(fileName)} ${fileType}`);
+
+    tracks.forEach((track, i) => {
+        lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+        if (track.title) lines.push(`    TITLE ${quote(track.title)}`);
+        if (track.performer) lines.push(`    PERFORMER ${quote(track.performer)}`);
+        lines.push(`    INDEX 01 ${formatCueTime(track.start)}`);
+    });
+
+    // CUE sheets come from the CD ripping world, where CRLF is the norm
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses a CUE sheet. When it references several files, only the tracks
+ * of the first one are returned.
+ * @param {string} text - CUE sheet contents
+ * @returns {{performer: string, title: string, fileName: string,
+ *   tracks: Array<{number: number, start: number, title: string, performer: string}>}}
+ */
+export function parseCueSheet(text) {
+    const sheet = { performer: '', title: '', fileName: '', tracks: [] };
+    let fileCount = 0;
+    let track = null;
+
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/)) {
+        const line = rawLine.trim();
+        const match = line.match(/^(\S+)\s*(.*)$/);
+        if (!match) continue;
+        const command = match[1].toUpperCase();
+        const args = match[2];
+
+        if (command === 'FILE') {
+            fileCount++;
+            if (fileCount === 1) sheet.fileName = unquote(args.replace(/\s+\S+$/, ''));
+            track = null;
+        } else if (fileCount > 1) {
+            continue;
+        } else if (command === 'TRACK') {
+            track = { number: parseInt(args, 10), start: null, title: '', performer: '' };
+            sheet.tracks.push(track);
+        } else if (command === 'TITLE' || command === 'PERFORMER') {
+            const target = track || sheet;
+            target[command.toLowerCase()] = unquote(args);
+        } else if (command === 'INDEX' && track) {
+            const [number, time] = args.split(/\s+/);
+            if (parseInt(number, 10) === 1) {
+                track.start = parseCueTime(time);
+            }
+        }
+    }
+
+    // Tracks without a usable INDEX 01 can't be placed
+    sheet.tracks = sheet.tracks.filter(t => t.start !== null && Number.isFinite(t.start));
+    return sheet;
+}
+
+/**
+ * Formats seconds as mm:ss:ff
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+export function formatCueTime(seconds) {
+    const totalFrames = Math.round(seconds * FRAMES_PER_SECOND);
+    const frames = totalFrames % FRAMES_PER_SECOND;
+    const totalSeconds = Math.floor(totalFrames / FRAMES_PER_SECOND);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 60))}:${pad(totalSeconds % 60)}:${pad(frames)}`;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function parseCueTime(text) {
+    const match = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(text || '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + parseInt(match[3], 10) / FRAMES_PER_SECOND;
+}
+
+function quote(text) {
+    // The format has no escape for embedded double quotes
+    return `"${String(text).replace(/"/g, "'").replace(/[\r\n]+/g, ' ')}"`;
+}
+
+function unquote(text) {
+    const trimmed = text.trim();
+    const match = /^"(.*)"$/.exec(trimmed) || /^"(.*)$/.exec(trimmed);
+    return match ? match[1] : trimmed;
+}
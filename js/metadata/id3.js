@@ -0,0 +1,453 @@
+/**
+ * ID3 tag reading and writing
+ *
+ * Writes ID3v2.3 or ID3v2.4 tags for MP3 export and reads ID3v2.2–2.4
+ * (falling back to ID3v1) from loaded files so the export fields can be
+ * prefilled.  Only the fields the export popup edits are handled: title,
+ * artist, album, track, year, comment and cover art, plus chapters
+ * (CHAP/CTOC frames from the ID3v2 Chapter Frame Addendum) on export;
+ * genre and encoder settings are also read, for the file info panel.
+ */
+
+import { id3v2Size, readBytes, readSynchsafe } from './binary.js';
+
+const TEXT_FRAMES = {
+    title: { v2: 'TT2', v3: 'TIT2' },
+    artist: { v2: 'TP1', v3: 'TPE1' },
+    album: { v2: 'TAL', v3: 'TALB' },
+    track: { v2: 'TRK', v3: 'TRCK' },
+    year: { v2: 'TYE', v3: 'TYER' }
+};
+
+// Text frames that are read but never written
+const READ_ONLY_FRAMES = {
+    genre: { v2: 'TCO', v3: 'TCON' },
+    encoder: { v2: 'TSS', v3: 'TSSE' }
+};
+
+// Encoding byte values used in text frames
+const ENCODING_LATIN1 = 0;
+const ENCODING_UTF16 = 1;
+const ENCODING_UTF16BE = 2;
+const ENCODING_UTF8 = 3;
+
+// Tag size is stored as a 28-bit synchsafe integer
+const MAX_TAG_SIZE = 0x0FFFFFFF;
+
+// APIC picture type for the front cover
+const PICTURE_FRONT_COVER = 3;
+
+// CTOC flags: top-level table, entries in playback order
+const CTOC_TOP_LEVEL = 0x02;
+const CTOC_ORDERED = 0x01;
+
+// CHAP byte offsets set to this value mean "use the times instead"
+const CHAP_NO_OFFSET = 0xFFFFFFFF;
+
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Returns true if any field that would be written to a tag is set
+ * @param {Object} metadata - Tag fields (see buildId3Tag)
+ * @returns {boolean}
+ */
+export function hasId3Metadata(metadata) {
+    if (!metadata) return false;
+    return Object.keys(TEXT_FRAMES).some(key => metadata[key]) || !!metadata.comment || !!metadata.cover ||
+        !!(metadata.chapters && metadata.chapters.length);
+}
+
+/**
+ * Builds an ID3v2 tag to place in front of MP3 data
+ * @param {Object} metadata - {title, artist, album, track, year, comment, cover, chapters}
+ *   where cover is {mimeType, data: Uint8Array} and chapters is an array of
+ *   {title, start, end} with times in seconds
+ * @param {number} version - 3 for ID3v2.3, 4 for ID3v2.4
+ * @returns {Uint8Array} Complete tag including its 10-byte header
+ */
+export function buildId3Tag(metadata, version = 3) {
+    const frames = [];
+
+    for (const [key, ids] of Object.entries(TEXT_FRAMES)) {
+        const value = String(metadata[key] ?? '').trim();
+        if (!value) continue;
+        // ID3v2.4 replaced TYER with the more general TDRC
+        const id = key === 'year' && version === 4 ? 'TDRC' : ids.v3;
+        const encoding = chooseEncoding(value, version);
+        frames.push(buildFrame(id, [Uint8Array.of(encoding), encodeText(value, encoding)], version));
+    }
+
+    const comment = String(metadata.comment ?? '').trim();
+    if (comment) {
+        const encoding = chooseEncoding(comment, version);
+        frames.push(buildFrame('COMM', [
+            Uint8Array.of(encoding),
+            encodeText('eng', ENCODING_LATIN1),
+            terminator(encoding),                         // Empty short description
+            encodeText(comment, encoding)
+        ], version));
+    }
+
+    if (metadata.cover && metadata.cover.data) {
+        frames.push(buildFrame('APIC', [
+            Uint8Array.of(ENCODING_LATIN1),
+            encodeText(metadata.cover.mimeType || 'image/jpeg', ENCODING_LATIN1),
+            Uint8Array.of(0),
+            Uint8Array.of(PICTURE_FRONT_COVER),
+            Uint8Array.of(0),                             // Empty description
+            metadata.cover.data
+        ], version));
+    }
+
+    if (metadata.chapters && metadata.chapters.length) {
+        frames.push(...buildChapterFrames(metadata.chapters, version));
+    }
+
+    const bodySize = frames.reduce((sum, frame) => sum + frame.length, 0);
+    if (bodySize > MAX_TAG_SIZE) {
+        throw new Error('ID3 tag would exceed 256 MB');
+    }
+
+    const tag = new Uint8Array(10 + bodySize);
+    tag.set([0x49, 0x44, 0x33, version, 0, 0]);           // "ID3", version, revision, flags
+    writeSynchsafe(tag, 6, bodySize);
+
+    let offset = 10;
+    for (const frame of frames) {
+        tag.set(frame, offset);
+        offset += frame.length;
+    }
+    return tag;
+}
+
+/**
+ * Reads ID3 metadata from the start (ID3v2) or end (ID3v1) of a file
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object|null>} Parsed fields, or null if the file has no tag
+ */
+export async function readId3Tags(file) {
+    // Includes the optional footer, so the whole tag is available
+    const size = id3v2Size(await readBytes(file, 0, 10));
+    if (size) {
+        const metadata = parseId3Tag(await readBytes(file, 0, size));
+        if (metadata) return metadata;
+    }
+
+    if (file.size >= 128) {
+        return parseId3v1Tag(await readBytes(file, file.size - 128, 128));
+    }
+    return null;
+}
+
+/**
+ * Parses an ID3v2.2, 2.3 or 2.4 tag
+ * @param {Uint8Array} bytes - Data starting with the "ID3" header
+ * @returns {Object|null} Parsed fields, or null if no tag is present
+ */
+export function parseId3Tag(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+        return null;
+    }
+
+    const version = bytes[3];
+    const flags = bytes[5];
+    if (version < 2 || version > 4) return null;
+
+    let body = bytes.subarray(10, Math.min(bytes.length, 10 + readSynchsafe(bytes, 6)));
+
+    // Before ID3v2.4, unsynchronisation applies to the whole tag at once
+    if (version < 4 && (flags & 0x80)) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    if (version === 2 && (flags & 0x40)) {
+        // ID3v2.2 used this bit for compression, which has no defined scheme
+        return null;
+    }
+    if (version > 2 && (flags & 0x40)) {
+        offset = version === 3 ? 4 + readUint32(body, 0) : readSynchsafe(body, 0);
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const metadata = {};
+    let comment = null;
+    let cover = null;
+
+    while (offset + headerLength <= body.length && body[offset] !== 0) {
+        const id = String.fromCharCode(...body.subarray(offset, offset + idLength));
+        let size;
+        if (version === 2) {
+            size = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+        } else if (version === 3) {
+            size = readUint32(body, offset + 4);
+        } else {
+            size = readSynchsafe(body, offset + 4);
+        }
+        const frameFlags = version === 2 ? 0 : body[offset + 9];
+        const start = offset + headerLength;
+        offset = start + size;
+        if (offset > body.length) break;
+
+        let data = body.subarray(start, start + size);
+        data = unwrapFrame(data, frameFlags, version);
+        if (!data || data.length === 0) continue;
+
+        const key = Object.keys(TEXT_FRAMES).find(k => TEXT_FRAMES[k].v2 === id || TEXT_FRAMES[k].v3 === id);
+        const readOnlyKey = Object.keys(READ_ONLY_FRAMES).find(k => READ_ONLY_FRAMES[k].v2 === id || READ_ONLY_FRAMES[k].v3 === id);
+        if (key || id === 'TDRC') {
+            const value = decodeText(data.subarray(1), data[0]).split('\0')[0].trim();
+            const field = key || 'year';
+            if (!metadata[field]) {
+                metadata[field] = field === 'year' ? value.slice(0, 4) : value;
+            }
+        } else if (readOnlyKey) {
+            let value = decodeText(data.subarray(1), data[0]).split('\0')[0].trim();
+            // ID3v2.3 genres may start with an ID3v1 genre number, e.g. "(17)Rock"
+            if (readOnlyKey === 'genre') value = value.replace(/^\(\d+\)(?=.)/, '');
+            if (value && !metadata[readOnlyKey]) metadata[readOnlyKey] = value;
+        } else if (id === 'COMM' || id === 'COM') {
+            const parsed = parseComment(data);
+            // Prefer the comment without a description over e.g. iTunes' hidden ones
+            if (parsed && (comment === null || (parsed.description === '' && comment.description !== ''))) {
+                comment = parsed;
+            }
+        } else if (id === 'APIC' || id === 'PIC') {
+            const parsed = parsePicture(data, version);
+            if (parsed && (!cover || (parsed.type === PICTURE_FRONT_COVER && cover.type !== PICTURE_FRONT_COVER))) {
+                cover = parsed;
+            }
+        }
+    }
+
+    if (comment) metadata.comment = comment.text;
+    if (cover) metadata.cover = { mimeType: cover.mimeType, data: cover.data };
+    return metadata;
+}
+
+/**
+ * Parses a 128-byte ID3v1 / ID3v1.1 tag
+ * @param {Uint8Array} bytes - Last 128 bytes of the file
+ * @returns {Object|null} Parsed fields, or null if no tag is present
+ */
+export function parseId3v1Tag(bytes) {
+    if (bytes.length !== 128 || bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) {
+        return null;
+    }
+
+    const field = (start, length) => decodeText(bytes.subarray(start, start + length), ENCODING_LATIN1)
+        .split('\0')[0].trim();
+
+    const metadata = {
+        title: field(3, 30),
+        artist: field(33, 30),
+        album: field(63, 30),
+        year: field(93, 4),
+        comment: field(97, 30)
+    };
+    // ID3v1.1 stores the track number in the last comment byte
+    if (bytes[125] === 0 && bytes[126] !== 0) {
+        metadata.track = String(bytes[126]);
+    }
+    return metadata;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Builds one CHAP frame per chapter plus a CTOC frame listing them
+ */
+function buildChapterFrames(chapters, version) {
+    const elementIds = chapters.map((_, i) => encodeText(`chp${i}`, ENCODING_LATIN1));
+    const frames = [];
+
+    // The table of contents goes first so readers find it before the chapters
+    frames.push(buildFrame('CTOC', [
+        encodeText('toc', ENCODING_LATIN1),
+        Uint8Array.of(0),
+        Uint8Array.of(CTOC_TOP_LEVEL | CTOC_ORDERED, chapters.length),
+        ...elementIds.flatMap(id => [id, Uint8Array.of(0)])
+    ], version));
+
+    chapters.forEach((chapter, i) => {
+        const times = new DataView(new ArrayBuffer(16));
+        times.setUint32(0, Math.round(chapter.start * 1000));
+        times.setUint32(4, Math.round(chapter.end * 1000));
+        times.setUint32(8, CHAP_NO_OFFSET);
+        times.setUint32(12, CHAP_NO_OFFSET);
+
+        const parts = [elementIds[i], Uint8Array.of(0), new Uint8Array(times.buffer)];
+        const title = String(chapter.title ?? '').trim();
+        if (title) {
+            const encoding = chooseEncoding(title, version);
+            parts.push(buildFrame('TIT2', [Uint8Array.of(encoding), encodeText(title, encoding)], version));
+        }
+        frames.push(buildFrame('CHAP', parts, version));
+    });
+
+    return frames;
+}
+
+function buildFrame(id, parts, version) {
+    const size = parts.reduce((sum, part) => sum + part.length, 0);
+    const frame = new Uint8Array(10 + size);
+    frame.set(encodeText(id, ENCODING_LATIN1), 0);
+    if (version === 4) {
+        writeSynchsafe(frame, 4, size);
+    } else {
+        new DataView(frame.buffer).setUint32(4, size);
+    }
+    // Bytes 8-9: frame flags, none set
+
+    let offset = 10;
+    for (const part of parts) {
+        frame.set(part, offset);
+        offset += part.length;
+    }
+    return frame;
+}
+
+/**
+ * Picks Latin-1 when it can represent the text, as the most widely
+ * supported encoding, and Unicode otherwise
+ */
+function chooseEncoding(text, version) {
+    if (/^[\u0000-\u00FF]*$/.test(text)) return ENCODING_LATIN1;
+    return version === 4 ? ENCODING_UTF8 : ENCODING_UTF16;
+}
+
+function encodeText(text, encoding) {
+    switch (encoding) {
+        case ENCODING_LATIN1:
+            return Uint8Array.from(text, ch => ch.charCodeAt(0) & 0xFF);
+        case ENCODING_UTF8:
+            return utf8Encoder.encode(text);
+        default: {
+            // UTF-16 with a little-endian byte order mark
+            const bytes = new Uint8Array(2 + text.length * 2);
+            bytes[0] = 0xFF;
+            bytes[1] = 0xFE;
+            for (let i = 0; i < text.length; i++) {
+                const code = text.charCodeAt(i);
+                bytes[2 + i * 2] = code & 0xFF;
+                bytes[3 + i * 2] = code >> 8;
+            }
+            return bytes;
+        }
+    }
+}
+
+function terminator(encoding) {
+    return encoding === ENCODING_UTF16 || encoding === ENCODING_UTF16BE ? new Uint8Array(2) : new Uint8Array(1);
+}
+
+function decodeText(bytes, encoding) {
+    switch (encoding) {
+        case ENCODING_UTF16:
+            return new TextDecoder(bytes[0] === 0xFE && bytes[1] === 0xFF ? 'utf-16be' : 'utf-16le').decode(bytes);
+        case ENCODING_UTF16BE:
+            return new TextDecoder('utf-16be').decode(bytes);
+        case ENCODING_UTF8:
+            return new TextDecoder('utf-8').decode(bytes);
+        default:
+            return new TextDecoder('latin1').decode(bytes);
+    }
+}
+
+/**
+ * Finds the end of a null-terminated string
+ * @returns {number} Index of the terminator, or bytes.length if missing
+ */
+function findTerminator(bytes, start, encoding) {
+    if (encoding === ENCODING_UTF16 || encoding === ENCODING_UTF16BE) {
+        for (let i = start; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+        }
+        return bytes.length;
+    }
+    const index = bytes.indexOf(0, start);
+    return index === -1 ? bytes.length : index;
+}
+
+function parseComment(data) {
+    const encoding = data[0];
+    const termLength = terminator(encoding).length;
+    // Skip the 3-byte language code
+    const descEnd = findTerminator(data, 4, encoding);
+    if (descEnd >= data.length) return null;
+    return {
+        description: decodeText(data.subarray(4, descEnd), encoding).trim(),
+        text: decodeText(data.subarray(descEnd + termLength), encoding).split('\0')[0].trim()
+    };
+}
+
+function parsePicture(data, version) {
+    const encoding = data[0];
+    let offset = 1;
+    let mimeType;
+
+    if (version === 2) {
+        // ID3v2.2 uses a 3-character image format instead of a MIME type
+        const format = decodeText(data.subarray(1, 4), ENCODING_LATIN1).toUpperCase();
+        mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+        offset = 4;
+    } else {
+        const mimeEnd = findTerminator(data, offset, ENCODING_LATIN1);
+        mimeType = decodeText(data.subarray(offset, mimeEnd), ENCODING_LATIN1) || 'image/jpeg';
+        // Some writers store only the subtype
+        if (!mimeType.includes('/')) mimeType = `image/${mimeType.toLowerCase()}`;
+        offset = mimeEnd + 1;
+    }
+
+    const type = data[offset];
+    const descEnd = findTerminator(data, offset + 1, encoding);
+    const start = descEnd + terminator(encoding).length;
+    if (start >= data.length) return null;
+
+    return { type, mimeType, data: data.slice(start) };
+}
+
+/**
+ * Strips per-frame encoding flags so the raw frame content remains
+ * @returns {Uint8Array|null} Frame content, or null if it can't be read
+ */
+function unwrapFrame(data, flags, version) {
+    if (version === 3) {
+        // Compression or encryption
+        if (flags & 0xC0) return null;
+        // Grouping identity byte
+        return flags & 0x20 ? data.subarray(1) : data;
+    }
+    if (version === 4) {
+        if (flags & 0x0C) return null;
+        if (flags & 0x40) data = data.subarray(1);
+        if (flags & 0x01) data = data.subarray(4);
+        if (flags & 0x02) data = removeUnsynchronisation(data);
+    }
+    return data;
+}
+
+/**
+ * Reverses unsynchronisation by dropping the 0x00 inserted after each 0xFF
+ */
+function removeUnsynchronisation(bytes) {
+    const out = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        out[length++] = bytes[i];
+        if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+    }
+    return out.subarray(0, length);
+}
+
+function writeSynchsafe(bytes, offset, value) {
+    bytes[offset] = (value >> 21) & 0x7F;
+    bytes[offset + 1] = (value >> 14) & 0x7F;
+    bytes[offset + 2] = (value >> 7) & 0x7F;
+    bytes[offset + 3] = value & 0x7F;
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
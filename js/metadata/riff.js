@@ -0,0 +1,135 @@
+/**
+ * WAV cue point reading and writing
+ *
+ * Markers are stored the way DAWs exchange them: a `cue ` chunk with one
+ * point per marker, and a `LIST` chunk of type `adtl` holding a `labl`
+ * entry with each named point's text.  Reading walks the RIFF chunk headers
+ * of the file on disk, so the audio data itself is never loaded.
+ */
+
+import { dataView, decodeText, fourCC, readBytes, walkRiffChunks } from './binary.js';
+
+// Longest chunk that is read into memory while scanning (cue/adtl lists are small)
+const MAX_METADATA_CHUNK = 16 * 1024 * 1024;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Builds a `cue ` chunk and, if any point is named, a `LIST/adtl` chunk
+ * @param {Array<{position: number, label?: string}>} cues - Positions in sample frames
+ * @returns {Uint8Array} Both chunks, ready to append after the data chunk
+ */
+export function buildCueChunks(cues) {
+    const cueSize = 4 + cues.length * 24;
+    const labels = cues
+        .map((cue, i) => ({ id: i + 1, text: cue.label ? textEncoder.encode(cue.label) : null }))
+        .filter(entry => entry.text && entry.text.length);
+
+    // labl: 4-byte cue id + null-terminated text, padded to an even length
+    const lablSizes = labels.map(entry => 4 + entry.text.length + 1);
+    const listSize = labels.length ? 4 + lablSizes.reduce((sum, size) => sum + 8 + size + (size % 2), 0) : 0;
+
+    const bytes = new Uint8Array(8 + cueSize + (listSize ? 8 + listSize : 0));
+    const view = new DataView(bytes.buffer);
+
+    writeFourCC(bytes, 0, 'cue ');
+    view.setUint32(4, cueSize, true);
+    view.setUint32(8, cues.length, true);
+    cues.forEach((cue, i) => {
+        const offset = 12 + i * 24;
+        view.setUint32(offset, i + 1, true);                 // Cue point id
+        view.setUint32(offset + 4, cue.position, true);      // Play order position
+        writeFourCC(bytes, offset + 8, 'data');              // Chunk the point refers to
+        view.setUint32(offset + 12, 0, true);                // Chunk start (no wavl)
+        view.setUint32(offset + 16, 0, true);                // Block start (uncompressed)
+        view.setUint32(offset + 20, cue.position, true);     // Sample offset
+    });
+
+    if (listSize) {
+        let offset = 8 + cueSize;
+        writeFourCC(bytes, offset, 'LIST');
+        view.setUint32(offset + 4, listSize, true);
+        writeFourCC(bytes, offset + 8, 'adtl');
+        offset += 12;
+
+        labels.forEach((entry, i) => {
+            writeFourCC(bytes, offset, 'labl');
+            view.setUint32(offset + 4, lablSizes[i], true);
+            view.setUint32(offset + 8, entry.id, true);
+            bytes.set(entry.text, offset + 12);
+            offset += 8 + lablSizes[i] + (lablSizes[i] % 2);
+        });
+    }
+
+    return bytes;
+}
+
+/**
+ * Reads cue points and their labels from a WAV (also RF64/BW64) file
+ * @param {Blob} file - Audio file
+ * @returns {Promise<{sampleRate: number, cues: Array<{position: number, label: string}>}|null>}
+ *   Cues sorted by position, or null if the file isn't a WAV or has none
+ */
+export async function readWavCues(file) {
+    let sampleRate = 0;
+    let cuePoints = [];
+    const labels = new Map();
+
+    const isWav = await walkRiffChunks(file, 0, async (id, bodyOffset, size) => {
+        if (id === 'fmt ') {
+            sampleRate = dataView(await readBytes(file, bodyOffset, 8)).getUint32(4, true);
+        } else if (id === 'cue ' && size <= MAX_METADATA_CHUNK) {
+            cuePoints = parseCueChunk(await readBytes(file, bodyOffset, size));
+        } else if (id === 'LIST' && size >= 4 && size <= MAX_METADATA_CHUNK) {
+            const list = await readBytes(file, bodyOffset, size);
+            if (fourCC(list, 0) === 'adtl') {
+                parseAdtlList(list, labels);
+            }
+        }
+    });
+    if (!isWav || !cuePoints.length || !sampleRate) return null;
+
+    const cues = cuePoints
+        .map(point => ({ position: point.position, label: labels.get(point.id) || '' }))
+        .sort((a, b) => a.position - b.position);
+    return { sampleRate, cues };
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+function parseCueChunk(bytes) {
+    const view = dataView(bytes);
+    const count = bytes.length >= 4 ? view.getUint32(0, true) : 0;
+    const points = [];
+    for (let i = 0; i < count && 4 + (i + 1) * 24 <= bytes.length; i++) {
+        const offset = 4 + i * 24;
+        points.push({
+            id: view.getUint32(offset, true),
+            position: view.getUint32(offset + 20, true)
+        });
+    }
+    return points;
+}
+
+function parseAdtlList(bytes, labels) {
+    const view = dataView(bytes);
+    let offset = 4;
+    while (offset + 8 <= bytes.length) {
+        const id = fourCC(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        const end = Math.min(bytes.length, offset + 8 + size);
+
+        // Only plain labels are used; notes and ltxt ranges are ignored
+        if (id === 'labl' && size >= 4) {
+            const cueId = view.getUint32(offset + 8, true);
+            labels.set(cueId, decodeText(bytes.subarray(offset + 12, end)));
+        }
+        offset += 8 + size + (size % 2);
+    }
+}
+
+function writeFourCC(bytes, offset, id) {
+    for (let i = 0; i < 4; i++) {
+        bytes[offset + i] = id.charCodeAt(i);
+    }
+}
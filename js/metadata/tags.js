@@ -0,0 +1,553 @@
+/**
+ * Embedded tag reading
+ *
+ * Collects the descriptive metadata a file carries, whatever its
+ * container: ID3v2 and ID3v1 (MP3, also ID3 chunks in WAV and AIFF),
+ * Vorbis comments (FLAC, Ogg Vorbis/Opus/FLAC), RIFF INFO and Broadcast
+ * Wave `bext` chunks (WAV), AIFF text chunks and MP4/M4A `ilst` atoms.
+ * Only the headers and tag blocks are read from disk, never the audio.
+ */
+
+import { ascii, dataView, decodeText, id3v2Size, listBoxes, readBytes, walkRiffChunks } from './binary.js';
+import { parseId3Tag, parseId3v1Tag } from './id3.js';
+
+/**
+ * @typedef {Object} FileTags
+ * @property {string[]} formats - Tag formats found, e.g. ['ID3v2.3', 'ID3v1']
+ * @property {Object} tags - {title, artist, album, track, year, comment, genre,
+ *   cover}; the fields the export popup can take over, where present
+ * @property {Array<{label: string, value: string}>} extra - Everything else
+ *   worth showing (encoder, copyright, BWF origination, ...)
+ */
+
+// Longest tag block that is read into memory (cover art included)
+const MAX_TAG_SIZE = 16 * 1024 * 1024;
+
+// How many Ogg pages to read looking for the comment header
+const MAX_OGG_PAGES = 64;
+
+const TAG_KEYS = ['title', 'artist', 'album', 'track', 'year', 'comment', 'genre'];
+
+// Vorbis comment field names (case-insensitive) and the tag each one fills
+const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    TRACKNUMBER: 'track',
+    DATE: 'year',
+    YEAR: 'year',
+    COMMENT: 'comment',
+    DESCRIPTION: 'comment',
+    GENRE: 'genre'
+};
+
+// RIFF INFO chunk ids: tag fields first, then shown as extra fields
+const INFO_FIELDS = { INAM: 'title', IART: 'artist', IPRD: 'album', IPRT: 'track', ITRK: 'track', ICRD: 'year', ICMT: 'comment', IGNR: 'genre' };
+const INFO_LABELS = {
+    ISFT: 'Software',
+    ICOP: 'Copyright',
+    IENG: 'Engineer',
+    ITCH: 'Technician',
+    ISRC: 'Source',
+    ISBJ: 'Subject',
+    IKEY: 'Keywords',
+    ILNG: 'Language'
+};
+
+// MP4 item atoms (© is byte 0xA9)
+const MP4_FIELDS = { '©nam': 'title', '©ART': 'artist', '©alb': 'album', trkn: 'track', '©day': 'year', '©cmt': 'comment', '©gen': 'genre' };
+const MP4_LABELS = {
+    aART: 'Album artist',
+    '©wrt': 'Composer',
+    '©too': 'Encoder',
+    cprt: 'Copyright',
+    '©grp': 'Grouping',
+    '©lyr': 'Lyrics'
+};
+
+// ilst data atom value types
+const MP4_TYPE_UTF8 = 1;
+const MP4_TYPE_JPEG = 13;
+const MP4_TYPE_PNG = 14;
+
+// bext loudness fields hold this when they weren't measured
+const BEXT_UNSET = 0x7FFF;
+
+/**
+ * Reads the embedded tags of an audio file
+ * @param {Blob} file - Audio file
+ * @returns {Promise<FileTags|null>} null if the file has no tags at all
+ */
+export async function readFileTags(file) {
+    const result = { formats: [], tags: {}, extra: [] };
+
+    // An ID3v2 tag may precede MP3 and (against the spec, but commonly) FLAC data
+    const offset = id3v2Size(await readBytes(file, 0, 10));
+    if (offset && offset <= MAX_TAG_SIZE) {
+        addId3(result, await readBytes(file, 0, offset));
+    }
+
+    const header = await readBytes(file, offset, 12);
+    const id = ascii(header, 0, 4);
+    if (id === 'fLaC') {
+        await readFlacTags(file, offset + 4, result);
+    } else if (id === 'OggS') {
+        await readOggTags(file, offset, result);
+    } else if ((id === 'RIFF' || id === 'RF64' || id === 'BW64') && ascii(header, 8, 4) === 'WAVE') {
+        await readRiffTags(file, offset, result);
+    } else if (id === 'FORM' && (ascii(header, 8, 4) === 'AIFF' || ascii(header, 8, 4) === 'AIFC')) {
+        await readAiffTags(file, offset, result);
+    } else if (ascii(header, 4, 4) === 'ftyp') {
+        await readMp4Tags(file, offset, result);
+    }
+
+    // ID3v1 sits in the last 128 bytes, and only fills what the rest left empty
+    // (WAV, AIFF and MP4 files end in a chunk, which may be audio that happens
+    // to start with "TAG")
+    const chunked = ['RIFF', 'RF64', 'BW64', 'FORM'].includes(id) || ascii(header, 4, 4) === 'ftyp';
+    if (!chunked && file.size >= offset + 128) {
+        const v1 = parseId3v1Tag(await readBytes(file, file.size - 128, 128));
+        if (v1) addTags(result, 'ID3v1', v1);
+    }
+
+    return result.formats.length ? result : null;
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+/**
+ * Adds one tag format's fields; fields already found take precedence
+ */
+function addTags(result, format, tags, extra = []) {
+    const keys = TAG_KEYS.filter(key => tags[key]);
+    if (!keys.length && !tags.cover && !extra.length) return;
+
+    result.formats.push(format);
+    for (const key of keys) {
+        if (!result.tags[key]) result.tags[key] = tags[key];
+    }
+    if (tags.cover && !result.tags.cover) {
+        result.tags.cover = tags.cover;
+    }
+    for (const field of extra) {
+        if (!result.extra.some(existing => existing.label === field.label)) {
+            result.extra.push(field);
+        }
+    }
+}
+
+function addId3(result, bytes) {
+    const tags = parseId3Tag(bytes);
+    if (!tags) return;
+    const extra = tags.encoder ? [{ label: 'Encoder', value: tags.encoder }] : [];
+    addTags(result, `ID3v2.${bytes[3]}`, tags, extra);
+}
+
+/**
+ * Walks the FLAC metadata blocks for the Vorbis comment and a picture
+ */
+async function readFlacTags(file, offset, result) {
+    let tags = null;
+    let cover = null;
+
+    for (let last = false; !last && offset + 4 <= file.size;) {
+        const header = await readBytes(file, offset, 4);
+        last = (header[0] & 0x80) !== 0;
+        const type = header[0] & 0x7F;
+        const size = (header[1] << 16) | (header[2] << 8) | header[3];
+        const bodyOffset = offset + 4;
+        offset = bodyOffset + size;
+
+        if (type === 4 && size <= MAX_TAG_SIZE) {
+            tags = parseVorbisComment(await readBytes(file, bodyOffset, size));
+        } else if (type === 6 && !cover && size <= MAX_TAG_SIZE) {
+            cover = parseFlacPicture(await readBytes(file, bodyOffset, size));
+        } else if (type === 127) {
+            break;                                          // Invalid block type
+        }
+    }
+
+    if (tags) {
+        if (cover && !tags.tags.cover) tags.tags.cover = cover;
+        addTags(result, 'Vorbis comment', tags.tags, tags.extra);
+    }
+}
+
+/**
+ * Reassembles the second packet of the first Ogg stream, which holds the
+ * comments for Vorbis, Opus and FLAC
+ */
+async function readOggTags(file, offset, result) {
+    let serial = null;
+    let packets = [];
+    let parts = [];
+    let partsSize = 0;
+
+    for (let page = 0; page < MAX_OGG_PAGES && packets.length < 2 && offset + 27 <= file.size; page++) {
+        const header = await readBytes(file, offset, 27);
+        if (ascii(header, 0, 4) !== 'OggS') break;
+        const segmentCount = header[26];
+        const segments = await readBytes(file, offset + 27, segmentCount);
+        const bodySize = segments.reduce((sum, size) => sum + size, 0);
+        const bodyOffset = offset + 27 + segmentCount;
+        offset = bodyOffset + bodySize;
+
+        // Pages of other streams may be interleaved after the first page
+        const pageSerial = dataView(header).getUint32(14, true);
+        if (serial === null) serial = pageSerial;
+        if (pageSerial !== serial) continue;
+
+        const body = await readBytes(file, bodyOffset, bodySize);
+        let start = 0;
+        for (const size of segments) {
+            parts.push(body.subarray(start, start + size));
+            partsSize += size;
+            start += size;
+            // A segment shorter than 255 bytes ends the packet
+            if (size < 255) {
+                packets.push(concat(parts, partsSize));
+                parts = [];
+                partsSize = 0;
+            }
+        }
+        if (partsSize > MAX_TAG_SIZE) break;
+    }
+
+    if (packets.length < 2) return;
+    const packet = packets[1];
+    let comment = null;
+    if (packet[0] === 3 && ascii(packet, 1, 6) === 'vorbis') {
+        comment = packet.subarray(7);
+    } else if (ascii(packet, 0, 8) === 'OpusTags') {
+        comment = packet.subarray(8);
+    } else if ((packet[0] & 0x7F) === 4 && packets[0][0] === 0x7F && ascii(packets[0], 1, 4) === 'FLAC') {
+        comment = packet.subarray(4);                       // A FLAC metadata block
+    }
+    if (!comment) return;
+
+    const parsed = parseVorbisComment(comment);
+    if (parsed) addTags(result, 'Vorbis comment', parsed.tags, parsed.extra);
+}
+
+/**
+ * Parses a Vorbis comment block: vendor string, then KEY=value fields
+ * @returns {{tags: Object, extra: Array}|null}
+ */
+function parseVorbisComment(bytes) {
+    const view = dataView(bytes);
+    const decoder = new TextDecoder('utf-8');
+    let offset = 0;
+
+    const readString = () => {
+        const length = view.getUint32(offset, true);
+        const text = decoder.decode(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+        return text;
+    };
+
+    try {
+        const vendor = readString().trim();
+        const count = view.getUint32(offset, true);
+        offset += 4;
+
+        const tags = {};
+        const extra = vendor ? [{ label: 'Encoder', value: vendor }] : [];
+        for (let i = 0; i < count && offset < bytes.length; i++) {
+            const field = readString();
+            const separator = field.indexOf('=');
+            if (separator <= 0) continue;
+            const name = field.slice(0, separator).toUpperCase();
+            const value = field.slice(separator + 1).trim();
+            if (!value) continue;
+
+            const key = VORBIS_FIELDS[name];
+            if (key) {
+                if (!tags[key]) tags[key] = key === 'year' ? value.slice(0, 4) : value;
+            } else if (name === 'METADATA_BLOCK_PICTURE') {
+                if (!tags.cover) tags.cover = parseFlacPicture(decodeBase64(value));
+            } else if (!name.startsWith('REPLAYGAIN_') && !extra.some(entry => entry.label === name)) {
+                extra.push({ label: name, value });
+            }
+        }
+        return { tags, extra };
+    } catch (error) {
+        // A length field pointing past the end
+        if (error instanceof RangeError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Parses a FLAC PICTURE block (also the base64 content of
+ * METADATA_BLOCK_PICTURE comments)
+ * @returns {{mimeType: string, data: Uint8Array}|null}
+ */
+function parseFlacPicture(bytes) {
+    if (!bytes || bytes.length < 32) return null;
+    const view = dataView(bytes);
+    try {
+        const mimeLength = view.getUint32(4);
+        const mimeType = ascii(bytes, 8, mimeLength) || 'image/jpeg';
+        const descriptionLength = view.getUint32(8 + mimeLength);
+        // Width, height, colour depth and palette size follow the description
+        const dataOffset = 12 + mimeLength + descriptionLength + 16;
+        const dataLength = view.getUint32(dataOffset);
+        const data = bytes.slice(dataOffset + 4, dataOffset + 4 + dataLength);
+        return data.length ? { mimeType, data } : null;
+    } catch (error) {
+        if (error instanceof RangeError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Walks the chunks of a WAV file for LIST/INFO, bext and ID3 chunks
+ */
+async function readRiffTags(file, offset, result) {
+    let sampleRate = 0;
+    let info = null;
+    let bext = null;
+
+    await walkRiffChunks(file, offset, async (id, bodyOffset, size) => {
+        if (id === 'data' || size > MAX_TAG_SIZE) return;
+
+        if (id === 'fmt ') {
+            sampleRate = dataView(await readBytes(file, bodyOffset, 8)).getUint32(4, true);
+        } else if (id === 'LIST') {
+            const list = await readBytes(file, bodyOffset, size);
+            if (ascii(list, 0, 4) === 'INFO') info = parseInfoList(list);
+        } else if (id === 'bext') {
+            bext = await readBytes(file, bodyOffset, size);
+        } else if (id === 'id3 ' || id === 'ID3 ') {
+            addId3(result, await readBytes(file, bodyOffset, size));
+        }
+    });
+
+    if (info) addTags(result, 'RIFF INFO', info.tags, info.extra);
+    if (bext) {
+        const parsed = parseBext(bext, sampleRate);
+        addTags(result, 'BWF bext', parsed.tags, parsed.extra);
+    }
+}
+
+function parseInfoList(bytes) {
+    const view = dataView(bytes);
+    const tags = {};
+    const extra = [];
+    let offset = 4;
+    while (offset + 8 <= bytes.length) {
+        const id = ascii(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const value = decodeText(bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + size)));
+        offset += 8 + size + (size % 2);
+        if (!value) continue;
+
+        const key = INFO_FIELDS[id];
+        if (key) {
+            if (!tags[key]) tags[key] = key === 'year' ? value.slice(0, 4) : value;
+        } else {
+            extra.push({ label: INFO_LABELS[id] || id, value });
+        }
+    }
+    return { tags, extra };
+}
+
+/**
+ * Reads the Broadcast Wave extension chunk (EBU Tech 3285)
+ */
+function parseBext(bytes, sampleRate) {
+    const tags = {};
+    const extra = [];
+    if (bytes.length < 348) return { tags, extra };
+
+    const view = dataView(bytes);
+    const field = (start, length) => decodeText(bytes.subarray(start, start + length));
+    const description = field(0, 256);
+    if (description) tags.comment = description;
+
+    const originator = field(256, 32);
+    if (originator) extra.push({ label: 'Originator', value: originator });
+    const reference = field(288, 32);
+    if (reference) extra.push({ label: 'Originator reference', value: reference });
+    const date = field(320, 10);
+    if (date) {
+        tags.year = date.slice(0, 4);
+        const time = field(330, 8);
+        extra.push({ label: 'Origination', value: time ? `${date} ${time}` : date });
+    }
+
+    // Start of the recording in samples since midnight
+    const timeReference = view.getUint32(338, true) + view.getUint32(342, true) * 0x100000000;
+    if (timeReference && sampleRate) {
+        extra.push({ label: 'Time reference', value: `${formatClock(timeReference / sampleRate)} (${timeReference} samples)` });
+    }
+
+    // Version 2 added loudness values, in hundredths
+    const version = view.getUint16(346, true);
+    if (version >= 2 && bytes.length >= 412 + 10) {
+        const loudness = view.getInt16(412, true);
+        const truePeak = view.getInt16(416, true);
+        if (loudness !== BEXT_UNSET && loudness !== 0) {
+            extra.push({ label: 'Loudness', value: `${(loudness / 100).toFixed(1)} LUFS` });
+        }
+        if (truePeak !== BEXT_UNSET && truePeak !== 0) {
+            extra.push({ label: 'True peak', value: `${(truePeak / 100).toFixed(1)} dBTP` });
+        }
+    }
+
+    if (bytes.length > 602) {
+        const history = decodeText(bytes.subarray(602)).replace(/\s*\r?\n\s*/g, '; ');
+        if (history) extra.push({ label: 'Coding history', value: history });
+    }
+    return { tags, extra };
+}
+
+/**
+ * Walks the chunks of an AIFF file for its text chunks and an ID3 chunk
+ */
+async function readAiffTags(file, offset, result) {
+    const tags = {};
+    const extra = [];
+
+    offset += 12;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, 8);
+        const id = ascii(header, 0, 4);
+        if (!/^[\x20-\x7E]{4}$/.test(id)) break;
+        const size = dataView(header).getUint32(4);
+        const bodyOffset = offset + 8;
+        offset = bodyOffset + size + (size % 2);
+        if (id === 'SSND' || size > MAX_TAG_SIZE) continue;
+
+        if (id === 'NAME' || id === 'AUTH' || id === 'ANNO' || id === '(c) ') {
+            const value = decodeText(await readBytes(file, bodyOffset, size));
+            if (!value) continue;
+            if (id === 'NAME') tags.title = tags.title || value;
+            else if (id === 'AUTH') tags.artist = tags.artist || value;
+            else if (id === 'ANNO') tags.comment = tags.comment || value;
+            else extra.push({ label: 'Copyright', value });
+        } else if (id === 'ID3 ' || id === 'id3 ') {
+            addId3(result, await readBytes(file, bodyOffset, size));
+        }
+    }
+
+    addTags(result, 'AIFF text', tags, extra);
+}
+
+/**
+ * Follows moov/udta/meta/ilst, reading box headers only until the item list
+ */
+async function readMp4Tags(file, offset, result) {
+    const moov = await findMp4Box(file, offset, file.size, 'moov');
+    const udta = moov && await findMp4Box(file, moov.start, moov.end, 'udta');
+    const meta = udta && await findMp4Box(file, udta.start, udta.end, 'meta');
+    if (!meta) return;
+
+    // ISO meta is a full box (4 bytes of version and flags); QuickTime's isn't
+    let metaStart = meta.start;
+    if (ascii(await readBytes(file, meta.start + 4, 4), 0, 4) !== 'hdlr') {
+        metaStart += 4;
+    }
+    const ilst = await findMp4Box(file, metaStart, meta.end, 'ilst');
+    if (!ilst || ilst.end - ilst.start > MAX_TAG_SIZE) return;
+
+    const parsed = parseItemList(await readBytes(file, ilst.start, ilst.end - ilst.start));
+    addTags(result, 'MP4 tags', parsed.tags, parsed.extra);
+}
+
+/**
+ * Finds a box among the boxes between two file offsets
+ * @returns {Promise<{start: number, end: number}|null>} Content range of the box
+ */
+async function findMp4Box(file, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const header = await readBytes(file, offset, 16);
+        const view = dataView(header);
+        let size = view.getUint32(0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = view.getUint32(8) * 0x100000000 + view.getUint32(12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;                            // Runs to the end
+        }
+        if (size < headerSize) return null;
+
+        if (ascii(header, 4, 4) === type) {
+            return { start: offset + headerSize, end: Math.min(end, offset + size) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function parseItemList(bytes) {
+    const view = dataView(bytes);
+    const tags = {};
+    const extra = [];
+
+    for (const item of listBoxes(bytes, 0, bytes.length)) {
+        // Freeform '----' items name themselves; the others hold one data box
+        let name = item.type;
+        if (name === '----') {
+            const nameBox = listBoxes(bytes, item.start, item.end).find(box => box.type === 'name');
+            if (!nameBox) continue;
+            name = decodeText(bytes.subarray(nameBox.start + 4, nameBox.end));
+            // iTunes' own gapless and normalisation data
+            if (name.startsWith('iTun')) continue;
+        }
+        const data = listBoxes(bytes, item.start, item.end).find(box => box.type === 'data');
+        if (!data || data.end - data.start < 8) continue;
+        const dataType = view.getUint32(data.start) & 0xFFFFFF;
+        const value = bytes.subarray(data.start + 8, data.end);
+
+        if (name === 'covr') {
+            if (!tags.cover && (dataType === MP4_TYPE_JPEG || dataType === MP4_TYPE_PNG)) {
+                tags.cover = { mimeType: dataType === MP4_TYPE_PNG ? 'image/png' : 'image/jpeg', data: value.slice() };
+            }
+            continue;
+        }
+        if (name === 'trkn') {
+            // Reserved, track number, track count
+            if (value.length >= 4 && (value[2] || value[3])) tags.track = String((value[2] << 8) | value[3]);
+            continue;
+        }
+        if (dataType !== MP4_TYPE_UTF8) continue;
+
+        const text = decodeText(value);
+        if (!text) continue;
+        const key = MP4_FIELDS[name];
+        if (key) {
+            if (!tags[key]) tags[key] = key === 'year' ? text.slice(0, 4) : text;
+        } else {
+            extra.push({ label: MP4_LABELS[name] || name, value: text });
+        }
+    }
+    return { tags, extra };
+}
+
+function decodeBase64(text) {
+    try {
+        return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatClock(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+function concat(parts, size) {
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
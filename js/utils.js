@@ -27,64 +27,16 @@ export class AudioUtils {
     }
 
     /**
-     * Converts an AudioBuffer to WAV format
-     * @param {AudioBuffer} buffer - The audio buffer to convert
-     * @returns {ArrayBuffer} WAV file data
+     * Collects the channel data of an AudioBuffer
+     * @param {AudioBuffer} buffer
+     * @returns {Float32Array[]}
      */
-    static audioBufferToWav(buffer) {
-        const length = buffer.length;
-        const numberOfChannels = buffer.numberOfChannels;
-        const sampleRate = buffer.sampleRate;
-        const bitsPerSample = 16;
-        const bytesPerSample = bitsPerSample / 8;
-        const blockAlign = numberOfChannels * bytesPerSample;
-        const byteRate = sampleRate * blockAlign;
-        const dataSize = length * blockAlign;
-        const fileSize = 44 + dataSize;
-
-        let arrayBuffer;
-        try {
-            arrayBuffer = new ArrayBuffer(fileSize);
-        } catch (error) {
-            throw new Error(`Not enough memory to create WAV file (${(fileSize / 1024 / 1024).toFixed(1)} MB needed)`);
-        }
-        const view = new DataView(arrayBuffer);
-        
-        // Helper function to write string to DataView
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-        
-        // Write WAV header
-        writeString(0, 'RIFF');                          // ChunkID
-        view.setUint32(4, fileSize - 8, true);          // ChunkSize
-        writeString(8, 'WAVE');                          // Format
-        writeString(12, 'fmt ');                         // Subchunk1ID
-        view.setUint32(16, 16, true);                   // Subchunk1Size (PCM)
-        view.setUint16(20, 1, true);                    // AudioFormat (PCM)
-        view.setUint16(22, numberOfChannels, true);     // NumChannels
-        view.setUint32(24, sampleRate, true);           // SampleRate
-        view.setUint32(28, byteRate, true);             // ByteRate
-        view.setUint16(32, blockAlign, true);           // BlockAlign
-        view.setUint16(34, bitsPerSample, true);        // BitsPerSample
-        writeString(36, 'data');                         // Subchunk2ID
-        view.setUint32(40, dataSize, true);             // Subchunk2Size
-        
-        // Write audio data
-        let offset = 44;
-        for (let i = 0; i < length; i++) {
-            for (let channel = 0; channel < numberOfChannels; channel++) {
-                // Convert float32 (-1 to 1) to int16 (-32768 to 32767)
-                const sample = Math.max(-1, Math.min(1, buffer.getChannelData(channel)[i]));
-                const int16Sample = Math.round(sample * 32767);
-                view.setInt16(offset, int16Sample, true);
-                offset += 2;
-            }
+    static getChannels(buffer) {
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
         }
-        
-        return arrayBuffer;
+        return channels;
     }
 
     /**
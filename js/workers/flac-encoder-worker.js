@@ -0,0 +1,93 @@
+/**
+ * FLAC Encoder Web Worker
+ * Handles FLAC encoding off the main thread to prevent UI blocking.
+ *
+ * Encoding logic lives in ../encoders/flac-core.js (shared with the
+ * main-thread fallback) – this worker just loads it and wires up the
+ * same message protocol as the MP3 worker.
+ */
+
+let ready = false;
+
+// Global error handler
+self.onerror = function(error) {
+    postMessage({
+        type: 'error',
+        error: `Worker error: ${error.message || 'Unknown error'}`,
+        success: false
+    });
+};
+
+// Message handler
+self.onmessage = async function(e) {
+    const { type, id, ...data } = e.data;
+
+    try {
+        switch (type) {
+            case 'init':
+                await initEncoder();
+                postMessage({ type: 'init-complete', id, success: true });
+                break;
+
+            case 'encode': {
+                const result = await encodeAudio(data, id);
+                postMessage({
+                    type: 'encode-complete',
+                    id,
+                    success: true,
+                    data: result,
+                    transferable: [result.buffer]
+                }, [result.buffer]);
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        postMessage({
+            type: 'error',
+            id,
+            error: error.message,
+            success: false
+        });
+    }
+};
+
+/**
+ * Load the shared encoding core via importScripts.
+ */
+async function initEncoder() {
+    if (ready) return;
+
+    try {
+        self.importScripts('../encoders/flac-core.js');
+        if (typeof self.encodeFlac !== 'function') {
+            throw new Error('flac-core not available after import');
+        }
+
+        ready = true;
+    } catch (error) {
+        throw new Error(`Failed to load FLAC encoder: ${error.message}`);
+    }
+}
+
+/**
+ * Encode audio data to FLAC using the shared core.
+ * Progress messages carry the request id (see the MP3 worker).
+ */
+async function encodeAudio({ channels, sampleRate, bitsPerSample, compressionLevel }, id) {
+    if (!ready) {
+        throw new Error('Encoder not initialized');
+    }
+
+    postMessage({ type: 'progress', id, progress: 0 });
+
+    const result = self.encodeFlac(channels, sampleRate, bitsPerSample, compressionLevel, (progress) => {
+        postMessage({ type: 'progress', id, progress });
+    });
+
+    postMessage({ type: 'progress', id, progress: 100 });
+
+    return result;
+}
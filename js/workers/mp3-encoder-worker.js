@@ -4,7 +4,9 @@
  *
  * Encoding logic lives in ../encoders/mp3-core.js (shared with the
  * main-thread fallback) – this worker just loads the dependencies and
- * wires up the message protocol.
+ * wires up the message protocol.  Besides 'encode', it answers 'plan',
+ * 'encode-segment' and 'assemble' for exports split across several
+ * workers, each encoding one segment.
  */
 
 let ready = false;
@@ -25,12 +27,40 @@ self.onmessage = async function(e) {
     try {
         switch (type) {
             case 'init':
-                await initEncoder();
+                await initEncoder(data.lamejsCdnFallback);
                 postMessage({ type: 'init-complete', id, success: true });
                 break;
 
             case 'encode': {
-                const result = await encodeAudio(data);
+                const result = await encodeAudio(data, id);
+                postMessage({
+                    type: 'encode-complete',
+                    id,
+                    success: true,
+                    data: result,
+                    transferable: [result.buffer]
+                }, [result.buffer]);
+                break;
+            }
+
+            case 'plan':
+                postMessage({ type: 'plan-complete', id, success: true, plan: await planEncode(data) });
+                break;
+
+            case 'encode-segment': {
+                const result = await encodeSegment(data, id);
+                postMessage({
+                    type: 'encode-complete',
+                    id,
+                    success: true,
+                    data: result.data,
+                    sizes: result.sizes
+                }, [result.data.buffer, result.sizes.buffer]);
+                break;
+            }
+
+            case 'assemble': {
+                const result = await assemble(data);
                 postMessage({
                     type: 'encode-complete',
                     id,
@@ -42,7 +72,7 @@ self.onmessage = async function(e) {
             }
 
             case 'get-bitrates':
-                postMessage({ type: 'bitrates', id, bitrates: [128, 192, 256, 320] });
+                postMessage({ type: 'bitrates', id, bitrates: [32, 48, 64, 96, 128, 192, 256, 320] });
                 break;
 
             default:
@@ -60,17 +90,25 @@ self.onmessage = async function(e) {
 
 /**
  * Load lamejs + shared encoding core via importScripts.
+ * The bundled lamejs is tried first; cdnFallback (if set) is used only
+ * when the bundled copy fails to load.
  */
-async function initEncoder() {
+async function initEncoder(cdnFallback = null) {
     if (ready) return;
 
     try {
-        self.importScripts('https://cdn.jsdelivr.net/npm/lamejs@1.2.1/lame.min.js');
+        try {
+            self.importScripts('../vendor/lamejs/lame.min.js');
+        } catch (error) {
+            if (!cdnFallback) throw error;
+            console.warn('Bundled lamejs failed to load, trying CDN fallback:', error.message);
+            self.importScripts(cdnFallback);
+        }
         if (!self.lamejs) {
             throw new Error('lamejs not available after import');
         }
 
-        self.importScripts('../encoders/mp3-core.js');
+        self.importScripts('../encoders/resample-core.js', '../encoders/mp3-core.js');
         if (typeof self.encodeMp3 !== 'function') {
             throw new Error('mp3-core not available after import');
         }
@@ -83,19 +121,62 @@ async function initEncoder() {
 
 /**
  * Encode audio data to MP3 using the shared core.
+ * options: {mode, bitrate, quality, mono, sampleRate} (see mp3-core.js)
+ * Progress messages carry the request id; they also tell the page the
+ * worker is still alive.
  */
-async function encodeAudio({ channels, sampleRate, bitrate }) {
+async function encodeAudio({ channels, sampleRate, options }, id) {
     if (!ready) {
         throw new Error('Encoder not initialized');
     }
 
-    postMessage({ type: 'progress', progress: 0 });
+    postMessage({ type: 'progress', id, progress: 0 });
 
-    const result = self.encodeMp3(channels, sampleRate, bitrate, (progress) => {
-        postMessage({ type: 'progress', progress });
+    const result = self.encodeMp3(channels, sampleRate, options, (progress) => {
+        postMessage({ type: 'progress', id, progress });
     });
 
-    postMessage({ type: 'progress', progress: 100 });
+    postMessage({ type: 'progress', id, progress: 100 });
 
     return result;
 }
+
+/**
+ * Parallel encoding, step 1: split the audio into segments (see
+ * planMp3Encode in mp3-core.js)
+ */
+async function planEncode({ numChannels, sampleRate, length, options, segmentCount }) {
+    if (!ready) {
+        throw new Error('Encoder not initialized');
+    }
+    return self.planMp3Encode(numChannels, sampleRate, length, options, segmentCount);
+}
+
+/**
+ * Step 2, in one worker per segment: encode a segment
+ */
+async function encodeSegment({ channels, plan, segment }, id) {
+    if (!ready) {
+        throw new Error('Encoder not initialized');
+    }
+
+    postMessage({ type: 'progress', id, progress: 0 });
+
+    const result = self.encodeMp3Segment(channels, plan, segment, (progress) => {
+        postMessage({ type: 'progress', id, progress });
+    });
+
+    postMessage({ type: 'progress', id, progress: 100 });
+
+    return result;
+}
+
+/**
+ * Step 3: join the segments and add the Xing/LAME tag
+ */
+async function assemble({ segments, plan }) {
+    if (!ready) {
+        throw new Error('Encoder not initialized');
+    }
+    return self.assembleMp3(segments, plan);
+}
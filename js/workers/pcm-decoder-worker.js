@@ -0,0 +1,266 @@
+/**
+ * PCM Decoder Web Worker
+ * Reads uncompressed WAV (also RF64/BW64) and AIFF/AIFC files straight
+ * from the File, a block at a time, so the whole file never has to be in
+ * memory and progress follows the bytes actually read.
+ *
+ * Protocol: 'decode' with {file} answers 'format' ({sampleRate,
+ * numberOfChannels, length}) or 'unsupported' (an encoding the browser
+ * must decode instead); each 'next' then answers one 'block'
+ * ({position, channels, loaded, total}, channel data transferred) until
+ * 'done'.  Failures answer 'error'.
+ */
+
+// Bytes read and converted per block
+const BLOCK_BYTES = 4 * 1024 * 1024;
+
+let source = null;
+
+// Global error handler
+self.onerror = function(error) {
+    postMessage({ type: 'error', error: `Worker error: ${error.message || 'Unknown error'}` });
+};
+
+// Message handler
+self.onmessage = async function(e) {
+    const { type, file } = e.data;
+
+    try {
+        switch (type) {
+            case 'decode': {
+                source = await readLayout(file);
+                if (!source) {
+                    postMessage({ type: 'unsupported' });
+                    break;
+                }
+                postMessage({
+                    type: 'format',
+                    sampleRate: source.sampleRate,
+                    numberOfChannels: source.numberOfChannels,
+                    length: source.length
+                });
+                break;
+            }
+
+            case 'next': {
+                const block = await readBlock(source);
+                if (!block) {
+                    postMessage({ type: 'done' });
+                    break;
+                }
+                postMessage({ type: 'block', ...block }, block.channels.map(channel => channel.buffer));
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        postMessage({ type: 'error', error: error.message });
+    }
+};
+
+/**
+ * Finds the sample format and the sample data of a WAV or AIFF file
+ * @returns {Promise<Object|null>} null if the file isn't PCM in either
+ */
+async function readLayout(file) {
+    const header = await readBytes(file, 0, 12);
+    const id = fourCC(header, 0);
+    const type = fourCC(header, 8);
+    let layout = null;
+    if ((id === 'RIFF' || id === 'RF64' || id === 'BW64') && type === 'WAVE') {
+        layout = await readWavLayout(file);
+    } else if (id === 'FORM' && (type === 'AIFF' || type === 'AIFC')) {
+        layout = await readAiffLayout(file, type === 'AIFC');
+    }
+    if (layout) layout.file = file;
+    return layout;
+}
+
+async function readWavLayout(file) {
+    let format = null;
+    let dataSize64 = null;
+
+    let offset = 12;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, 8);
+        const id = fourCC(header, 0);
+        if (!/^[\x20-\x7E]{4}$/.test(id)) break;
+        let size = dataView(header).getUint32(4, true);
+        const body = offset + 8;
+
+        if (id === 'ds64') {
+            const ds64 = dataView(await readBytes(file, body, 16));
+            dataSize64 = ds64.getUint32(8, true) + ds64.getUint32(12, true) * 0x100000000;
+        } else if (id === 'fmt ') {
+            const fmt = dataView(await readBytes(file, body, Math.min(size, 40)));
+            let formatTag = fmt.getUint16(0, true);
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+            if (formatTag === 0xFFFE && size >= 40) {
+                formatTag = fmt.getUint16(24, true);
+            }
+            const numberOfChannels = fmt.getUint16(2, true);
+            const blockAlign = fmt.getUint16(12, true);
+            // Samples sit in whole bytes; e.g. 20-bit audio in 24-bit containers
+            const bytesPerSample = numberOfChannels ? blockAlign / numberOfChannels : 0;
+            format = {
+                sampleRate: fmt.getUint32(4, true),
+                numberOfChannels,
+                bytesPerSample,
+                float: formatTag === 0x0003,
+                bigEndian: false,
+                // 8-bit WAV is the one unsigned format
+                unsigned: bytesPerSample === 1,
+                supported: (formatTag === 0x0001 && bytesPerSample >= 1 && bytesPerSample <= 4) ||
+                    (formatTag === 0x0003 && (bytesPerSample === 4 || bytesPerSample === 8))
+            };
+        } else if (id === 'data') {
+            if (size === 0xFFFFFFFF && dataSize64 !== null) size = dataSize64;
+            // Files still being recorded (or cut short) may claim more than is there
+            size = Math.min(size, file.size - body);
+            return format && format.supported && Number.isInteger(format.bytesPerSample) ?
+                describe(format, body, size) : null;
+        }
+        offset = body + size + (size % 2);
+    }
+    return null;
+}
+
+async function readAiffLayout(file, compressed) {
+    let format = null;
+
+    let offset = 12;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, 8);
+        const id = fourCC(header, 0);
+        if (!/^[\x20-\x7E]{4}$/.test(id)) break;
+        const size = dataView(header).getUint32(4);
+        const body = offset + 8;
+
+        if (id === 'COMM') {
+            const comm = await readBytes(file, body, Math.min(size, 22));
+            const view = dataView(comm);
+            const bitDepth = view.getUint16(6);
+            // AIFC names its encoding after the sample rate; plain AIFF is big-endian integers
+            const compression = compressed && size >= 22 ? fourCC(comm, 18).toLowerCase() : 'none';
+            const float = compression === 'fl32' || compression === 'fl64';
+            format = {
+                sampleRate: Math.round(readExtended(view, 8)),
+                numberOfChannels: view.getUint16(0),
+                bytesPerSample: float ? (compression === 'fl32' ? 4 : 8) : Math.ceil(bitDepth / 8),
+                float,
+                bigEndian: compression !== 'sowt',
+                unsigned: compression === 'raw ',
+                // 'raw ' is offset-binary 8-bit
+                supported: ['none', 'twos', 'sowt', 'raw ', 'fl32', 'fl64'].includes(compression) &&
+                    (float || (bitDepth >= 1 && bitDepth <= (compression === 'raw ' ? 8 : 32)))
+            };
+        } else if (id === 'SSND') {
+            // Offset to the first sample, then a block size nobody uses
+            const dataOffset = dataView(await readBytes(file, body, 4)).getUint32(0);
+            const start = body + 8 + dataOffset;
+            const dataSize = Math.min(size - 8 - dataOffset, file.size - start);
+            return format && format.supported ? describe(format, start, dataSize) : null;
+        }
+        offset = body + size + (size % 2);
+    }
+    return null;
+}
+
+function describe(format, start, size) {
+    const blockAlign = format.bytesPerSample * format.numberOfChannels;
+    if (!blockAlign || !format.sampleRate) return null;
+    const length = Math.floor(Math.max(0, size) / blockAlign);
+    return { ...format, blockAlign, start, length, position: 0 };
+}
+
+/**
+ * Reads and converts the next block of frames
+ * @returns {Promise<Object|null>} null once all frames have been sent
+ */
+async function readBlock(layout) {
+    if (!layout || layout.position >= layout.length) return null;
+
+    const framesPerBlock = Math.max(1, Math.floor(BLOCK_BYTES / layout.blockAlign));
+    const frames = Math.min(framesPerBlock, layout.length - layout.position);
+    const offset = layout.start + layout.position * layout.blockAlign;
+    const bytes = await readBytes(layout.file, offset, frames * layout.blockAlign);
+    const view = dataView(bytes);
+    const { numberOfChannels, bytesPerSample, float, unsigned } = layout;
+    const littleEndian = !layout.bigEndian;
+
+    const channels = [];
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        channels.push(new Float32Array(frames));
+    }
+
+    for (let i = 0; i < frames; i++) {
+        let position = i * layout.blockAlign;
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels[channel][i] = readSample(view, position, bytesPerSample, float, unsigned, littleEndian);
+            position += bytesPerSample;
+        }
+    }
+
+    const block = {
+        position: layout.position,
+        channels,
+        loaded: offset + frames * layout.blockAlign,
+        total: layout.start + layout.length * layout.blockAlign
+    };
+    layout.position += frames;
+    return block;
+}
+
+/**
+ * Converts one sample to a float in -1..1, scaled the way decodeAudioData
+ * scales integers (by the container size, so e.g. 20-bit audio in 24 bits
+ * reads correctly)
+ */
+function readSample(view, offset, bytesPerSample, float, unsigned, littleEndian) {
+    if (float) {
+        return bytesPerSample === 4 ? view.getFloat32(offset, littleEndian) : view.getFloat64(offset, littleEndian);
+    }
+    switch (bytesPerSample) {
+        case 1:
+            return unsigned ? (view.getUint8(offset) - 128) / 128 : view.getInt8(offset) / 128;
+        case 2:
+            return view.getInt16(offset, littleEndian) / 32768;
+        case 3: {
+            const low = view.getUint8(offset + (littleEndian ? 0 : 2));
+            const mid = view.getUint8(offset + 1);
+            const high = view.getInt8(offset + (littleEndian ? 2 : 0));
+            return ((high << 16) | (mid << 8) | low) / 8388608;
+        }
+        default:
+            return view.getInt32(offset, littleEndian) / 2147483648;
+    }
+}
+
+// ---- internal helpers ----------------------------------------------------
+
+// As in js/metadata/binary.js, which a classic worker script can't import
+
+async function readBytes(file, offset, length) {
+    return new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+}
+
+/**
+ * Reads an 80-bit IEEE 754 extended float (big-endian), as AIFF stores its rate
+ */
+function readExtended(view, offset) {
+    const exponent = view.getUint16(offset) & 0x7FFF;
+    const high = view.getUint32(offset + 2);
+    const low = view.getUint32(offset + 6);
+    if (exponent === 0 && high === 0 && low === 0) return 0;
+    return (high * Math.pow(2, 32) + low) * Math.pow(2, exponent - 16383 - 63);
+}
+
+function dataView(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function fourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
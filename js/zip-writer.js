@@ -0,0 +1,157 @@
+/**
+ * Minimal ZIP archive writer
+ *
+ * Entries are stored uncompressed (method 0): encoded audio barely
+ * compresses, and storing keeps the writer small and fast.  The archive
+ * is assembled as a list of Blob parts, so file data is never copied
+ * into one large buffer.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Classic ZIP (no ZIP64) limits sizes and offsets to 32 bits
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+/**
+ * Updates a running CRC-32 with more bytes
+ * @param {number} crc - Running CRC (start with 0)
+ * @param {Uint8Array} bytes - Data to add
+ * @returns {number} Updated CRC
+ */
+export function crc32(crc, bytes) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Adds a file to the archive
+     * @param {string} name - Path of the file inside the archive
+     * @param {Blob|ArrayBuffer|Uint8Array} data - File contents
+     * @param {Date} modified - Modification time stored in the entry
+     */
+    async addFile(name, data, modified = new Date()) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        const size = bytes instanceof Blob ? bytes.size : bytes.length;
+        const crc = await this.computeCrc(bytes);
+        const nameBytes = this.encoder.encode(name);
+        const { dosTime, dosDate } = this.toDosDateTime(modified);
+
+        if (this.offset + 30 + nameBytes.length + size > MAX_ZIP_SIZE) {
+            throw new Error('ZIP archive would exceed 4 GB');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);          // Local file header signature
+        header.setUint16(4, 20, true);                   // Version needed to extract
+        header.setUint16(6, 0x0800, true);               // Flags: UTF-8 file name
+        header.setUint16(8, 0, true);                    // Compression: stored
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);                // Compressed size
+        header.setUint32(22, size, true);                // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);                   // Extra field length
+
+        this.entries.push({ nameBytes, crc, size, dosTime, dosDate, offset: this.offset });
+        this.parts.push(header.buffer, nameBytes, bytes);
+        this.offset += 30 + nameBytes.length + size;
+    }
+
+    /**
+     * Writes the central directory and returns the finished archive
+     * @returns {Blob} ZIP archive
+     */
+    toBlob() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);       // Central directory signature
+            header.setUint16(4, 20, true);               // Version made by
+            header.setUint16(6, 20, true);               // Version needed to extract
+            header.setUint16(8, 0x0800, true);           // Flags: UTF-8 file name
+            header.setUint16(10, 0, true);               // Compression: stored
+            header.setUint16(12, entry.dosTime, true);
+            header.setUint16(14, entry.dosDate, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint16(30, 0, true);               // Extra field length
+            header.setUint16(32, 0, true);               // Comment length
+            header.setUint16(34, 0, true);               // Disk number
+            header.setUint16(36, 0, true);               // Internal attributes
+            header.setUint32(38, 0, true);               // External attributes
+            header.setUint32(42, entry.offset, true);
+
+            this.parts.push(header.buffer, entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);              // End of central directory signature
+        end.setUint16(4, 0, true);                       // Disk number
+        end.setUint16(6, 0, true);                       // Disk with central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        end.setUint16(20, 0, true);                      // Comment length
+        this.parts.push(end.buffer);
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+
+    // ---- internal helpers ------------------------------------------------
+
+    /**
+     * Computes the CRC-32 of entry data, reading Blobs in slices
+     */
+    async computeCrc(data) {
+        if (!(data instanceof Blob)) {
+            return crc32(0, data);
+        }
+
+        const sliceSize = 4 * 1024 * 1024;
+        let crc = 0;
+        for (let pos = 0; pos < data.size; pos += sliceSize) {
+            const slice = await data.slice(pos, pos + sliceSize).arrayBuffer();
+            crc = crc32(crc, new Uint8Array(slice));
+        }
+        return crc;
+    }
+
+    /**
+     * Converts a Date to MS-DOS time/date fields
+     */
+    toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            dosDate: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOpusHead, muxOggOpus } from '../js/encoders/ogg-muxer.js';
+
+// A 20 ms CELT fullband packet (config 31, one frame) holds 960 samples
+function fakePacket() {
+    const packet = new Uint8Array(40);
+    packet[0] = 31 << 3;
+    return packet;
+}
+
+function readGranule(page) {
+    const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+    return view.getUint32(6, true) + view.getUint32(10, true) * 0x100000000;
+}
+
+test('granule positions count decoded samples from zero', () => {
+    const preSkip = 312;
+    const head = buildOpusHead({ numberOfChannels: 2, preSkip, inputSampleRate: 44100 });
+    const packets = Array.from({ length: 100 }, fakePacket);
+    const length = 100 * 960 - preSkip - 500;
+
+    const pages = muxOggOpus({ head, packets, length });
+    const audio = pages.slice(2);
+
+    // Pages flush once they span a second, i.e. after 50 packets
+    assert.equal(audio.length, 2);
+    assert.equal(readGranule(audio[0]), 50 * 960);
+    // The last page trims the final packet's padding
+    assert.equal(readGranule(audio[1]), preSkip + length);
+});
+
+test('the last granule never runs past the packets', () => {
+    const preSkip = 312;
+    const head = buildOpusHead({ numberOfChannels: 1, preSkip, inputSampleRate: 48000 });
+    const packets = Array.from({ length: 3 }, fakePacket);
+
+    const pages = muxOggOpus({ head, packets, length: 3 * 960 });
+    assert.equal(pages.length, 3);
+    assert.equal(readGranule(pages[2]), 3 * 960);
+});